@@ -27,9 +27,18 @@ const itemRoutes = require('./src/Items');
 const hsnRoutes = require('./src/HSNCode');
 const userRoutes = require('./src/Users');
 const invRoutes = require('./src/Invoice');
+const noteRoutes = require('./src/CrDrNote');
+const recurRoutes = require('./src/Recurring');
+const quoteRoutes = require('./src/Quote');
+const einvRoutes = require('./src/EInvoice');
+const ewbRoutes = require('./src/EWayBill');
 const payRoutes = require('./src/Payments');
 const adjustRoutes = require('./src/Adjustments');
 const repRoutes = require('./src/Reports');
+const gstRetRoutes = require('./src/GSTReturns');
+const tdsRoutes = require('./src/TDS');
+const bankRoutes = require('./src/BankStatement');
+const { startRecurringScheduler } = require('./src/recurringScheduler');
 const cors = require('cors');
 const app = express();
 const port = 7050;
@@ -95,12 +104,21 @@ app.use('/', itemRoutes);
 app.use('/', hsnRoutes);
 app.use('/', payModeRoutes);
 app.use('/', invRoutes);
+app.use('/', noteRoutes);
+app.use('/', recurRoutes);
+app.use('/', quoteRoutes);
+app.use('/', einvRoutes);
+app.use('/', ewbRoutes);
 app.use('/', payRoutes);
 app.use('/', adjustRoutes);
 app.use('/', repRoutes);
+app.use('/', gstRetRoutes);
+app.use('/', tdsRoutes);
+app.use('/', bankRoutes);
 
 // Start the server
 
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
+  startRecurringScheduler();
 });
@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticateToken = require('../authMiddleware');
-const { writeToUserLog } = require('./common');
+const { round2, writeToUserLog } = require('./common');
+const { refreshInvoiceDue } = require('./invoiceStore');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+const { allocatePayment } = require('./paymentAllocation');
+const { PAYMENT_STATUS } = require('./paymentStatus');
+const { ADJUSTMENT_TYPE, SETTLEMENT_REASONS, getSettlementLimits, settleInvoice, writeOffSmallBalances } = require('./settlement');
 
 // Swagger documentation for Adjustment API
 /**
@@ -16,7 +21,8 @@ const { writeToUserLog } = require('./common');
  * @swagger
  * /api/DeleteAdjustment/{payid}:
  *   delete:
- *     summary: Delete all rows from Adjustment Table where payid matches the given Payment ID
+ *     summary: Delete the payment adjustments from Adjustment Table where payid matches the given Payment ID
+ *     description: Settlement discounts granted with the payment and write-offs are kept.
  *     tags: [Adjustments]
  *     security:
  *       - basicAuth: []
@@ -39,13 +45,18 @@ router.delete('/api/DeleteAdjustment/:payid', authenticateToken, async (req, res
     const { payid } = req.params;
   
     try {
-      const deleteQuery = `DELETE FROM Adjustment WHERE payid = $1 RETURNING *;`;
-      const values = [payid];
+      const deleteQuery = `DELETE FROM Adjustment WHERE payid = $1 AND adjtype = $2 RETURNING *;`;
+      const values = [payid, ADJUSTMENT_TYPE.PAYMENT];
       const result = await pool.query(deleteQuery, values);
   
       if (result.rows.length === 0) {
         return res.status(400).json({ message: 'Invalid Payment ID' });
       }
+
+      // The amount due and status of the invoices go back to what they were before the payment
+      for (const invid of new Set(result.rows.map((row) => row.invid))) {
+        await refreshInvoiceDue(pool, invid);
+      }
   
       res.json({ message: 'Adjustments deleted successfully' });
     } catch (error) {
@@ -84,6 +95,8 @@ router.delete('/api/DeleteAdjustment/:payid', authenticateToken, async (req, res
  *     responses:
  *       200:
  *         description: Successful operation
+ *       409:
+ *         description: Payments cannot be adjusted against draft or cancelled invoices, bounced or reversed payments cannot be adjusted
  *       500:
  *         description: Internal server error
  */
@@ -92,6 +105,15 @@ router.post('/api/SaveAdjustment', authenticateToken, async (req, res) => {
     const updon = new Date();
   
     try {
+      const { rows: invoiceRows } = await pool.query('SELECT status FROM "Invoice" WHERE invid = $1', [invid]);
+      if (invoiceRows.length && [INVOICE_STATUS.DRAFT, INVOICE_STATUS.CANCELLED].includes(invoiceRows[0].status)) {
+        return res.status(409).json({ message: 'Payments cannot be adjusted against draft or cancelled invoices' });
+      }
+      const { rows: paymentRows } = await pool.query('SELECT status FROM Payments WHERE payid = $1', [payid]);
+      if (paymentRows.length && paymentRows[0].status && paymentRows[0].status !== PAYMENT_STATUS.RECEIVED) {
+        return res.status(409).json({ message: 'Payment is ' + paymentRows[0].status + ' and cannot be adjusted' });
+      }
+
       // Add a new row to the Adjustment Table
       const insertAdjustmentQuery = `
         INSERT INTO Adjustment (invid, payid, adjustamt, compid, userid, updon)
@@ -103,19 +125,9 @@ router.post('/api/SaveAdjustment', authenticateToken, async (req, res) => {
       const adjustmentResult = await pool.query(insertAdjustmentQuery, values);
       const newAdjustment = adjustmentResult.rows[0];
   
-      // Update the amtdue column in the Invoice Table
-      const updateInvoiceQuery = `
-        UPDATE Invoice
-        SET amtdue = total - (
-          SELECT COALESCE(SUM(adjustamt), 0) FROM Adjustment WHERE invid = $1
-        )
-        WHERE invid = $1
-        RETURNING invid;
-      `;
-  
-      const updateInvoiceValues = [invid];
-      const invoiceResult = await pool.query(updateInvoiceQuery, updateInvoiceValues);
-      const updatedInvoice = invoiceResult.rows[0];
+      // Update the amtdue column in the Invoice Table, debit and credit notes included
+      const amtdue = await refreshInvoiceDue(pool, invid);
+      const updatedInvoice = amtdue === null ? undefined : { invid, amtdue };
       writeToUserLog(userid,'Created Adjustment record for Invoice ID - '+toString(invid)+' and Payment ID '+toString(payid),compid,isweb);  
       return res.json({ adjustment: newAdjustment, updatedInvoice });
     } catch (error) {
@@ -124,6 +136,361 @@ router.post('/api/SaveAdjustment', authenticateToken, async (req, res) => {
     }
   });
 
+/**
+ * @swagger
+ * /api/AllocatePayment/{payid}:
+ *   post:
+ *     summary: Apply the unadjusted amount of a payment to the open invoices of its customer
+ *     description: >
+ *       Without allocations the payment is applied FIFO, to the invoices with the oldest due date first, until the
+ *       unadjusted amount runs out. With allocations each invoice gets the given amount. Only issued and partly paid
+ *       invoices in the payment currency are used. Allocating more than the unadjusted amount of the payment or the
+ *       amount due of an invoice is refused. The adjustments, the amount due of the invoices and the unadjusted
+ *       amounts of the payment and the customer are saved in one transaction.
+ *     tags: [Adjustments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invid:
+ *                       type: integer
+ *                     amount:
+ *                       type: number
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns payid, custid, allocated, unadjustamt and the adjustments (invid, invno, adjustamt, amtdue)
+ *       400:
+ *         description: Invalid request, missing parameters or an allocation to an invoice that is not open
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Over-allocation, or nothing left to allocate
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/AllocatePayment/:payid', authenticateToken, async (req, res) => {
+    const { payid } = req.params;
+    const { compid, allocations, userid, isweb } = req.body;
+
+    if (!payid || isNaN(payid) || !compid
+      || (allocations !== undefined && allocations !== null && (!Array.isArray(allocations) || allocations.length === 0))) {
+      return res.status(400).json({ message: 'Invalid request or missing parameters' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await allocatePayment(client, { payid: Number(payid), compid, userid, allocations: allocations || undefined });
+      await client.query('COMMIT');
+
+      writeToUserLog(userid, 'Allocated Payment ID ' + payid + ' to ' + result.adjustments.length + ' invoices', compid, isweb);
+      return res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error allocating payment:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+/**
+ * @swagger
+ * /api/SettleInvoice/{invid}:
+ *   post:
+ *     summary: Close the residual amount due of an invoice with a write-off or a settlement discount
+ *     description: >
+ *       Saves an adjustment of type W (write-off) or D (discount) with a reason code against the invoice. Without
+ *       an amount the whole amount due is settled. Write-offs are limited to the write-off limit of the company per
+ *       invoice, discounts to its discount percentage of the invoice total, earlier settlements of the same type on
+ *       the invoice included. Settlements bring in no cash, they are reported apart from the payments received.
+ *     tags: [Adjustments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               adjtype:
+ *                 type: string
+ *                 enum: [W, D]
+ *               reasoncode:
+ *                 type: string
+ *                 description: For W short_payment, bank_charges, rounding, bad_debt or other, for D early_payment, volume or other
+ *               amount:
+ *                 type: number
+ *                 description: Amount to settle, defaults to the amount due of the invoice
+ *               payid:
+ *                 type: integer
+ *                 description: Optional payment of the customer the discount was granted with
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *               - adjtype
+ *               - reasoncode
+ *     responses:
+ *       200:
+ *         description: Returns invid, invno, custid, adjtype, reasoncode, adjustamt and amtdue
+ *       400:
+ *         description: Invalid request, missing parameters or an unknown reason code
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: The invoice has no amount due, or the amount exceeds the amount due or the limit of the company
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/SettleInvoice/:invid', authenticateToken, async (req, res) => {
+    const { invid } = req.params;
+    const { compid, adjtype, reasoncode, amount, payid, userid, isweb } = req.body;
+
+    if (!invid || isNaN(invid) || !compid || !adjtype || !reasoncode) {
+      return res.status(400).json({ message: 'Invalid request or missing parameters' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await settleInvoice(client, { invid: Number(invid), compid, adjtype, reasoncode, amount, payid, userid });
+      await client.query('COMMIT');
+
+      const label = adjtype === ADJUSTMENT_TYPE.WRITE_OFF ? 'Wrote off ' : 'Allowed a discount of ';
+      writeToUserLog(userid, label + result.adjustamt + ' on Invoice ' + result.invno + ' (' + reasoncode + ')', compid, isweb);
+      return res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error settling invoice:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+/**
+ * @swagger
+ * /api/WriteOffSmallBalances/{compid}:
+ *   post:
+ *     summary: Write off the small balances left on the open invoices of a company
+ *     description: >
+ *       Every issued or partly paid invoice whose amount due is within the write-off limit of the company (and
+ *       maxamount when given) is closed with a write-off, all in one transaction.
+ *     tags: [Adjustments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reasoncode:
+ *                 type: string
+ *                 enum: [short_payment, bank_charges, rounding, bad_debt, other]
+ *               custid:
+ *                 type: integer
+ *                 description: Only the invoices of this customer
+ *               maxamount:
+ *                 type: number
+ *                 description: Only amounts due up to this amount, never more than the write-off limit
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - reasoncode
+ *     responses:
+ *       200:
+ *         description: Returns count, total and the settlements made
+ *       400:
+ *         description: Invalid request, missing parameters or an unknown reason code
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/WriteOffSmallBalances/:compid', authenticateToken, async (req, res) => {
+    const { compid } = req.params;
+    const { reasoncode, custid, maxamount, userid, isweb } = req.body;
+
+    if (!compid || isNaN(compid) || !reasoncode) {
+      return res.status(400).json({ message: 'Invalid request or missing parameters' });
+    }
+    if (!SETTLEMENT_REASONS[ADJUSTMENT_TYPE.WRITE_OFF].includes(reasoncode)) {
+      return res.status(400).json({ message: 'reasoncode must be one of ' + SETTLEMENT_REASONS[ADJUSTMENT_TYPE.WRITE_OFF].join(', ') });
+    }
+    if (maxamount !== undefined && maxamount !== null && (isNaN(maxamount) || Number(maxamount) <= 0)) {
+      return res.status(400).json({ message: 'maxamount must be greater than zero' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const settlements = await writeOffSmallBalances(client, { compid: Number(compid), custid, reasoncode, maxamount, userid });
+      await client.query('COMMIT');
+
+      const total = round2(settlements.reduce((sum, row) => sum + row.adjustamt, 0));
+      if (settlements.length > 0) {
+        writeToUserLog(userid, 'Wrote off small balances of ' + settlements.length + ' invoices totalling ' + total + ' (' + reasoncode + ')', compid, isweb);
+      }
+      return res.json({ count: settlements.length, total, settlements });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error writing off small balances:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+/**
+ * @swagger
+ * /api/GetSettlementSetting/{compid}:
+ *   get:
+ *     summary: Get the write-off and discount limits of a company
+ *     tags: [Adjustments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Returns writeofflimit (amount per invoice), discountlimit (percentage of the invoice total) and the reason codes per type, defaults when the company has none saved
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetSettlementSetting/:compid', authenticateToken, async (req, res) => {
+    const { compid } = req.params;
+
+    try {
+      const limits = await getSettlementLimits(pool, compid);
+      return res.json({ ...limits, reasons: SETTLEMENT_REASONS });
+    } catch (error) {
+      console.error('Error fetching settlement setting:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+/**
+ * @swagger
+ * /api/SaveSettlementSetting:
+ *   post:
+ *     summary: Create or update the write-off and discount limits of a company
+ *     tags: [Adjustments]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               writeofflimit:
+ *                 type: number
+ *                 description: Largest amount that can be written off per invoice
+ *               discountlimit:
+ *                 type: number
+ *                 description: Largest settlement discount per invoice, as a percentage of the invoice total
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Settlement setting created or updated successfully
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/SaveSettlementSetting', authenticateToken, async (req, res) => {
+    const { compid, writeofflimit, discountlimit, userid, isweb } = req.body;
+
+    if (!compid || typeof writeofflimit !== 'number' || typeof discountlimit !== 'number'
+      || writeofflimit < 0 || discountlimit < 0 || discountlimit > 100) {
+      return res.status(400).json({ message: 'Invalid request or missing parameters' });
+    }
+
+    try {
+      const query = `
+        INSERT INTO "SettlementSetting" (compid, writeofflimit, discountlimit, userid, updon)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (compid)
+        DO UPDATE
+        SET writeofflimit = $2, discountlimit = $3, userid = $4, updon = $5
+      `;
+
+      await pool.query(query, [compid, writeofflimit, discountlimit, userid, new Date()]);
+      writeToUserLog(userid, 'Updated the write-off and discount limits', compid, isweb);
+      return res.json({ message: 'Settlement setting created or updated successfully' });
+    } catch (error) {
+      console.error('Error saving settlement setting:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
 /**
  * @swagger
  * /api/UpdateCustUnadjBal/{custid}/update-unadjamt:
@@ -0,0 +1,424 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const multer = require('multer');
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog, createHttpError } = require('./common');
+const { DATE_TOLERANCE_DAYS, BANK_LINE_STATUS, parseBankStatement, matchStatementLines, suggestInvoices } = require('./bankReconciliation');
+const { allocatePayment, refreshCustomerUnadjusted } = require('./paymentAllocation');
+const { PAYMENT_STATUS } = require('./paymentStatus');
+
+const upload = multer({ dest: 'uploads/' });
+
+// Actions a user can take on a credit of a statement
+const LINE_ACTIONS = ['match', 'create', 'ignore'];
+
+// Swagger documentation for Bank Statement API
+/**
+ * @swagger
+ * tags:
+ *   name: BankStatement
+ *   description: API endpoints to import bank statements and reconcile their credits with payments
+ */
+
+// Function to fetch the received payments of a company that are not yet linked to a statement line
+async function getUnreconciledPayments(db, compid) {
+  const query = `
+    SELECT P.payid, P.payrefid, COALESCE(P.payamount, 0) AS payamount, COALESCE(P.paydate, P.updon) AS paydate
+    FROM Payments P
+      JOIN "Customer" C ON P.custid = C.custid
+    WHERE C.compid = $1 AND COALESCE(P.status, 'received') = 'received'
+      AND NOT EXISTS (SELECT 1 FROM "BankStatementLine" L WHERE L.payid = P.payid)
+  `;
+  const { rows } = await db.query(query, [compid]);
+  return rows;
+}
+
+/**
+ * @swagger
+ * /api/ImportBankStatement/{compid}:
+ *   put:
+ *     summary: Import a bank statement and match its credits to payments
+ *     description: >
+ *       Accepts a CAMT.053 XML, an MT940 file or the CSV statement of an Indian bank (HDFC, ICICI, SBI, Axis and
+ *       others with date, narration, reference and deposit/withdrawal or amount with Cr/Dr columns). A credit is
+ *       matched to a payment when the payment reference is in its reference or narration, the amounts are equal and
+ *       the dates are at most toleranceDays apart. Lines already imported with an earlier statement are skipped.
+ *     tags: [BankStatement]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statement:
+ *                 type: string
+ *                 format: binary
+ *               bankaccount:
+ *                 type: string
+ *                 description: Account the statement is of, taken from the file when it has one
+ *               toleranceDays:
+ *                 type: integer
+ *                 description: Days the bank date may differ from the payment date, defaults to 3
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Returns stmtid, format, bankaccount, lines, credits, matched, unmatched and duplicates
+ *       400:
+ *         description: Invalid request, missing file or no transactions in the file
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/api/ImportBankStatement/:compid', upload.single('statement'), authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const { userid, isweb } = req.body;
+  const toleranceDays = req.body.toleranceDays === undefined || req.body.toleranceDays === ''
+    ? DATE_TOLERANCE_DAYS
+    : Number(req.body.toleranceDays);
+
+  if (!compid || isNaN(compid) || !req.file || !Number.isInteger(toleranceDays) || toleranceDays < 0) {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const content = await fs.promises.readFile(req.file.path, 'utf8');
+    const statement = parseBankStatement(content);
+    if (statement.lines.length === 0) {
+      return res.status(400).json({ error: 'No transactions found in the file' });
+    }
+    const bankaccount = req.body.bankaccount || statement.account;
+    const dates = statement.lines.map((line) => line.txndate).sort();
+
+    await client.query('BEGIN');
+    // Lines of overlapping statements are imported once
+    const { rows: existing } = await client.query(
+      `SELECT TO_CHAR(txndate, 'YYYY-MM-DD') AS txndate, amount, direction, COALESCE(refno, '') AS refno, COALESCE(description, '') AS description
+       FROM "BankStatementLine"
+       WHERE compid = $1 AND txndate BETWEEN $2 AND $3`,
+      [compid, dates[0], dates[dates.length - 1]]
+    );
+    const lineKey = (line) => [line.txndate, Number(line.amount).toFixed(2), line.direction, line.refno || '', line.description || ''].join('|');
+    const imported = new Set(existing.map(lineKey));
+    const newLines = statement.lines.filter((line) => !imported.has(lineKey(line)));
+
+    const payments = await getUnreconciledPayments(client, compid);
+    const lines = matchStatementLines(newLines, payments, toleranceDays);
+
+    const { rows } = await client.query(
+      `INSERT INTO "BankStatement" (compid, filename, format, bankaccount, fromdate, todate, userid, updon)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING stmtid`,
+      [compid, req.file.originalname, statement.format, bankaccount || null, dates[0], dates[dates.length - 1], userid]
+    );
+    const { stmtid } = rows[0];
+
+    const insertQuery = `
+      INSERT INTO "BankStatementLine"
+        (stmtid, compid, lineno, txndate, valuedate, description, refno, amount, direction, balance, status, payid, userid, updon)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+    `;
+    for (const line of lines) {
+      await client.query(insertQuery, [
+        stmtid, compid, line.lineno, line.txndate, line.valuedate, line.description, line.refno, line.amount,
+        line.direction, line.balance, line.status, line.payid, userid,
+      ]);
+    }
+    await client.query('COMMIT');
+
+    const count = (status) => lines.filter((line) => line.status === status).length;
+    writeToUserLog(userid, 'Imported Bank Statement ' + req.file.originalname + ' - ' + lines.length + ' lines', compid, isweb);
+    return res.status(200).json({
+      stmtid,
+      format: statement.format,
+      bankaccount: bankaccount || null,
+      lines: lines.length,
+      credits: lines.length - count(BANK_LINE_STATUS.DEBIT),
+      matched: count(BANK_LINE_STATUS.MATCHED),
+      unmatched: count(BANK_LINE_STATUS.UNMATCHED),
+      duplicates: statement.lines.length - newLines.length,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetBankStatementLines/{stmtid}:
+ *   get:
+ *     summary: Get the lines of an imported bank statement
+ *     description: >
+ *       Unmatched credits come with suggestions of the open invoices they may pay, by invoice number and customer name
+ *       in the narration and by amount.
+ *     tags: [BankStatement]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stmtid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Bank Statement ID
+ *       - in: query
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [matched, confirmed, unmatched, ignored, debit]
+ *         description: Only lines with this status
+ *     responses:
+ *       200:
+ *         description: >
+ *           Lines with lineid, lineno, txndate, valuedate, description, refno, amount, direction, balance, status,
+ *           payid, custname of the payment and suggestions (custid, custname, invid, invno, amtdue, score, reasons)
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       404:
+ *         description: Bank statement not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetBankStatementLines/:stmtid', authenticateToken, async (req, res) => {
+  const { stmtid } = req.params;
+  const { compid, status } = req.query;
+
+  if (!stmtid || isNaN(stmtid) || !compid || isNaN(compid) || (status && !Object.values(BANK_LINE_STATUS).includes(status))) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const { rows: statements } = await pool.query('SELECT stmtid FROM "BankStatement" WHERE stmtid = $1 AND compid = $2', [stmtid, compid]);
+    if (statements.length === 0) {
+      return res.status(404).json({ error: 'Bank statement not found' });
+    }
+
+    const linesQuery = `
+      SELECT
+        L.lineid, L.lineno, TO_CHAR(L.txndate, 'YYYY-MM-DD') AS txndate, TO_CHAR(L.valuedate, 'YYYY-MM-DD') AS valuedate,
+        L.description, L.refno, L.amount, L.direction, L.balance, L.status, L.payid, C.custname
+      FROM "BankStatementLine" L
+        LEFT JOIN Payments P ON L.payid = P.payid
+        LEFT JOIN "Customer" C ON P.custid = C.custid
+      WHERE L.stmtid = $1 AND ($2::text IS NULL OR L.status = $2)
+      ORDER BY L.lineno
+    `;
+    const { rows: lines } = await pool.query(linesQuery, [stmtid, status || null]);
+
+    let invoices = [];
+    if (lines.some((line) => line.status === BANK_LINE_STATUS.UNMATCHED)) {
+      const { rows } = await pool.query(
+        `SELECT I.invid, I.invno, I.custid, C.custname, I.amtdue
+         FROM "Invoice" I
+           JOIN "Customer" C ON I.custid = C.custid
+         WHERE I.compid = $1 AND I.status IN ('issued', 'partpaid') AND I.amtdue > 0`,
+        [compid]
+      );
+      invoices = rows;
+    }
+
+    return res.status(200).json(lines.map((line) => ({
+      ...line,
+      amount: Number(line.amount),
+      suggestions: line.status === BANK_LINE_STATUS.UNMATCHED ? suggestInvoices({ ...line, amount: Number(line.amount) }, invoices) : [],
+    })));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ConfirmBankLine/{lineid}:
+ *   post:
+ *     summary: Confirm what a credit of a bank statement is
+ *     description: >
+ *       match links the credit to an existing payment of the same amount. create records a payment of the customer
+ *       for the credit and, with allocations or allocate, adjusts it against open invoices (FIFO by due date when
+ *       allocate is set without allocations). ignore marks a credit that is not a customer payment.
+ *     tags: [BankStatement]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lineid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Bank Statement Line ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               action:
+ *                 type: string
+ *                 enum: [match, create, ignore]
+ *               payid:
+ *                 type: integer
+ *                 description: Payment to match, for match
+ *               custid:
+ *                 type: integer
+ *                 description: Customer who paid, for create
+ *               paymodeid:
+ *                 type: integer
+ *                 description: Payment mode of the new payment, for create
+ *               allocate:
+ *                 type: boolean
+ *                 description: Adjust the new payment against the open invoices of the customer, oldest due date first
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invid:
+ *                       type: integer
+ *                     amount:
+ *                       type: number
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *               - action
+ *     responses:
+ *       200:
+ *         description: Returns the lineid, status and payid, and the allocation when the new payment was adjusted
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       404:
+ *         description: Statement line, payment or customer not found
+ *       409:
+ *         description: The line is a debit or already confirmed, the payment does not fit it, or over-allocation
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/ConfirmBankLine/:lineid', authenticateToken, async (req, res) => {
+  const { lineid } = req.params;
+  const { compid, action, payid, custid, paymodeid, allocate, allocations, userid, isweb } = req.body;
+
+  if (!lineid || isNaN(lineid) || !compid || !LINE_ACTIONS.includes(action)
+    || (action === 'match' && (!payid || isNaN(payid)))
+    || (action === 'create' && (!custid || isNaN(custid)))
+    || (allocations !== undefined && allocations !== null && (!Array.isArray(allocations) || allocations.length === 0))) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: lines } = await client.query(
+      'SELECT lineid, txndate, description, refno, amount, direction, status FROM "BankStatementLine" WHERE lineid = $1 AND compid = $2 FOR UPDATE',
+      [lineid, compid]
+    );
+    if (lines.length === 0) {
+      throw createHttpError(404, 'Statement line not found');
+    }
+    const line = lines[0];
+    if (line.direction !== 'C' || ![BANK_LINE_STATUS.UNMATCHED, BANK_LINE_STATUS.MATCHED].includes(line.status)) {
+      throw createHttpError(409, `Statement line is ${line.status === BANK_LINE_STATUS.DEBIT ? 'a debit' : line.status} and cannot be confirmed`);
+    }
+
+    let linkedPayid = null;
+    let allocation = null;
+    if (action === 'match') {
+      const { rows: payments } = await client.query(
+        `SELECT P.payid, COALESCE(P.payamount, 0) AS payamount, P.status,
+           EXISTS (SELECT 1 FROM "BankStatementLine" L WHERE L.payid = P.payid AND L.lineid <> $3) AS reconciled
+         FROM Payments P
+           JOIN "Customer" C ON P.custid = C.custid
+         WHERE P.payid = $1 AND C.compid = $2`,
+        [payid, compid, lineid]
+      );
+      if (payments.length === 0) {
+        throw createHttpError(404, 'Payment not found');
+      }
+      const payment = payments[0];
+      if (payment.status && payment.status !== PAYMENT_STATUS.RECEIVED) {
+        throw createHttpError(409, `Payment is ${payment.status} and cannot be matched`);
+      }
+      if (payment.reconciled) {
+        throw createHttpError(409, 'Payment is already matched to another statement line');
+      }
+      if (Math.abs(Number(payment.payamount) - Number(line.amount)) >= 0.005) {
+        throw createHttpError(409, `Payment amount ${Number(payment.payamount)} differs from the credit of ${Number(line.amount)}`);
+      }
+      linkedPayid = payment.payid;
+    } else if (action === 'create') {
+      const { rows: customers } = await client.query('SELECT custid, currencycode FROM "Customer" WHERE custid = $1 AND compid = $2', [custid, compid]);
+      if (customers.length === 0) {
+        throw createHttpError(404, 'Customer not found');
+      }
+      const { rows: created } = await client.query(
+        `INSERT INTO Payments (custid, currencycode, payamount, paymodeid, unadjustamt, payrefid, tdsdeducted, remarks, paydate, status, userid, updon)
+         VALUES ($1, $2, $3, $4, $3, $5, false, $6, $7, $8, $9, NOW())
+         RETURNING payid`,
+        [custid, customers[0].currencycode, line.amount, paymodeid || null, line.refno, line.description, line.txndate, PAYMENT_STATUS.RECEIVED, userid]
+      );
+      linkedPayid = created[0].payid;
+      await refreshCustomerUnadjusted(client, custid);
+
+      if (allocate || allocations) {
+        allocation = await allocatePayment(client, { payid: linkedPayid, compid, userid, allocations: allocations || undefined });
+      }
+    }
+
+    const status = action === 'ignore' ? BANK_LINE_STATUS.IGNORED : BANK_LINE_STATUS.CONFIRMED;
+    await client.query(
+      'UPDATE "BankStatementLine" SET status = $2, payid = $3, userid = $4, updon = NOW() WHERE lineid = $1',
+      [lineid, status, linkedPayid, userid]
+    );
+    await client.query('COMMIT');
+
+    const logAction = {
+      match: 'Matched Bank Line ' + lineid + ' to Payment ' + linkedPayid,
+      create: 'Created Payment ' + linkedPayid + ' from Bank Line ' + lineid,
+      ignore: 'Ignored Bank Line ' + lineid,
+    }[action];
+    writeToUserLog(userid, logAction, compid, isweb);
+    return res.status(200).json({ lineid: Number(lineid), status, payid: linkedPayid, allocation });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
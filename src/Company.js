@@ -6,6 +6,7 @@ const path = require('path');
 const sharp = require('sharp');
 const authenticateToken = require('../authMiddleware');
 const { writeToUserLog, deleteTempFiles, getPicFromUploads, savePicToUploads } = require('./common');
+const { validateTaxIds } = require('./gstValidation');
 
 
 const upload = multer({ dest: 'uploads/' });
@@ -211,6 +212,7 @@ router.get('/api/GetCompanyDetails/:compid', authenticateToken, async (req, res)
  *               gstno:
  *                 type: string
  *                 maxLength: 15
+ *                 description: GSTIN, required when isgstreg is true and saved in upper case
  *               indtypeid:
  *                 type: integer
  *               bustypeid:
@@ -250,6 +252,7 @@ router.get('/api/GetCompanyDetails/:compid', authenticateToken, async (req, res)
  *               panno:
  *                 type: string
  *                 maxLength: 10
+ *                 description: PAN, must match characters 3 to 12 of the GSTIN
  *               userid:
  *                 type: integer
  *               isweb:
@@ -260,7 +263,10 @@ router.get('/api/GetCompanyDetails/:compid', authenticateToken, async (req, res)
  *       200:
  *         description: Company details updated successfully
  *       400:
- *         description: Invalid request or missing parameters
+ *         description: >
+ *           Invalid request or missing parameters, or an invalid GSTIN or PAN. The GSTIN must have a valid
+ *           check character, start with the GST state code of stateid and contain panno.
+ *           Returns error and errors, a list of { field, message }.
  *       404:
  *         description: Company not found
  *       500:
@@ -268,7 +274,7 @@ router.get('/api/GetCompanyDetails/:compid', authenticateToken, async (req, res)
  */
 router.put('/api/UpdComp', upload.single('logo'), authenticateToken, async (req, res) => {
   const { compid } = req.query;
-  const {
+  let {
     compname,
     isgstreg,
     gstno,
@@ -296,7 +302,14 @@ router.put('/api/UpdComp', upload.single('logo'), authenticateToken, async (req,
   }
 
   try {
-  
+    // multipart fields arrive as strings
+    const required = isgstreg === true || isgstreg === 'true';
+    const taxIds = await validateTaxIds(pool, { gstno, panno, stateid, required });
+    if (taxIds.errors.length) {
+      return res.status(400).json({ error: 'Invalid GSTIN or PAN', errors: taxIds.errors });
+    }
+    ({ gstno, panno } = taxIds);
+
     const tempPath = req.file.path;
 
     const pictureData = await sharp(tempPath).resize(90, 90).toBuffer();
@@ -0,0 +1,483 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { round2, writeToUserLog, createHttpError } = require('./common');
+const { getTaxContext } = require('./taxEngine');
+const { computeLine, computeTotals } = require('./invoiceCalc');
+const { getItemRates, refreshInvoiceDue } = require('./invoiceStore');
+const { allocateSeriesNo } = require('./docNumber');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+
+const NOTE_NAMES = { C: 'Credit Note', D: 'Debit Note' };
+
+// States of a note, only issued notes count towards the invoice and the returns and they cannot be edited any more
+const NOTE_STATUS = {
+  DRAFT: 'draft',
+  ISSUED: 'issued',
+};
+
+// Swagger documentation for Credit/Debit Note API
+/**
+ * @swagger
+ * tags:
+ *   name: CrDrNote
+ *   description: API endpoints for Credit Notes and Debit Notes against issued invoices
+ */
+
+// Function to refuse a credit note that would credit more than the invoice with its debit notes and the other issued credit notes
+async function assertCreditWithinInvoice(client, invid, noteid, credit) {
+  const { rows } = await client.query(
+    `SELECT I.invno, I.total + COALESCE(SUM(CASE WHEN N.notetype = 'D' THEN N.total ELSE -N.total END), 0) AS creditable
+     FROM "Invoice" I
+       LEFT JOIN "CrDrNote" N ON N.invid = I.invid AND N.status = 'issued' AND N.noteid <> $2
+     WHERE I.invid = $1
+     GROUP BY I.invid, I.invno, I.total`,
+    [invid, noteid]
+  );
+  const creditable = round2(Number(rows[0].creditable));
+  if (round2(Number(credit)) > creditable) {
+    throw createHttpError(409, `Credit note of ${round2(Number(credit))} exceeds the ${creditable} left to credit on invoice ${rows[0].invno}`);
+  }
+}
+
+// Function to compute and save a credit or debit note with its items inside a transaction
+async function saveNote(client, note) {
+  const { compid, invid, notetype, notedate, reason, items, userid } = note;
+  const noteid = note.noteid ? Number(note.noteid) : 0;
+  const status = note.status === NOTE_STATUS.DRAFT ? NOTE_STATUS.DRAFT : NOTE_STATUS.ISSUED;
+
+  const { rows: invoiceRows } = await client.query(
+    `SELECT invid, invdate, custid, currencycode, status, shipstateid, isrcm, invdate > $3::date AS isafternote
+     FROM "Invoice"
+     WHERE invid = $1 AND compid = $2
+     FOR UPDATE`,
+    [invid, compid, notedate]
+  );
+  if (invoiceRows.length === 0) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+  const invoice = invoiceRows[0];
+  if (invoice.status === INVOICE_STATUS.DRAFT || invoice.status === INVOICE_STATUS.CANCELLED) {
+    throw createHttpError(409, 'Notes can only be raised against issued invoices');
+  }
+  if (invoice.isafternote) {
+    throw createHttpError(400, 'notedate cannot be before the invoice date');
+  }
+
+  let noteno;
+  if (noteid > 0) {
+    const { rows: noteRows } = await client.query(
+      'SELECT noteno, status FROM "CrDrNote" WHERE noteid = $1 AND invid = $2 AND notetype = $3 FOR UPDATE',
+      [noteid, invid, notetype]
+    );
+    if (noteRows.length === 0) {
+      throw createHttpError(404, NOTE_NAMES[notetype] + ' not found');
+    }
+    if (noteRows[0].status !== NOTE_STATUS.DRAFT) {
+      throw createHttpError(409, `${NOTE_NAMES[notetype]} is ${noteRows[0].status} and cannot be edited, only draft notes can be changed`);
+    }
+    noteno = noteRows[0].noteno;
+  } else {
+    noteno = await allocateSeriesNo(client, compid, notetype === 'C' ? 'CN' : 'DN', notedate);
+  }
+
+  // Tax is split the same way as the original invoice, at the rates valid on the invoice date
+  const rates = await getItemRates(client, compid, [...new Set(items.map((line) => Number(line.itemid)))], invoice.invdate);
+  const missing = items.find((line) => !rates[line.itemid]);
+  if (missing) {
+    throw createHttpError(400, `Item ${missing.itemid} not found for the company`);
+  }
+  const context = await getTaxContext(client, compid, invoice.custid, invoice.shipstateid);
+  const lines = items.map((line) => {
+    const item = rates[line.itemid];
+    const rate = line.rate === undefined || line.rate === null ? item.sellprice : line.rate;
+    return computeLine({ ...line, rate }, item.taxrate, context, item);
+  });
+  // Notes on a reverse charge invoice leave the tax out of the total, the same as the invoice
+  const totals = computeTotals(lines, { isrcm: invoice.isrcm });
+  if (notetype === 'C' && status === NOTE_STATUS.ISSUED) {
+    await assertCreditWithinInvoice(client, invid, noteid, totals.total);
+  }
+  const updon = new Date();
+
+  let savedId;
+  const headerParams = [
+    notetype, noteno, notedate, invid, invoice.custid, compid, reason,
+    totals.stot, totals.cgst, totals.sgst, totals.igst, totals.total, invoice.currencycode, userid, updon, totals.cess, status,
+  ];
+  if (noteid > 0) {
+    const { rows } = await client.query(
+      `UPDATE "CrDrNote"
+       SET notetype = $1, noteno = $2, notedate = $3, invid = $4, custid = $5, compid = $6, reason = $7,
+         stot = $8, cgst = $9, sgst = $10, igst = $11, total = $12, currencycode = $13, userid = $14, updon = $15, cess = $16,
+         status = $17
+       WHERE noteid = $18
+       RETURNING noteid`,
+      [...headerParams, noteid]
+    );
+    savedId = rows[0].noteid;
+    await client.query('DELETE FROM "CrDrNoteItem" WHERE noteid = $1', [savedId]);
+  } else {
+    const { rows } = await client.query(
+      `INSERT INTO "CrDrNote"
+       (notetype, noteno, notedate, invid, custid, compid, reason, stot, cgst, sgst, igst, total, currencycode, userid, updon, cess, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       RETURNING noteid`,
+      headerParams
+    );
+    savedId = rows[0].noteid;
+  }
+
+  const insertItemQuery = `
+    INSERT INTO "CrDrNoteItem" (noteid, itemid, quantity, rate, amount, discount, taxable, cgstper, sgstper, igstper, cgst, sgst, igst, cessper, cess, taxtotal, total, taxinclusive)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+  `;
+  for (const line of lines) {
+    await client.query(insertItemQuery, [
+      savedId, line.itemid, line.quantity, line.rate, line.amount, line.discount, line.taxable,
+      line.cgstper, line.sgstper, line.igstper, line.cgst, line.sgst, line.igst, line.cessper, line.cess, line.taxtotal, line.total,
+      line.taxinclusive,
+    ]);
+  }
+
+  const amtdue = await refreshInvoiceDue(client, invid);
+
+  return { noteid: savedId, noteno, status, amtdue, ...totals };
+}
+
+/**
+ * @swagger
+ * /api/SaveCrDrNote:
+ *   post:
+ *     summary: Create or update a Credit Note or Debit Note against an invoice
+ *     description: >
+ *       Tax is computed on the server the same way as for the invoice. The invoice amtdue is reduced by issued credit
+ *       notes and increased by issued debit notes, a credit note on a paid invoice takes amtdue below zero, the amount
+ *       owed to the customer. Issued credit notes cannot credit more than the invoice and its debit notes, and the note
+ *       cannot be dated before the invoice. Only draft notes can be updated.
+ *     tags: [CrDrNote]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               noteid:
+ *                 type: integer
+ *                 description: 0 or empty to create a new note
+ *               notetype:
+ *                 type: string
+ *                 enum: [C, D]
+ *                 description: C for Credit Note, D for Debit Note
+ *               invid:
+ *                 type: integer
+ *               notedate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, issued]
+ *                 description: Save the note as a draft to change it later, defaults to issued
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemid:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *                     discount:
+ *                       type: number
+ *                     taxinclusive:
+ *                       type: boolean
+ *                       description: Rate and discount include the tax, the taxable value is derived from them. Defaults to the item's taxinclusive
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - notetype
+ *               - invid
+ *               - notedate
+ *               - compid
+ *               - items
+ *     responses:
+ *       200:
+ *         description: Returns the noteid, noteno, status, the computed totals and the new amtdue of the invoice.
+ *       400:
+ *         description: Invalid request or missing parameters, or the note is dated before the invoice.
+ *       404:
+ *         description: Invoice or note not found.
+ *       409:
+ *         description: Invoice is a draft or cancelled, the note is issued and cannot be edited, or the credit exceeds the invoice.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/SaveCrDrNote', authenticateToken, async (req, res) => {
+  const note = req.body;
+  const { noteid, notetype, invid, notedate, items, compid, userid, isweb } = note;
+
+  if (!NOTE_NAMES[notetype] || !invid || !notedate || !compid || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (items.some((line) => !line.itemid || !(Number(line.quantity) > 0))) {
+    return res.status(400).json({ error: 'Each item needs an itemid and a quantity greater than 0' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveNote(client, note);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (noteid > 0 ? 'Updated the ' : 'Created the ') + NOTE_NAMES[notetype] + ' ' + saved.noteno, compid, isweb);
+    return res.status(200).json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/IssueCrDrNote/{noteid}:
+ *   post:
+ *     summary: Issue a draft Credit Note or Debit Note
+ *     description: The note starts to count towards the amount due of its invoice and can no longer be edited.
+ *     tags: [CrDrNote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: noteid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Note ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the noteid, noteno, status and the new amtdue of the invoice.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Note not found.
+ *       409:
+ *         description: The note is already issued, its invoice is a draft or cancelled, or the credit exceeds the invoice.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/IssueCrDrNote/:noteid', authenticateToken, async (req, res) => {
+  const { noteid } = req.params;
+  const { compid, userid, isweb } = req.body;
+
+  if (!noteid || isNaN(noteid) || !compid) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT N.noteid, N.notetype, N.noteno, N.status, N.total, N.invid, I.status AS invstatus
+       FROM "CrDrNote" N
+         JOIN "Invoice" I ON N.invid = I.invid
+       WHERE N.noteid = $1 AND N.compid = $2
+       FOR UPDATE`,
+      [noteid, compid]
+    );
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Note not found');
+    }
+    const note = rows[0];
+    if (note.status !== NOTE_STATUS.DRAFT) {
+      throw createHttpError(409, `${NOTE_NAMES[note.notetype]} is already ${note.status}`);
+    }
+    if (note.invstatus === INVOICE_STATUS.DRAFT || note.invstatus === INVOICE_STATUS.CANCELLED) {
+      throw createHttpError(409, 'Notes can only be issued against issued invoices');
+    }
+    if (note.notetype === 'C') {
+      await assertCreditWithinInvoice(client, note.invid, note.noteid, note.total);
+    }
+
+    await client.query('UPDATE "CrDrNote" SET status = $2, userid = $3, updon = $4 WHERE noteid = $1', [noteid, NOTE_STATUS.ISSUED, userid, new Date()]);
+    const amtdue = await refreshInvoiceDue(client, note.invid);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Issued the ' + NOTE_NAMES[note.notetype] + ' ' + note.noteno, compid, isweb);
+    return res.status(200).json({ noteid: note.noteid, noteno: note.noteno, status: NOTE_STATUS.ISSUED, amtdue });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetCrDrNotes/{compid}:
+ *   get:
+ *     summary: Get the list of Credit Notes and Debit Notes of a company
+ *     tags: [CrDrNote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         description: Only the notes of this invoice
+ *       - in: query
+ *         name: notetype
+ *         schema:
+ *           type: string
+ *           enum: [C, D]
+ *         description: Only Credit Notes (C) or Debit Notes (D)
+ *     responses:
+ *       200:
+ *         description: Returns the list of notes.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetCrDrNotes/:compid', authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const { invid, notetype } = req.query;
+
+  try {
+    const params = [compid];
+    let filter = '';
+    if (invid) {
+      params.push(invid);
+      filter += ` AND N.invid = $${params.length}`;
+    }
+    if (notetype) {
+      params.push(notetype);
+      filter += ` AND N.notetype = $${params.length}`;
+    }
+
+    const query = `
+      SELECT
+        N.noteid, N.notetype, N.noteno, N.notedate, N.status, N.invid, I.invno, C.custname, N.reason, N.total
+      FROM "CrDrNote" N
+      JOIN "Invoice" I ON N.invid = I.invid
+      JOIN "Customer" C ON N.custid = C.custid
+      WHERE N.compid = $1 ${filter}
+      ORDER BY N.notedate DESC, N.noteid DESC
+    `;
+    const { rows } = await pool.query(query, params);
+
+    return res.status(200).json(rows);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetCrDrNoteDet/{noteid}:
+ *   get:
+ *     summary: Get a Credit Note or Debit Note with its items
+ *     tags: [CrDrNote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: noteid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Note ID
+ *     responses:
+ *       200:
+ *         description: Returns the note header and its items.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Note not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetCrDrNoteDet/:noteid', authenticateToken, async (req, res) => {
+  const { noteid } = req.params;
+
+  if (!noteid || isNaN(noteid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const headerQuery = `
+      SELECT
+        N.noteid, N.notetype, N.noteno, N.notedate, N.status, N.invid, I.invno, I.invdate, N.custid, C.custname,
+        N.reason, N.stot, N.cgst, N.sgst, N.igst, N.cess, N.total, N.currencycode
+      FROM "CrDrNote" N
+      JOIN "Invoice" I ON N.invid = I.invid
+      JOIN "Customer" C ON N.custid = C.custid
+      WHERE N.noteid = $1
+    `;
+    const { rows } = await pool.query(headerQuery, [noteid]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const itemsQuery = `
+      SELECT
+        NI.itemid, It.itemname, It.hsncode, NI.quantity, NI.rate, NI.amount, NI.discount, NI.taxinclusive, NI.taxable,
+        NI.cgstper, NI.sgstper, NI.igstper, NI.cgst, NI.sgst, NI.igst, NI.cessper, NI.cess, NI.taxtotal, NI.total
+      FROM "CrDrNoteItem" NI
+      JOIN "Items" It ON NI.itemid = It.itemid
+      WHERE NI.noteid = $1
+    `;
+    const { rows: items } = await pool.query(itemsQuery, [noteid]);
+
+    return res.status(200).json({ ...rows[0], items });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
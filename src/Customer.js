@@ -3,6 +3,7 @@ const router = express.Router();
 const pool = require('../db');
 const authenticateToken = require('../authMiddleware');
 const { writeToUserLog } = require('./common');
+const { validateTaxIds } = require('./gstValidation');
 
 /**
  * @swagger
@@ -96,7 +97,7 @@ router.get('/api/GetCustomerDet/:custid', authenticateToken, async (req, res) =>
       const query = `
         SELECT
           custid, custname, gsttreatmentid, currencycode, gstno, paytermid, placeofsupply,
-          panno, phone, email, billcountryid, billstateid, billstreet1, billstreet2, billcity,
+          panno, tanno, phone, email, billcountryid, billstateid, billstreet1, billstreet2, billcity,
           billpin, shipcountryid, shipstateid, shipstreet1, shipstreet2, shipcity, shippin, isactive
         FROM "Customer"
         WHERE custid = $1
@@ -143,6 +144,7 @@ router.get('/api/GetCustomerDet/:custid', authenticateToken, async (req, res) =>
  *               gstno:
  *                 type: string
  *                 maxLength: 30
+ *                 description: GSTIN, saved in upper case
  *               paytermid:
  *                 type: integer
  *               placeofsupply:
@@ -150,6 +152,11 @@ router.get('/api/GetCustomerDet/:custid', authenticateToken, async (req, res) =>
  *               panno:
  *                 type: string
  *                 maxLength: 10
+ *                 description: PAN, must match characters 3 to 12 of the GSTIN
+ *               tanno:
+ *                 type: string
+ *                 maxLength: 10
+ *                 description: TAN of the customer as a TDS deductor, used to match the entries of Form 26AS
  *               phone:
  *                 type: string
  *                 maxLength: 20
@@ -203,12 +210,15 @@ router.get('/api/GetCustomerDet/:custid', authenticateToken, async (req, res) =>
  *       200:
  *         description: Record added or updated successfully
  *       400:
- *         description: Invalid request or missing parameters
+ *         description: >
+ *           Invalid request or missing parameters, or an invalid GSTIN, PAN or TAN. The GSTIN is required when the
+ *           GST treatment requires it, must have a valid check character, start with the GST state code of
+ *           billstateid and contain panno. Returns error and errors, a list of { field, message }.
  *       500:
  *         description: Internal server error
  */
 router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
-    const {
+    let {
       custid,
       custname,
       gsttreatmentid,
@@ -217,6 +227,7 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
       paytermid,
       placeofsupply,
       panno,
+      tanno,
       phone,
       email,
       billcountryid,
@@ -243,6 +254,12 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
     let custid1 = custid ? custid : 0;
     const updon = new Date();
     try {
+      const taxIds = await validateTaxIds(pool, { gstno, panno, tanno, stateid: billstateid, gsttreatmentid }, 'billstateid');
+      if (taxIds.errors.length) {
+        return res.status(400).json({ error: 'Invalid GSTIN, PAN or TAN', errors: taxIds.errors });
+      }
+      ({ gstno, panno, tanno } = taxIds);
+
       if (custid1 > 0) {
         const updateQuery = `
          UPDATE "Customer" SET
@@ -270,7 +287,8 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
           isactive = $23,
           compid = $24,
           userid = $25,
-          updon = $26
+          updon = $26,
+          tanno = COALESCE($27, tanno)
           where custid = $1
           `;
         await pool.query(updateQuery, [
@@ -299,7 +317,8 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
         isactive,
         compid,
         userid,
-        updon
+        updon,
+        tanno
       ]);
       writeToUserLog(userid, 'Updated Customer - '+custname + '[' + toString(custid1) + ']', compid, isweb);
       return res.status(200).json({ message: 'Customer updated successfully' });
@@ -310,10 +329,10 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
           custname, gsttreatmentid, currencycode, gstno, paytermid, placeofsupply,
           panno, phone, email, billcountryid, billstateid, billstreet1, billstreet2,
           billcity, billpin, shipcountryid, shipstateid, shipstreet1, shipstreet2,
-          shipcity, shippin, isactive, compid, userid, updon
+          shipcity, shippin, isactive, compid, userid, updon, tanno
         )
         VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26
         )
       `;
       await pool.query(insertQuery, [
@@ -341,7 +360,8 @@ router.post('/api/SaveCustomer', authenticateToken, async (req, res) => {
         isactive,
         compid,
         userid,
-        updon
+        updon,
+        tanno
       ]);
       writeToUserLog(userid, 'Created Customer - '+custname , compid, isweb);
       return res.status(200).json({ message: 'Customer added successfully' });
@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog, createHttpError } = require('./common');
+const { getEInvoiceData, buildEInvoiceJson, validateEInvoice } = require('./einvoiceJson');
+const { getIrpClient } = require('./irpClient');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+
+// Swagger documentation for E-Invoice API
+/**
+ * @swagger
+ * tags:
+ *   name: EInvoice
+ *   description: API endpoints for GST e-invoices registered on the Invoice Registration Portal (IRP)
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/einvoice:
+ *   get:
+ *     summary: Build the e-invoice JSON of an invoice and validate it against the e-invoice schema
+ *     tags: [EInvoice]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Returns valid, the list of errors ({ field, message }) and the e-invoice payload.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/invoices/:invid/einvoice', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+
+  if (!invid || isNaN(invid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const data = await getEInvoiceData(pool, invid);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const payload = buildEInvoiceJson(data);
+    const { valid, errors } = validateEInvoice(payload);
+
+    return res.status(200).json({ valid, errors, payload });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/irn:
+ *   post:
+ *     summary: Register an issued invoice on the IRP and store its IRN, acknowledgement and signed QR code
+ *     description: >
+ *       The IRP client is chosen with IRP_MODE, live calls IRP_URL and mock answers locally for development. Without
+ *       IRP_MODE the request is refused. The IRP is called outside the database transaction, the IRN is stored after.
+ *     tags: [EInvoice]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the invid, irn, ackno, ackdate and signedqr.
+ *       400:
+ *         description: Invalid request, or the e-invoice JSON does not pass the schema (errors lists the fields).
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: The invoice is a draft, cancelled or already has an IRN.
+ *       422:
+ *         description: The IRP rejected the e-invoice.
+ *       502:
+ *         description: The IRP could not be reached.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/invoices/:invid/irn', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  const { compid, userid, isweb } = req.body;
+
+  if (!invid || isNaN(invid) || !compid) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  let result;
+  let payload;
+  try {
+    const { rows } = await pool.query('SELECT invid, status, irn FROM "Invoice" WHERE invid = $1 AND compid = $2', [invid, compid]);
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Invoice not found');
+    }
+    if ([INVOICE_STATUS.DRAFT, INVOICE_STATUS.CANCELLED].includes(rows[0].status)) {
+      throw createHttpError(409, 'Only issued invoices can be registered on the IRP');
+    }
+    if (rows[0].irn) {
+      throw createHttpError(409, 'An IRN is already generated for the invoice');
+    }
+
+    payload = buildEInvoiceJson(await getEInvoiceData(pool, invid));
+    const { valid, errors } = validateEInvoice(payload);
+    if (!valid) {
+      return res.status(400).json({ error: 'The e-invoice has errors, correct them before generating the IRN', errors });
+    }
+
+    // No row is locked while the IRP answers, a second request for the same invoice is refused by the IRP as a duplicate
+    const irp = getIrpClient(payload.SellerDtls.Gstin);
+    result = await irp.generateIrn(payload);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT irn FROM "Invoice" WHERE invid = $1 FOR UPDATE', [invid]);
+    if (rows[0].irn) {
+      throw createHttpError(409, 'An IRN is already generated for the invoice');
+    }
+    await client.query(
+      `UPDATE "Invoice"
+       SET irn = $2, ackno = $3, ackdate = $4, signedqr = $5, signedinvoice = $6, updon = $7
+       WHERE invid = $1`,
+      [invid, result.irn, result.ackno, result.ackdate, result.signedqr, result.signedinvoice, new Date()]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Generated the IRN for the Invoice ' + payload.DocDtls.No, compid, isweb);
+    return res.status(200).json({
+      invid: Number(invid),
+      irn: result.irn,
+      ackno: result.ackno,
+      ackdate: result.ackdate,
+      signedqr: result.signedqr,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    // The IRN exists on the IRP from now on, it is logged so it can be stored by hand
+    console.error(`Error storing IRN ${result.irn} (ack ${result.ackno}) of invoice ${invid}:`, err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/irn:
+ *   get:
+ *     summary: Get the IRN, acknowledgement and signed QR code stored for an invoice
+ *     tags: [EInvoice]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Returns the invid, invno, irn, ackno, ackdate and signedqr.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found or no IRN generated.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/invoices/:invid/irn', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+
+  if (!invid || isNaN(invid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT invid, invno, irn, ackno, ackdate, signedqr FROM "Invoice" WHERE invid = $1 AND irn IS NOT NULL',
+      [invid]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'No IRN generated for the invoice' });
+    }
+
+    return res.status(200).json(rows[0]);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,441 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog, createHttpError } = require('./common');
+const {
+  TRANS_MODES,
+  VEHICLE_REASONS,
+  normaliseVehicleNo,
+  getEWayBillData,
+  buildEWayBillJson,
+  validateEWayBill,
+  buildPartBJson,
+} = require('./ewaybillJson');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+
+const VEHICLE_NO_PATTERN = /^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[A-Z0-9]{6,13})$/;
+
+// Swagger documentation for E-Way Bill API
+/**
+ * @swagger
+ * tags:
+ *   name: EWayBill
+ *   description: API endpoints for the transport details and e-way bills of goods invoices
+ */
+
+// Function to lock an invoice that can carry an e-way bill
+async function lockShippableInvoice(client, invid, compid) {
+  const { rows } = await client.query(
+    'SELECT invid, invno, status, ewbno, ewbvalidtill FROM "Invoice" WHERE invid = $1 AND compid = $2 FOR UPDATE',
+    [invid, compid]
+  );
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+  if (rows[0].status === INVOICE_STATUS.CANCELLED) {
+    throw createHttpError(409, 'Invoice is cancelled');
+  }
+  return rows[0];
+}
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/transport:
+ *   post:
+ *     summary: Save the transporter and vehicle details of an invoice
+ *     description: Once the e-way bill is generated, vehicle changes go through the Part-B update.
+ *     tags: [EWayBill]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transid:
+ *                 type: string
+ *                 description: Transporter GSTIN or enrolment ID
+ *               transname:
+ *                 type: string
+ *               transmode:
+ *                 type: string
+ *                 enum: ['1', '2', '3', '4']
+ *                 description: 1 Road, 2 Rail, 3 Air, 4 Ship
+ *               transdistance:
+ *                 type: integer
+ *                 description: Approximate distance in km
+ *               transdocno:
+ *                 type: string
+ *                 description: LR, RR, airway bill or bill of lading number
+ *               transdocdate:
+ *                 type: string
+ *                 format: date
+ *               vehicleno:
+ *                 type: string
+ *               vehicletype:
+ *                 type: string
+ *                 enum: [R, O]
+ *                 description: R Regular, O Over Dimensional Cargo
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Transport details saved.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: The invoice is cancelled or its e-way bill is already generated.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/invoices/:invid/transport', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  const { transid, transname, transmode, transdistance, transdocno, transdocdate, vehicletype, compid, userid, isweb } = req.body;
+  const vehicleno = normaliseVehicleNo(req.body.vehicleno);
+
+  if (!invid || isNaN(invid) || !compid) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (transmode && !TRANS_MODES[transmode]) {
+    return res.status(400).json({ error: 'transmode must be 1 (Road), 2 (Rail), 3 (Air) or 4 (Ship)' });
+  }
+  if (transdistance !== undefined && transdistance !== null && !(Number(transdistance) >= 0 && Number(transdistance) <= 4000)) {
+    return res.status(400).json({ error: 'transdistance must be between 0 and 4000 km' });
+  }
+  if (vehicleno && !VEHICLE_NO_PATTERN.test(vehicleno)) {
+    return res.status(400).json({ error: 'Invalid vehicle number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await lockShippableInvoice(client, invid, compid);
+    if (invoice.ewbno) {
+      throw createHttpError(409, 'The e-way bill is already generated, use the Part-B update to change the vehicle');
+    }
+
+    await client.query(
+      `UPDATE "Invoice"
+       SET transid = $2, transname = $3, transmode = $4, transdistance = $5, transdocno = $6, transdocdate = $7,
+         vehicleno = $8, vehicletype = $9, updon = $10
+       WHERE invid = $1`,
+      [invid, transid, transname, transmode, transdistance, transdocno, transdocdate || null, vehicleno, vehicletype, new Date()]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Updated the transport details of the Invoice ' + invoice.invno, compid, isweb);
+    return res.status(200).json({ message: 'Transport details saved successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/ewaybill:
+ *   get:
+ *     summary: Build the e-way bill JSON of a goods invoice and validate it
+ *     description: Only the goods items of the invoice are included. Also returns the stored e-way bill number, validity and vehicle updates.
+ *     tags: [EWayBill]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Returns valid, the list of errors ({ field, message }), the payload, ewbno, ewbdate, ewbvalidtill and vehicles.
+ *       400:
+ *         description: Invalid request, or the invoice has no goods items.
+ *       404:
+ *         description: Invoice not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/invoices/:invid/ewaybill', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+
+  if (!invid || isNaN(invid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const data = await getEWayBillData(pool, invid);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (data.items.length === 0) {
+      return res.status(400).json({ error: 'The invoice has no goods items, an e-way bill is not needed' });
+    }
+
+    const payload = buildEWayBillJson(data);
+    const { valid, errors } = validateEWayBill(payload);
+    const { rows: vehicles } = await pool.query(
+      `SELECT vehicleno, fromplace, fromstatecode, reasoncode, reasonrem, transdocno, transdocdate, transmode, updon
+       FROM "EWayBillVehicle" WHERE invid = $1 ORDER BY updon`,
+      [invid]
+    );
+    const { ewbno, ewbdate, ewbvalidtill } = data.header;
+
+    return res.status(200).json({ valid, errors, payload, ewbno, ewbdate, ewbvalidtill, vehicles });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/ewaybill:
+ *   post:
+ *     summary: Store the e-way bill number and validity returned by the e-way bill system
+ *     tags: [EWayBill]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ewbno:
+ *                 type: string
+ *                 description: 12 digit e-way bill number
+ *               ewbdate:
+ *                 type: string
+ *                 format: date-time
+ *               ewbvalidtill:
+ *                 type: string
+ *                 format: date-time
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - ewbno
+ *               - ewbdate
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: E-way bill details saved.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: The invoice is a draft, cancelled or already has an e-way bill.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/invoices/:invid/ewaybill', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  const { ewbno, ewbdate, ewbvalidtill, compid, userid, isweb } = req.body;
+
+  if (!invid || isNaN(invid) || !compid || !/^[0-9]{12}$/.test(String(ewbno || '')) || !ewbdate) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await lockShippableInvoice(client, invid, compid);
+    if (invoice.status === INVOICE_STATUS.DRAFT) {
+      throw createHttpError(409, 'Issue the invoice before generating its e-way bill');
+    }
+    if (invoice.ewbno) {
+      throw createHttpError(409, `E-way bill ${invoice.ewbno} is already generated for the invoice`);
+    }
+
+    await client.query(
+      'UPDATE "Invoice" SET ewbno = $2, ewbdate = $3, ewbvalidtill = $4, updon = $5 WHERE invid = $1',
+      [invid, String(ewbno), ewbdate, ewbvalidtill || null, new Date()]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Saved the e-way bill ' + ewbno + ' of the Invoice ' + invoice.invno, compid, isweb);
+    return res.status(200).json({ message: 'E-way bill details saved successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/ewaybill/partb:
+ *   post:
+ *     summary: Update the vehicle of an e-way bill (Part-B)
+ *     description: Records the change of vehicle, updates the transport details of the invoice and returns the Part-B JSON.
+ *     tags: [EWayBill]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicleno:
+ *                 type: string
+ *               fromplace:
+ *                 type: string
+ *               fromstatecode:
+ *                 type: integer
+ *               reasoncode:
+ *                 type: integer
+ *                 enum: [1, 2, 3, 4]
+ *                 description: 1 Break Down, 2 Transhipment, 3 Others, 4 First Time
+ *               reasonrem:
+ *                 type: string
+ *               transmode:
+ *                 type: string
+ *                 enum: ['1', '2', '3', '4']
+ *               transdocno:
+ *                 type: string
+ *               transdocdate:
+ *                 type: string
+ *                 format: date
+ *               vehicletype:
+ *                 type: string
+ *                 enum: [R, O]
+ *               ewbvalidtill:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New validity returned by the e-way bill system, if any
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - fromplace
+ *               - fromstatecode
+ *               - reasoncode
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the Part-B payload.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: The invoice has no e-way bill or it has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/invoices/:invid/ewaybill/partb', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  const update = { ...req.body, vehicleno: normaliseVehicleNo(req.body.vehicleno), transmode: String(req.body.transmode || 1) };
+  const { fromplace, fromstatecode, reasoncode, reasonrem, transmode, transdocno, transdocdate, vehicleno, ewbvalidtill, compid, userid, isweb } = update;
+
+  if (!invid || isNaN(invid) || !compid || !fromplace || !fromstatecode || !VEHICLE_REASONS[reasoncode] || !TRANS_MODES[transmode]) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (String(reasoncode) === '3' && !reasonrem) {
+    return res.status(400).json({ error: 'reasonrem is required when the reason is Others' });
+  }
+  if (transmode === '1' && !(vehicleno && VEHICLE_NO_PATTERN.test(vehicleno))) {
+    return res.status(400).json({ error: 'A valid vehicle number is required for road transport' });
+  }
+  if (transmode !== '1' && !transdocno) {
+    return res.status(400).json({ error: `transdocno is required for ${TRANS_MODES[transmode]} transport` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await lockShippableInvoice(client, invid, compid);
+    if (!invoice.ewbno) {
+      throw createHttpError(409, 'No e-way bill is generated for the invoice');
+    }
+    if (invoice.ewbvalidtill && new Date(invoice.ewbvalidtill) < new Date()) {
+      throw createHttpError(409, 'The e-way bill has expired, the vehicle can no longer be updated');
+    }
+
+    const payload = buildPartBJson(invoice.ewbno, update);
+    const updon = new Date();
+    await client.query(
+      `INSERT INTO "EWayBillVehicle"
+       (invid, ewbno, vehicleno, fromplace, fromstatecode, reasoncode, reasonrem, transdocno, transdocdate, transmode, userid, updon)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [invid, invoice.ewbno, vehicleno, fromplace, fromstatecode, reasoncode, reasonrem, transdocno, transdocdate || null, transmode, userid, updon]
+    );
+    await client.query(
+      `UPDATE "Invoice"
+       SET vehicleno = $2, transmode = $3, transdocno = $4, transdocdate = $5, vehicletype = COALESCE($6, vehicletype),
+         ewbvalidtill = COALESCE($7, ewbvalidtill), updon = $8
+       WHERE invid = $1`,
+      [invid, vehicleno, transmode, transdocno, transdocdate || null, update.vehicletype, ewbvalidtill || null, updon]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Updated the vehicle of the e-way bill ' + invoice.ewbno + ' to ' + (vehicleno || transdocno), compid, isweb);
+    return res.status(200).json({ payload });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
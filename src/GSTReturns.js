@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { GSTR1_SECTIONS, parseReturnPeriod, getGstr1Data, classifyGstr1, buildGstr1Json, buildGstr1Csv } = require('./gstr1');
+const { computeGstr3b } = require('./gstr3b');
+
+// Swagger documentation for GST Returns API
+/**
+ * @swagger
+ * tags:
+ *   name: GSTReturns
+ *   description: API endpoints for the data of the GST returns
+ */
+
+/**
+ * @swagger
+ * /api/reports/gstr1/{compid}:
+ *   get:
+ *     summary: Get the GSTR-1 data of a company for a month
+ *     description: >
+ *       Issued invoices are classified into B2B, B2CL, B2CS and EXP from the customer's GSTIN, GST treatment and place of supply.
+ *       Credit and debit notes go to CDNR or CDNUR after their invoice, notes on B2CS invoices net off in B2CS.
+ *       The JSON can be imported in the GST offline tool, format=csv returns the offline tool CSV of one section.
+ *     tags: [GSTReturns]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return period as MMYYYY, e.g. 072024
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: json (default) or csv
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *           enum: [b2b, b2cl, b2cs, exp, cdnr, cdnur, hsn, docs]
+ *         description: Section of the CSV, required when format is csv
+ *     responses:
+ *       200:
+ *         description: The GSTR-1 JSON (gstin, fp, b2b, b2cl, b2cs, exp, cdnr, cdnur, hsn, doc_issue) or the CSV of the section.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Company not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/reports/gstr1/:compid', authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const { period, format = 'json', section } = req.query;
+  const range = parseReturnPeriod(period);
+
+  if (!compid || isNaN(compid) || !range || !['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (format === 'csv' && !GSTR1_SECTIONS.includes(section)) {
+    return res.status(400).json({ error: 'section must be one of ' + GSTR1_SECTIONS.join(', ') });
+  }
+
+  try {
+    const data = await getGstr1Data(pool, compid, range.fromdate, range.todate);
+    if (!data.company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const sections = classifyGstr1(data);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${section}_${range.fp}.csv"`);
+      return res.status(200).send(buildGstr1Csv(section, sections));
+    }
+
+    return res.status(200).json(buildGstr1Json(data.company.gstno, range.fp, sections));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/gstr3b/{compid}:
+ *   get:
+ *     summary: Get the GSTR-3B outward supplies summary of a company for a month
+ *     description: >
+ *       Table 3.1 splits the issued invoices and notes into taxable (osup_det), zero rated (osup_zero), nil rated or exempt
+ *       (osup_nil_exmp) and reverse charge (osup_rcm) supplies with their IGST, CGST, SGST and cess.
+ *       Table 3.2 (inter_sup.unreg_details) is the inter-state supplies to unregistered persons by place of supply.
+ *     tags: [GSTReturns]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Return period as MMYYYY, e.g. 072024
+ *     responses:
+ *       200:
+ *         description: Returns gstin, ret_period, sup_details and inter_sup.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Company not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/reports/gstr3b/:compid', authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const range = parseReturnPeriod(req.query.period);
+
+  if (!compid || isNaN(compid) || !range) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const data = await getGstr1Data(pool, compid, range.fromdate, range.todate);
+    if (!data.company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    return res.status(200).json({ gstin: data.company.gstno, ret_period: range.fp, ...computeGstr3b(data) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
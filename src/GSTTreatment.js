@@ -3,6 +3,7 @@ const pool = require('../db'); // Import the database connection
 const authMiddleware = require('../authMiddleware'); // Import the authentication middleware
 const router = express.Router();
 const { writeToUserLog } = require('./common');
+const { TREATMENTS, resolveTreatment } = require('./taxEngine');
 
 /**
  * @swagger
@@ -27,7 +28,7 @@ const { writeToUserLog } = require('./common');
  */
 router.get('/api/GetGSTTreatment', authMiddleware, async (req, res) => {
   try {
-    const gsttreatments = await pool.query('SELECT gsttreatmentid, gsttreatment FROM public."GSTTreatment"');
+    const gsttreatments = await pool.query('SELECT gsttreatmentid, gsttreatment, treatcode FROM public."GSTTreatment"');
     res.status(200).json(gsttreatments.rows);
   } catch (error) {
     console.error('Error retrieving GST Treatments:', error);
@@ -138,6 +139,10 @@ router.delete('/api/gsttreatments/:gsttreatmentid', authMiddleware, async (req,
  *                 type: boolean
  *               reqsupplace:
  *                 type: boolean
+ *               treatcode:
+ *                 type: string
+ *                 enum: [REG, COMP, UNREG, CONS, SEZWP, SEZWOP, EXPWP, EXPWOP, DEEMED]
+ *                 description: Treatment used by the tax engine, derived from the name when not given
  *               userid:
  *                 type: integer
  *               isweb:
@@ -145,18 +150,25 @@ router.delete('/api/gsttreatments/:gsttreatmentid', authMiddleware, async (req,
  *     responses:
  *       201:
  *         description: GST Treatment created or updated successfully
+ *       400:
+ *         description: Unknown treatcode
  *       500:
  *         description: An error occurred while creating or updating the GST Treatment
  */
 router.post('/api/SaveGSTTreatment', authMiddleware, async (req, res) => {
   const { gsttreatmentid, gsttreatment, reqgstno, reqsupplace,  userid, isweb } = req.body;
+  const treatcode = req.body.treatcode ? String(req.body.treatcode).trim().toUpperCase() : null;
+
+  if (treatcode && !TREATMENTS[treatcode]) {
+    return res.status(400).json({ error: 'treatcode must be one of ' + Object.keys(TREATMENTS).join(', ') });
+  }
 
   try {
     const gsttreatmentExists = await pool.query('SELECT * FROM public."GSTTreatment" WHERE TRIM(gsttreatment) ILIKE $1', [gsttreatment.trim()]);
     const compid = 0;
 
     if (gsttreatmentExists.rows.length > 0) {
-      await pool.query('UPDATE public."GSTTreatment" SET gsttreatment = $1, reqgstno = $2, reqsupplace = $3 WHERE TRIM(gsttreatment) ILIKE $1', [gsttreatment.trim(), reqgstno, reqsupplace]);
+      await pool.query('UPDATE public."GSTTreatment" SET gsttreatment = $1, reqgstno = $2, reqsupplace = $3, treatcode = COALESCE($4, treatcode) WHERE TRIM(gsttreatment) ILIKE $1', [gsttreatment.trim(), reqgstno, reqsupplace, treatcode]);
       res.status(201).json({ message: 'GST Treatment updated successfully' });
       writeToUserLog(userid, 'Updated GST Treatment - '+gsttreatment, compid, isweb);
     } else {
@@ -165,18 +177,18 @@ router.post('/api/SaveGSTTreatment', authMiddleware, async (req, res) => {
         const gsttreatmentExists1 = await pool.query('SELECT * FROM public."GSTTreatment" WHERE gsttreatmentid = $1', [gsttreatmentid]);
         if (gsttreatmentExists1.rows.length > 0) 
           {
-          await pool.query('UPDATE public."GSTTreatment" SET gsttreatment = $1, reqgstno = $3, reqsupplace = $4 WHERE gsttreatmentid = $2', [gsttreatment, gsttreatmentid, reqgstno, reqsupplace]);
+          await pool.query('UPDATE public."GSTTreatment" SET gsttreatment = $1, reqgstno = $3, reqsupplace = $4, treatcode = COALESCE($5, treatcode) WHERE gsttreatmentid = $2', [gsttreatment, gsttreatmentid, reqgstno, reqsupplace, treatcode]);
           res.status(201).json({ message: 'GST Treatment updated successfully' });
           writeToUserLog(userid, 'Updated GST Treatment - '+gsttreatmentid.toString(), compid, isweb);
         }
         else{
-          await pool.query('INSERT INTO public."GSTTreatment" (gsttreatment, reqgstno, reqsupplace) VALUES ($1, $2, $3)', [gsttreatment, reqgstno, reqsupplace]);
+          await pool.query('INSERT INTO public."GSTTreatment" (gsttreatment, reqgstno, reqsupplace, treatcode) VALUES ($1, $2, $3, $4)', [gsttreatment, reqgstno, reqsupplace, treatcode || resolveTreatment(null, gsttreatment)]);
           res.status(201).json({ message: 'GST Treatment created successfully' });
           writeToUserLog(userid, 'Created GST Treatment - '+gsttreatment, compid, isweb);
         }
       }
       else{
-        await pool.query('INSERT INTO public."GSTTreatment" (gsttreatment, reqgstno, reqsupplace) VALUES ($1, $2, $3)', [gsttreatment, reqgstno, reqsupplace]);
+        await pool.query('INSERT INTO public."GSTTreatment" (gsttreatment, reqgstno, reqsupplace, treatcode) VALUES ($1, $2, $3, $4)', [gsttreatment, reqgstno, reqsupplace, treatcode || resolveTreatment(null, gsttreatment)]);
         res.status(201).json({ message: 'GST Treatment created successfully' });
         writeToUserLog(userid, 'Created GST Treatment - '+gsttreatment, compid, isweb);
       }
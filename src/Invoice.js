@@ -2,7 +2,17 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticateToken = require('../authMiddleware');
-const { writeToUserLog } = require('./common');
+const { writeToUserLog, createHttpError } = require('./common');
+const { COPY_LABELS, getInvoicePrintData, renderInvoicePdf } = require('./invoicePdf');
+const { saveInvoice, refreshInvoiceDue, getItemRates } = require('./invoiceStore');
+const {
+  getFiscalStartMonth, formatDocNumber, isValidPattern, isEarlierFiscalYear, takeNextNumber, previewEarlierFyNumber,
+  allocateInvoiceNo, ensureUniqueInvNo,
+} = require('./docNumber');
+const { INVOICE_STATUS, STATUS_LABELS, canTransition, assertCancellable, lockEditableInvoice } = require('./invoiceStatus');
+const { getTaxContext } = require('./taxEngine');
+const { computeLine } = require('./invoiceCalc');
+const { ITEM_TAX_COLUMNS, summariseHsn } = require('./gstr1');
 
 // Swagger documentation for Invoice API
 /**
@@ -12,11 +22,37 @@ const { writeToUserLog } = require('./common');
  *   description: API endpoints for Invoice
  */
 
+// Columns the invoice list can be sorted on, with the cast used to compare the cursor value.
+// Nullable columns are coalesced so the row comparison of the cursor never meets a NULL and skips rows.
+const INVOICE_SORTS = {
+  invdate: { expr: 'I.invdate', cast: 'date' },
+  duedate: { expr: 'COALESCE(I.duedate, I.invdate)', cast: 'date' },
+  invno: { expr: "COALESCE(I.invno, '')", cast: 'text' },
+  custname: { expr: "COALESCE(C.custname, '')", cast: 'text' },
+  total: { expr: 'COALESCE(I.total, 0)', cast: 'numeric' },
+  amtdue: { expr: 'COALESCE(I.amtdue, 0)', cast: 'numeric' },
+};
+
+// Function to encode and decode the opaque cursor of the invoice list, the sort value and invid of the last row
+function encodeCursor(sortkey, invid) {
+  return Buffer.from(JSON.stringify([sortkey, invid])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sortkey, invid] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(invid) ? { sortkey, invid } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
 /**
  * @swagger
  * /api/GetInvoiceList:
  *   get:
- *     summary: Get the list of invoices from the Invoice Table for an Company
+ *     summary: Get the invoices of a Company with filters and sorting
+ *     description: Returns all the matching invoices as an array. When limit or cursor is passed, returns one page as invoices and nextcursor, the next page is fetched with the nextcursor of the previous page, it is null on the last page.
  *     tags: [Invoice]
  *     security:
  *       - basicAuth: []
@@ -27,35 +63,165 @@ const { writeToUserLog } = require('./common');
  *           type: integer
  *         required: true
  *         description: Company ID
+ *       - in: query
+ *         name: fromdate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Invoices dated on or after this date
+ *       - in: query
+ *         name: todate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Invoices dated on or before this date
+ *       - in: query
+ *         name: custid
+ *         schema:
+ *           type: integer
+ *         description: Only the invoices of this customer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, issued, partpaid, paid, cancelled]
+ *         description: Only the invoices with this status
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only the issued or partially paid invoices past their due date
+ *       - in: query
+ *         name: minamount
+ *         schema:
+ *           type: number
+ *         description: Invoices with a total of at least this amount
+ *       - in: query
+ *         name: maxamount
+ *         schema:
+ *           type: number
+ *         description: Invoices with a total of at most this amount
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the invoice number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [invdate, duedate, invno, custname, total, amtdue]
+ *         description: Sort column, invdate by default
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort order, desc by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *         description: Number of invoices per page, 50 when only cursor is passed
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextcursor returned with the previous page
  *     responses:
  *       200:
- *         description: Returns the list of invoices with invid, invno, invdate, custname, and total.
+ *         description: Returns the invoices (invid, invno, invdate, duedate, custid, custname, currencycode, total, amtdue, status), with nextcursor when paged.
+ *       400:
+ *         description: Invalid request or missing parameters.
  *       500:
  *         description: Internal server error.
  */
 router.get('/api/GetInvoiceList', authenticateToken, async (req, res) => {
-    const { compid } = req.query;
+    const { compid, fromdate, todate, custid, status, overdue, minamount, maxamount, search, cursor } = req.query;
+    const sort = req.query.sort || 'invdate';
+    const order = (req.query.order || 'desc').toLowerCase();
+    // Paging is opt-in, callers that pass neither limit nor cursor keep getting the whole list as an array
+    const paged = req.query.limit !== undefined || cursor !== undefined;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
   
-    if (!compid) {
+    if (!compid || (status && !STATUS_LABELS[status]) || !INVOICE_SORTS[sort] || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Invalid request or missing parameters' });
+    }
+    if (paged && (!Number.isInteger(limit) || limit < 1 || limit > 200)) {
+      return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+    if ((minamount && isNaN(minamount)) || (maxamount && isNaN(maxamount)) || (custid && isNaN(custid))) {
       return res.status(400).json({ error: 'Invalid request or missing parameters' });
     }
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
   
     try {
+      const { expr, cast } = INVOICE_SORTS[sort];
+      const params = [compid];
+      const filters = ['I.compid = $1'];
+      const addFilter = (condition, value) => {
+        params.push(value);
+        filters.push(condition.replace('?', `$${params.length}`));
+      };
+
+      if (fromdate) addFilter('I.invdate >= ?', fromdate);
+      if (todate) addFilter('I.invdate <= ?', todate);
+      if (custid) addFilter('I.custid = ?', custid);
+      if (status) addFilter('I.status = ?', status);
+      if (minamount) addFilter('I.total >= ?', minamount);
+      if (maxamount) addFilter('I.total <= ?', maxamount);
+      if (search) addFilter('I.invno ILIKE ?', `%${search.trim()}%`);
+      if (overdue === 'true') {
+        filters.push(`I.status IN ('issued', 'partpaid') AND I.duedate < CURRENT_DATE AND I.amtdue > 0`);
+      }
+
+      // Keyset pagination, invid breaks the ties between rows with the same sort value
+      if (after) {
+        params.push(after.sortkey, after.invid);
+        const op = order === 'asc' ? '>' : '<';
+        filters.push(`(${expr}, I.invid) ${op} ($${params.length - 1}::${cast}, $${params.length})`);
+      }
+      if (paged) {
+        params.push(limit + 1);
+      }
+
       const query = `
         SELECT
-          "Invoice".invid,
-          "Invoice".invno,
-          "Invoice".invdate,
-          "Customer".custname,
-          "Invoice".total
-        FROM "Invoice"
-        INNER JOIN "Customer" ON "Invoice".custid = "Customer".custid
-        WHERE "Invoice".compid = $1
+          I.invid,
+          I.invno,
+          I.invdate,
+          I.duedate,
+          I.custid,
+          C.custname,
+          I.currencycode,
+          I.total,
+          I.amtdue,
+          I.status,
+          (${expr})::text AS sortkey
+        FROM "Invoice" I
+        INNER JOIN "Customer" C ON I.custid = C.custid
+        WHERE ${filters.join(' AND ')}
+        ORDER BY ${expr} ${order}, I.invid ${order}
+        ${paged ? `LIMIT $${params.length}` : ''}
       `;
   
-      const { rows } = await pool.query(query, [compid]);
+      const { rows } = await pool.query(query, params);
+      if (!paged) {
+        rows.forEach((row) => delete row.sortkey);
+        return res.status(200).json(rows);
+      }
+      const hasMore = rows.length > limit;
+      const invoices = rows.slice(0, limit);
+      const last = invoices[invoices.length - 1];
+      const nextcursor = hasMore ? encodeCursor(last.sortkey, last.invid) : null;
+      invoices.forEach((row) => delete row.sortkey);
   
-      return res.status(200).json(rows);
+      return res.status(200).json({ invoices, nextcursor });
     } catch (err) {
       console.error(err);
       return res.status(500).json({ error: 'Internal server error' });
@@ -66,7 +232,7 @@ router.get('/api/GetInvoiceList', authenticateToken, async (req, res) => {
  * @swagger
  * /api/SaveInvNo:
  *   post:
- *     summary: Create or update the InvoiceSetting table for compid, ismanual, invprefix, and nextno based on compid
+ *     summary: Create or update the InvoiceSetting table for compid, ismanual, invprefix, nextno and numpattern based on compid
  *     tags: [Invoice]
  *     security:
  *       - basicAuth: []
@@ -89,6 +255,9 @@ router.get('/api/GetInvoiceList', authenticateToken, async (req, res) => {
  *               nextno:
  *                 type: integer
  *                 required: true
+ *               numpattern:
+ *                 type: string
+ *                 description: Optional numbering pattern, e.g. INV/{FY}/{SEQ:5}. Tokens are {SEQ} or {SEQ:n}, {FY}, {YYYY}, {YY} and {MM}. With {FY} the sequence restarts every fiscal year.
  *               userid:
  *                 type: integer
  *                 required: true
@@ -104,22 +273,25 @@ router.get('/api/GetInvoiceList', authenticateToken, async (req, res) => {
  *         description: Internal server error.
  */
 router.post('/api/SaveInvNo', authenticateToken, async (req, res) => {
-    const { compid, ismanual, invprefix, nextno, userid, isweb } = req.body;
+    const { compid, ismanual, invprefix, nextno, numpattern, userid, isweb } = req.body;
   
     if (!compid || typeof ismanual !== 'boolean' || !invprefix || typeof nextno !== 'number') {
       return res.status(400).json({ error: 'Invalid request or missing parameters' });
     }
+    if (numpattern && !isValidPattern(numpattern)) {
+      return res.status(400).json({ error: 'Numbering pattern must contain {SEQ} or {SEQ:n}' });
+    }
   
     try {
       const query = `
-        INSERT INTO "InvoiceSetting" (compid, ismanual, invprefix, nextno)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO "InvoiceSetting" (compid, ismanual, invprefix, nextno, numpattern)
+        VALUES ($1, $2, $3, $4, $5)
         ON CONFLICT (compid)
         DO UPDATE
-        SET ismanual = $2, invprefix = $3, nextno = $4
+        SET ismanual = $2, invprefix = $3, nextno = $4, numpattern = $5
       `;
   
-      await pool.query(query, [compid, ismanual, invprefix, nextno]);
+      await pool.query(query, [compid, ismanual, invprefix, nextno, numpattern || null]);
       writeToUserLog(userid, 'Updated the Invoice Number setting',compid, isweb)
       return res.status(200).json({ message: 'Invoice Setting record created or updated successfully.' });
     } catch (err) {
@@ -132,7 +304,7 @@ router.post('/api/SaveInvNo', authenticateToken, async (req, res) => {
  * @swagger
  * /api/GetNextInvNo:
  *   get:
- *     summary: Get invprefix and nextno from InvoiceSetting for a given compid
+ *     summary: Get invprefix, nextno and a preview of the next invoice number from InvoiceSetting for a given compid
  *     tags: [Invoice]
  *     security:
  *       - basicAuth: []
@@ -143,9 +315,15 @@ router.post('/api/SaveInvNo', authenticateToken, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: Company ID for which to fetch the invprefix and nextno.
+ *       - in: query
+ *         name: invdate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Invoice date used for the fiscal year tokens of the preview, defaults to today.
  *     responses:
  *       200:
- *         description: Returns the invprefix and nextno for the specified compid.
+ *         description: Returns the invprefix, nextno and nextinvno for the specified compid. The number is only a preview, it is allocated when the invoice is saved.
  *       400:
  *         description: Invalid request or missing parameters.
  *       500:
@@ -153,6 +331,7 @@ router.post('/api/SaveInvNo', authenticateToken, async (req, res) => {
  */
 router.get('/api/GetNextInvNo', authenticateToken, async (req, res) => {
     const { compid } = req.query;
+    const invdate = req.query.invdate || new Date();
   
     if (!compid) {
       return res.status(400).json({ error: 'Invalid request or missing parameters' });
@@ -161,15 +340,38 @@ router.get('/api/GetNextInvNo', authenticateToken, async (req, res) => {
     try {
       const query = `
         SELECT
+          ismanual,
           CASE WHEN ismanual = true THEN '' ELSE invprefix END AS invprefix,
-          CASE WHEN ismanual = true THEN '' ELSE nextno::text END AS nextno
+          CASE WHEN ismanual = true THEN '' ELSE nextno::text END AS nextno,
+          numpattern,
+          fystart
         FROM "InvoiceSetting"
         WHERE compid = $1
       `;
   
       const { rows } = await pool.query(query, [compid]);
+
+      if (rows.length === 0) {
+        return res.status(200).json(rows[0]);
+      }
+
+      const { ismanual, invprefix, nextno, numpattern, fystart } = rows[0];
+      let nextinvno = '';
+      if (!ismanual) {
+        const startMonth = await getFiscalStartMonth(pool, compid);
+        const pattern = numpattern || `${invprefix}{SEQ}`;
+        if (isEarlierFiscalYear({ pattern, fystart }, invdate, startMonth)) {
+          nextinvno = await previewEarlierFyNumber(pool, compid, 'INV', pattern, invdate, startMonth);
+        } else {
+          try {
+            nextinvno = takeNextNumber({ pattern, nextno, fystart }, invdate, startMonth).docno;
+          } catch (err) {
+            nextinvno = formatDocNumber(pattern, nextno, invdate, startMonth);
+          }
+        }
+      }
   
-      return res.status(200).json(rows[0]);
+      return res.status(200).json({ invprefix, nextno, nextinvno });
     } catch (err) {
       console.error(err);
       return res.status(500).json({ error: 'Internal server error' });
@@ -228,9 +430,22 @@ router.get('/api/GetInvoiceDet/:invid', authenticateToken, async (req, res) => {
           notes,
           tnc,
           stot,
+          cgst,
+          sgst,
+          igst,
+          cess,
+          isrcm,
           tdsamount,
           roundoff,
-          total
+          total,
+          amtdue,
+          status,
+          cancelreason,
+          quoteid,
+          profileid,
+          irn,
+          ackno,
+          ackdate
         FROM "Invoice"
         WHERE invid = $1
       `;
@@ -288,6 +503,8 @@ router.get('/api/GetInvoiceItem/:invid', authenticateToken, async (req, res) =>
           "InvoiceItem".quantity,
           "InvoiceItem".rate,
           "InvoiceItem".discount,
+          "InvoiceItem".taxinclusive,
+          COALESCE("InvoiceItem".taxable, "InvoiceItem".amount - "InvoiceItem".discount) AS taxable,
           "InvoiceItem".taxtotal,
           "InvoiceItem".total
         FROM "InvoiceItem"
@@ -347,7 +564,8 @@ router.get('/api/GetInvoiceTax/:invid', authenticateToken, async (req, res) => {
           percentage,
           csgt,
           sgst,
-          igst
+          igst,
+          cess
         FROM "InvoiceTax"
         WHERE invid = $1
       `;
@@ -428,6 +646,12 @@ router.get('/api/GetInvoiceTax/:invid', authenticateToken, async (req, res) => {
  *                 type: number
  *               igst:
  *                 type: number
+ *               cess:
+ *                 type: number
+ *                 description: Compensation cess of the invoice, included in the total
+ *               isrcm:
+ *                 type: boolean
+ *                 description: Reverse charge, the total must then leave out the tax
  *               currencycode:
  *                 type: string
  *               userid:
@@ -442,9 +666,13 @@ router.get('/api/GetInvoiceTax/:invid', authenticateToken, async (req, res) => {
  *               - total
  *     responses:
  *       200:
- *         description: Returns the invid if the operation is successful, otherwise 0 if failed.
+ *         description: Returns the invid and invno if the operation is successful. New invoices get the next number of the series when numbering is automatic and are saved as drafts, they are issued with /api/invoices/{invid}/status once their items are saved.
  *       400:
  *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: Invoice number is already used by another invoice of the company, or the invoice is no longer a draft.
  *       500:
  *         description: Internal server error.
  */
@@ -473,6 +701,8 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
     cgst, 
     sgst, 
     igst, 
+    cess,
+    isrcm,
     currencycode,
     userid, 
     compid, 
@@ -485,11 +715,23 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
 
   const invid1 = invid ? invid : 0;
 
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
+    // Only draft invoices can be changed
+    if (invid1 > 0) {
+      await lockEditableInvoice(client, invid1);
+    }
+
+    // New invoices take the next number of the series when numbering is automatic
+    const invno1 = invid1 > 0 ? invno : (await allocateInvoiceNo(client, compid, invdate)) || invno;
+    await ensureUniqueInvNo(client, compid, invno1, invid1);
+
     let query;
     const updon = new Date();
     let queryParams = [
-      invno,
+      invno1,
       invdate,
       shipcountryid,
       shipstateid,
@@ -514,7 +756,9 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
       userid,
       compid,
       custid,
-      updon
+      updon,
+      cess || 0,
+      isrcm === true
     ];
 
     let updFlag = false;
@@ -547,8 +791,10 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
           userid = $23,
           compid = $24,
           custid = $25,
-          updon = $26
-        WHERE invid = $27
+          updon = $26,
+          cess = $27,
+          isrcm = $28
+        WHERE invid = $29
         RETURNING invid;
       `;
       queryParams.push(invid1);
@@ -556,36 +802,306 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
     } else {
       query = `
         INSERT INTO "Invoice"
-        (invno, invdate, shipcountryid, shipstate, shipstreet1, shipstreet2, shipcity, shippin, ordno, termid, duedate, subject, notes, tnc, stot, tdsamount, roundoff, total, cgst, sgst, igst, amtdue, currencycode, userid, compid, custid, updon)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $18, $22, $23, $24, $25, $26)
+        (invno, invdate, shipcountryid, shipstate, shipstreet1, shipstreet2, shipcity, shippin, ordno, termid, duedate, subject, notes, tnc, stot, tdsamount, roundoff, total, cgst, sgst, igst, amtdue, currencycode, userid, compid, custid, updon, cess, isrcm, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $18, $22, $23, $24, $25, $26, $27, $28, $29)
         RETURNING invid;
       `;
+      // The items are saved by later calls, the invoice stays a draft until it is issued through the status route
+      queryParams.push(INVOICE_STATUS.DRAFT);
     }
 
-    const { rows } = await pool.query(query, queryParams);
+    const { rows } = await client.query(query, queryParams);
 
     if (rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(500).json({ error: 'Failed to create or update the invoice' });
     }
     else {
       if (updFlag) {
-        writeToUserLog(userid, 'Updated the Invoice ' + invno ,compid, isweb)
         query = 'Delete from "InvoiceItem" where invoiceid=$1';
         queryParams = [invid];
-        await pool.query(query, queryParams);
+        await client.query(query, queryParams);
         query = 'Delete from "InvoiceTax" where invid=$1';
         queryParams = [invid];
-        await pool.query(query, queryParams);
+        await client.query(query, queryParams);
       }
-      else {
-        writeToUserLog(userid, 'Created the Invoice ' + invno ,compid, isweb)
+    }
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (updFlag ? 'Updated the Invoice ' : 'Created the Invoice ') + invno1 ,compid, isweb)
+    return res.status(200).json({ invid: rows[0].invid, invno: invno1 });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Invoice number is already used' });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/SaveInvoice:
+ *   post:
+ *     summary: Create or update an invoice with its items and tax rows in a single transaction.
+ *     description: Tax, sub total and total are computed on the server from the items. Either everything is saved or nothing is.
+ *     tags: [Invoice]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               invid:
+ *                 type: integer
+ *                 description: 0 or empty to create a new invoice
+ *               custid:
+ *                 type: integer
+ *               invno:
+ *                 type: string
+ *                 description: Required when invoice numbering is manual, allocated by the server otherwise
+ *               invdate:
+ *                 type: string
+ *                 format: date
+ *               shipcountryid:
+ *                 type: integer
+ *               shipstateid:
+ *                 type: integer
+ *               shipstreet1:
+ *                 type: string
+ *               shipstreet2:
+ *                 type: string
+ *               shipcity:
+ *                 type: string
+ *               shippin:
+ *                 type: string
+ *               ordno:
+ *                 type: string
+ *               paytermid:
+ *                 type: integer
+ *               duedate:
+ *                 type: string
+ *                 format: date
+ *               subject:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               tnc:
+ *                 type: string
+ *               tdsamount:
+ *                 type: number
+ *               roundoff:
+ *                 type: number
+ *               currencycode:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemid:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *                       description: Defaults to the item's sellprice
+ *                     discount:
+ *                       type: number
+ *                     taxinclusive:
+ *                       type: boolean
+ *                       description: Rate and discount include the tax, the taxable value is derived from them. Defaults to the item's taxinclusive
+ *               userid:
+ *                 type: integer
+ *               compid:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [draft, issued]
+ *                 description: draft (default) keeps the invoice editable, issued locks it
+ *               isrcm:
+ *                 type: boolean
+ *                 description: Reverse charge, the tax is shown but left out of the total. When not given, true if all items are reverse charge.
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - custid
+ *               - invdate
+ *               - compid
+ *               - items
+ *     responses:
+ *       200:
+ *         description: Returns the invid, invno, status and the computed totals.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: Invoice number is already used by another invoice of the company, or the invoice is no longer a draft.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/SaveInvoice', authenticateToken, async (req, res) => {
+  const invoice = req.body;
+  const { invid, custid, invdate, items, userid, compid, isweb } = invoice;
+
+  if (!custid || !invdate || !compid || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (items.some((line) => !line.itemid || !(Number(line.quantity) > 0))) {
+    return res.status(400).json({ error: 'Each item needs an itemid and a quantity greater than 0' });
+  }
+  if (invoice.isrcm !== undefined && invoice.isrcm !== null && typeof invoice.isrcm !== 'boolean') {
+    return res.status(400).json({ error: 'isrcm must be true or false' });
+  }
+  if (items.some((line) => line.taxinclusive !== undefined && line.taxinclusive !== null && typeof line.taxinclusive !== 'boolean')) {
+    return res.status(400).json({ error: 'taxinclusive of an item must be true or false' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveInvoice(client, invoice);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (invid > 0 ? 'Updated the Invoice ' : 'Created the Invoice ') + saved.invno, compid, isweb);
+    return res.status(200).json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Invoice number is already used' });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/status:
+ *   post:
+ *     summary: Issue or cancel an invoice
+ *     description: Draft invoices can be issued or cancelled, issued invoices can be cancelled while no payment is adjusted against them and they have no IRN or e-way bill. Partially paid and paid are set from the amount due.
+ *     tags: [Invoice]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [issued, cancelled]
+ *               reason:
+ *                 type: string
+ *                 description: Required to cancel an invoice
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - status
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the invid, invno, status and amtdue of the invoice.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Invoice not found.
+ *       409:
+ *         description: The invoice cannot move to the requested status, or it has an IRN or e-way bill and cannot be cancelled here.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/invoices/:invid/status', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  const { status, reason, compid, userid, isweb } = req.body;
+
+  if (!invid || isNaN(invid) || !compid || ![INVOICE_STATUS.ISSUED, INVOICE_STATUS.CANCELLED].includes(status)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (status === INVOICE_STATUS.CANCELLED && !(reason && reason.trim())) {
+    return res.status(400).json({ error: 'A reason is required to cancel an invoice' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT invid, invno, status, irn, ewbno FROM "Invoice" WHERE invid = $1 AND compid = $2 FOR UPDATE',
+      [invid, compid]
+    );
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Invoice not found');
+    }
+    const invoice = rows[0];
+    if (!canTransition(invoice.status, status)) {
+      throw createHttpError(409, `A ${STATUS_LABELS[invoice.status] || invoice.status} invoice cannot be ${status}`);
+    }
+
+    const now = new Date();
+    if (status === INVOICE_STATUS.ISSUED) {
+      const { rows: itemRows } = await client.query('SELECT 1 FROM "InvoiceItem" WHERE invoiceid = $1 LIMIT 1', [invid]);
+      if (itemRows.length === 0) {
+        throw createHttpError(409, 'An invoice without items cannot be issued');
       }
+      await client.query(
+        'UPDATE "Invoice" SET status = $2, issuedon = $3, updon = $3 WHERE invid = $1',
+        [invid, status, now]
+      );
+    } else {
+      assertCancellable(invoice);
+      const { rows: adjRows } = await client.query('SELECT 1 FROM Adjustment WHERE invid = $1 AND adjustamt <> 0 LIMIT 1', [invid]);
+      if (adjRows.length > 0) {
+        throw createHttpError(409, 'Payments are adjusted against the invoice, remove the adjustments before cancelling it');
+      }
+      await client.query(
+        'UPDATE "Invoice" SET status = $2, cancelreason = $3, cancelledon = $4, updon = $4 WHERE invid = $1',
+        [invid, status, reason.trim(), now]
+      );
     }
+    const amtdue = await refreshInvoiceDue(client, invid);
+    await client.query('COMMIT');
 
-    return res.status(200).json({ invid: rows[0].invid });
+    writeToUserLog(userid, (status === INVOICE_STATUS.ISSUED ? 'Issued the Invoice ' : 'Cancelled the Invoice ') + invoice.invno, compid, isweb);
+    return res.status(200).json({ invid: invoice.invid, invno: invoice.invno, status, amtdue });
   } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -594,6 +1110,7 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
  * /api/SaveInvoiceItem:
  *   post:
  *     summary: Create a row in InvoiceItem Table with calculated tax details.
+ *     description: The line is computed the same way as by /api/SaveInvoice.
  *     tags: [Invoice]
  *     security:
  *       - basicAuth: []
@@ -614,16 +1131,21 @@ router.post('/api/SaveInvoiceDet', authenticateToken, async (req, res) => {
  *                 type: number
  *               discount:
  *                 type: number
+ *               taxinclusive:
+ *                 type: boolean
+ *                 description: Rate and discount include the tax, the taxable value is derived from them. Defaults to the item's taxinclusive
  *     responses:
  *       200:
  *         description: Successfully created a row in the InvoiceItem Table.
  *       400:
- *         description: Invalid request or missing parameters.
+ *         description: Invalid request or missing parameters, or the item is not an item of the company.
+ *       409:
+ *         description: The invoice is no longer a draft.
  *       500:
  *         description: Internal server error.
  */
 router.post('/api/SaveInvoiceItem', authenticateToken, async (req, res) => {
-  const { invoiceid, itemid, quantity, rate, discount } = req.body;
+  const { invoiceid, itemid, quantity, rate, discount, taxinclusive } = req.body;
 
   if (!invoiceid || !itemid || !quantity || !rate ) {
     return res.status(400).json({ error: 'Invalid request or missing parameters' });
@@ -632,7 +1154,7 @@ router.post('/api/SaveInvoiceItem', authenticateToken, async (req, res) => {
   try {
     // Fetch compid and custid from the Invoice Table for the given invoiceid
     const queryInvoiceData = `
-      SELECT compid, custid
+      SELECT compid, custid, status, shipstateid, invdate
       FROM "Invoice"
       WHERE invid = $1
     `;
@@ -641,67 +1163,39 @@ router.post('/api/SaveInvoiceItem', authenticateToken, async (req, res) => {
     if (invoiceDataRows.length === 0) {
       return res.status(400).json({ error: 'No invoice found for the given invoiceid' });
     }
+    if (invoiceDataRows[0].status !== INVOICE_STATUS.DRAFT) {
+      return res.status(409).json({ error: 'Only draft invoices can be changed' });
+    }
 
-    const compid = invoiceDataRows[0].compid;
-    const custid = invoiceDataRows[0].custid;
+    const { compid, custid, shipstateid, invdate } = invoiceDataRows[0];
 
-    // Get taxrate from the Items table for the given itemid
-    const queryTaxRate = `
-      SELECT taxrate
-      FROM "Items"
-      WHERE itemid = $1
-    `;
-    const { rows: taxRateRows } = await pool.query(queryTaxRate, [itemid]);
-    const taxrate = taxRateRows.length ? taxRateRows[0].taxrate : 0;
-
-    // Check the stateid from the Company table for the given compid
-    const queryCompanyState = `
-      SELECT stateid
-      FROM "Company"
-      WHERE compid = $1
-    `;
-    const { rows: companyStateRows } = await pool.query(queryCompanyState, [compid]);
-    const stateid = companyStateRows.length ? companyStateRows[0].stateid : 0;
-
-    // Check the billstateid from the Customer table for the given custid and invoiceid
-    const queryCustomerState = `
-      SELECT placeofsupply
-      FROM "Customer"
-      WHERE custid = $1 AND custid IN (
-        SELECT custid
-        FROM "Invoice"
-        WHERE invid = $2
-      )
-    `;
-    const { rows: customerStateRows } = await pool.query(queryCustomerState, [custid, invoiceid]);
-    const placeofsupply = customerStateRows.length ? customerStateRows[0].placeofsupply : 0;
-
-    // Calculate cgstper, sgstper, igstper based on the stateid and taxrate
-    let cgstper, sgstper, igstper;
-    if (stateid === placeofsupply) {
-      cgstper = 0;
-      sgstper = 0;
-      igstper = taxrate;
-    } else {
-      cgstper = taxrate / 2;
-      sgstper = taxrate / 2;
-      igstper = 0;
+    // Get the taxrate valid on the invoice date, cess and tax inclusive default of the item
+    const item = (await getItemRates(pool, compid, [Number(itemid)], invdate))[itemid];
+    if (!item) {
+      return res.status(400).json({ error: `Item ${itemid} not found for the company` });
     }
 
-    // Calculate taxtotal and total
-    const amount = quantity * rate;
-    const taxtotal = ((amount - discount) * (cgstper / 100)) + (((quantity * rate) - discount) * (sgstper / 100)) + (((quantity * rate) - discount) * (igstper / 100));
-    const total = amount - discount + taxtotal;
+    // Compute the line from the GST treatment and the place of supply, the same way as /api/SaveInvoice
+    const context = await getTaxContext(pool, compid, custid, shipstateid);
+    const line = computeLine({ itemid, quantity, rate, discount, taxinclusive }, item.taxrate, context, item);
 
     // Insert row in InvoiceItem Table
     const queryInsertItem = `
-      INSERT INTO "InvoiceItem" (invoiceid, itemid, quantity, rate, amount, discount, cgstper, sgstper, igstper, taxtotal, total)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      INSERT INTO "InvoiceItem" (invoiceid, itemid, quantity, rate, amount, discount, cgstper, sgstper, igstper, cessper, cess, taxtotal, total,
+        taxinclusive, taxable, cgst, sgst, igst)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
     `;
-    await pool.query(queryInsertItem, [invoiceid, itemid, quantity, rate, amount, discount, cgstper, sgstper, igstper, taxtotal, total]);
+    await pool.query(queryInsertItem, [
+      invoiceid, line.itemid, line.quantity, line.rate, line.amount, line.discount,
+      line.cgstper, line.sgstper, line.igstper, line.cessper, line.cess, line.taxtotal, line.total,
+      line.taxinclusive, line.taxable, line.cgst, line.sgst, line.igst,
+    ]);
 
     return res.status(200).json({ message: 'Successfully created a row in the InvoiceItem Table' });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -730,74 +1224,63 @@ router.post('/api/SaveInvoiceItem', authenticateToken, async (req, res) => {
  *                 type: integer
  *               quantity:
  *                 type: number
+ *               rate:
+ *                 type: number
+ *                 description: Rate of the line, the sell price of the item when not given
  *               discount:
  *                 type: number
+ *               taxinclusive:
+ *                 type: boolean
+ *                 description: Rate and discount include the tax, the taxable value is derived from them. Defaults to the item's taxinclusive
+ *               shipstateid:
+ *                 type: integer
+ *                 description: Ship-to state of the invoice, used as the place of supply when given
+ *               invdate:
+ *                 type: string
+ *                 format: date
+ *                 description: Invoice date, the tax rate valid on it is used. Defaults to today
  *     responses:
  *       200:
- *         description: Returns Amount, CGST, SGST, IGST Tax and Total.
+ *         description: Returns Rate, Amount, Taxable, CGST, SGST, IGST, Cess, TaxTotal and Total.
  *       400:
- *         description: Invalid request or missing parameters.
+ *         description: Invalid request or missing parameters, or the item is not an item of the company.
  *       500:
  *         description: Internal server error.
  */
 router.post('/api/GetInvoiceItemTaxDetails', authenticateToken, async (req, res) => {
-  const { compid, custid, itemid, quantity, discount } = req.body;
+  const { compid, custid, itemid, quantity, discount, taxinclusive, shipstateid, invdate } = req.body;
 
-  if (!compid || !custid || !itemid  ) {
+  if (!compid || !custid || !itemid || !(Number(quantity) > 0)) {
     return res.status(400).json({ error: 'Invalid request or missing parameters' });
   }
 
   try {
-    // Get rate and taxrate from the Items table for the given itemid
-    const query = `
-      SELECT sellprice, taxrate
-      FROM "Items"
-      WHERE itemid = $1
-    `;
-    const { rows: itemRows } = await pool.query(query, [itemid]);
-    const rate = itemRows.length ? itemRows[0].sellprice : 0;
-    const taxrate = itemRows.length ? itemRows[0].taxrate : 0;
-
-    // Check the stateid from the Company table for the given compid
-    const queryCompanyState = `
-      SELECT stateid
-      FROM "Company"
-      WHERE compid = $1
-    `;
-    const { rows: companyStateRows } = await pool.query(queryCompanyState, [compid]);
-    const stateid = companyStateRows.length ? companyStateRows[0].stateid : 0;
-
-    // Check the placeofsupply from the Customer table for the given custid and invoiceid
-    const queryCustomerState = `
-      SELECT placeofsupply
-      FROM "Customer"
-      WHERE custid = $1 
-    `;
-    const { rows: customerStateRows } = await pool.query(queryCustomerState, [custid]);
-    const placeofsupply = customerStateRows.length ? customerStateRows[0].placeofsupply : 0;
-
-    // Calculate cgstper, sgstper, igstper based on the stateid and taxrate
-    let cgstper, sgstper, igstper;
-    if (stateid === placeofsupply) {
-      cgstper = 0;
-      sgstper = 0;
-      igstper = taxrate;
-    } else {
-      cgstper = taxrate / 2;
-      sgstper = taxrate / 2;
-      igstper = 0;
+    // Get the sell price, the taxrate valid on the invoice date, cess and tax inclusive default of the item
+    const item = (await getItemRates(pool, compid, [Number(itemid)], invdate))[itemid];
+    if (!item) {
+      return res.status(400).json({ error: `Item ${itemid} not found for the company` });
     }
-
-    // Calculate taxtotal and total
-    const amount = (quantity * rate);
-    const cgst = (amount - discount) * (cgstper / 100);
-    const sgst = (amount - discount) * (sgstper / 100);
-    const igst = (amount - discount) * (igstper / 100);
-    const taxtotal = cgst + sgst + igst;
-    const total = amount - discount + taxtotal;
-
-    return res.status(200).json({Rate: rate, Amount: amount, CGST: cgst , SGST: sgst, IGST: igst, TaxTotal: taxtotal, Total: total});
+    const rate = req.body.rate === undefined || req.body.rate === null ? item.sellprice : req.body.rate;
+
+    // Compute the line from the GST treatment and the place of supply, the same way as /api/SaveInvoice
+    const context = await getTaxContext(pool, compid, custid, shipstateid);
+    const line = computeLine({ itemid, quantity, rate, discount, taxinclusive }, item.taxrate, context, item);
+
+    return res.status(200).json({
+      Rate: line.rate,
+      Amount: line.amount,
+      Taxable: line.taxable,
+      CGST: line.cgst,
+      SGST: line.sgst,
+      IGST: line.igst,
+      Cess: line.cess,
+      TaxTotal: line.taxtotal,
+      Total: line.total,
+    });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -825,6 +1308,8 @@ router.post('/api/GetInvoiceItemTaxDetails', authenticateToken, async (req, res)
  *         description: Successfully calculated tax and created rows in the InvoiceTax Table.
  *       400:
  *         description: Invalid request or missing parameters.
+ *       409:
+ *         description: The invoice is no longer a draft.
  *       500:
  *         description: Internal server error.
  */
@@ -836,6 +1321,11 @@ router.get('/api/SaveInvoiceTax/:invoiceid', authenticateToken, async (req, res)
   }
 
   try {
+    const { rows: statusRows } = await pool.query('SELECT status FROM "Invoice" WHERE invid = $1', [invoiceid]);
+    if (statusRows.length && statusRows[0].status !== INVOICE_STATUS.DRAFT) {
+      return res.status(409).json({ error: 'Only draft invoices can be changed' });
+    }
+
     // Fetch Invoice items with specified invoiceid from InvoiceItem Table
     const queryItems = `
     Select a.percentage,
@@ -843,15 +1333,15 @@ router.get('/api/SaveInvoiceTax/:invoiceid', authenticateToken, async (req, res)
     case when a.taxtype='SGST' then (a.percentage/100 * avg(a.total)) else 0 end sgst,
     case when a.taxtype='IGST' then (a.percentage/100 * avg(a.total)) else 0 end igst
     from 
-    (SELECT cgstper percentage, 'CGST' taxtype, amount-discount total
+    (SELECT cgstper percentage, 'CGST' taxtype, COALESCE(taxable, amount-discount) total
           FROM "InvoiceItem"
           WHERE invoiceid =$1 and cgstper>0
     union
-    SELECT sgstper percentage, 'SGST' taxtype, amount-discount total
+    SELECT sgstper percentage, 'SGST' taxtype, COALESCE(taxable, amount-discount) total
           FROM "InvoiceItem"
           WHERE invoiceid =$1 and sgstper>0
     union
-    SELECT igstper percentage, 'IGST' taxtype, amount-discount total
+    SELECT igstper percentage, 'IGST' taxtype, COALESCE(taxable, amount-discount) total
           FROM "InvoiceItem"
           WHERE invoiceid =$1 and igstper>0) a
     group by a.percentage,a.taxtype;
@@ -859,18 +1349,34 @@ router.get('/api/SaveInvoiceTax/:invoiceid', authenticateToken, async (req, res)
     `;
     const { rows: invoiceItems } = await pool.query(queryItems, [invoiceid]);
 
+    // Cess of the items, on the same percentage as the CGST or IGST row of the items
+    const queryCess = `
+    SELECT CASE WHEN igstper > 0 THEN igstper ELSE cgstper END percentage, SUM(cess) cess
+          FROM "InvoiceItem"
+          WHERE invoiceid = $1 and cess > 0
+    group by 1;
+    `;
+    const { rows: cessRows } = await pool.query(queryCess, [invoiceid]);
+
     const groupedTaxData = {};
     invoiceItems.forEach((item) => {
       const { percentage, cgst, sgst, igst } = item;
 
-      groupedTaxData[percentage] = { percentage, cgst, sgst, igst };
+      groupedTaxData[percentage] = { percentage, cgst, sgst, igst, cess: 0 };
+    });
+    cessRows.forEach(({ percentage, cess }) => {
+      if (!groupedTaxData[percentage]) {
+        groupedTaxData[percentage] = { percentage, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+      }
+      groupedTaxData[percentage].cess = cess;
     });
 
-    const taxRows = Object.values(groupedTaxData).map(({ percentage, cgst, sgst, igst }) => [
+    const taxRows = Object.values(groupedTaxData).map(({ percentage, cgst, sgst, igst, cess }) => [
       percentage,
       cgst,
       sgst,
       igst,
+      cess,
     ]);
 
     if (taxRows.length === 0) {      
@@ -887,8 +1393,8 @@ router.get('/api/SaveInvoiceTax/:invoiceid', authenticateToken, async (req, res)
     const nextSerial = nextSerialRows[0].next_serial;
 
     const queryInsertTax = `
-      INSERT INTO "InvoiceTax" (invid, sr, percentage, cgst, sgst, igst)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO "InvoiceTax" (invid, sr, percentage, cgst, sgst, igst, cess)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
     `;
 
     const serialIds = [];
@@ -1013,11 +1519,81 @@ router.get('/api/GetInvoiceDetForPrint/:invid',authenticateToken, async (req, re
     res.status(500).json({ message: 'Internal server error' });
   }
 });
+
+/**
+ * @swagger
+ * /api/invoices/{invid}/pdf:
+ *   get:
+ *     summary: Get the GST invoice as a PDF by Invoice ID
+ *     tags: [Invoice]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Invoice ID
+ *       - in: query
+ *         name: copy
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma separated copies to print (original, duplicate, triplicate) or all. Defaults to original.
+ *     responses:
+ *       200:
+ *         description: The invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid Invoice ID or copy
+ *       404:
+ *         description: Invoice not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/invoices/:invid/pdf', authenticateToken, async (req, res) => {
+  const { invid } = req.params;
+  // A repeated copy parameter comes as an array, joined it reads like a comma separated list
+  const copy = String(req.query.copy || 'original');
+
+  if (!invid || isNaN(invid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const copies = copy === 'all' ? Object.keys(COPY_LABELS) : copy.split(',').map((c) => c.trim().toLowerCase());
+  if (copies.some((c) => !COPY_LABELS[c])) {
+    return res.status(400).json({ error: 'Invalid copy. Valid values are original, duplicate, triplicate or all.' });
+  }
+
+  try {
+    const printData = await getInvoicePrintData(pool, invid);
+
+    if (!printData) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const pdf = await renderInvoicePdf(printData, copies);
+    const fileName = String(printData.header.invno).replace(/[^A-Za-z0-9_-]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/GetInvoiceHSN/{invoiceid}/hsn-details:
  *   get:
  *     summary: Get HSN wise invoice details by Invoice ID
+ *     description: The items of the invoice grouped by HSN/SAC code, UQC and tax rate, in the format of the GSTR-1 HSN summary.
  *     tags: [Invoice]
  *     security:
  *       - basicAuth: []
@@ -1030,7 +1606,7 @@ router.get('/api/GetInvoiceDetForPrint/:invid',authenticateToken, async (req, re
  *         description: Invoice ID
  *     responses:
  *       200:
- *         description: Successful operation
+ *         description: Rows with num, hsn_sc, desc, uqc, qty, rt, txval, iamt, camt, samt and csamt
  *       400:
  *         description: Invalid Invoice ID
  *       404:
@@ -1039,25 +1615,21 @@ router.get('/api/GetInvoiceDetForPrint/:invid',authenticateToken, async (req, re
 router.get('/api/GetInvoiceHSN/:invoiceid/hsn-details', authenticateToken, async (req, res) => {
   const { invoiceid } = req.params;
 
+  if (!invoiceid || isNaN(invoiceid)) {
+    return res.status(400).json({ message: 'Invalid Invoice ID' });
+  }
+
   try {
     const query = `
       SELECT
-        I.hsncode,
-        SUM(II.total) AS totalSum,
-        AVG(II.csgstper) AS avgCgstper,
-        AVG(II.csgstper) * SUM(II.total) * 0.001 AS cgstAmount,
-        AVG(II.ssgstper) AS avgSgstper,
-        AVG(II.ssgstper) * SUM(II.total) * 0.001 AS sgstAmount,
-        AVG(II.isgstper) AS avgIgstper,
-        AVG(II.isgstper) * SUM(II.total) * 0.001 AS igstAmount,
-        SUM(II.taxtotal) AS taxTotalSum
+        TRIM(It.hsncode) AS hsncode, H.codedesc, U.uqc, II.quantity, ${ITEM_TAX_COLUMNS}
       FROM
         "InvoiceItem" II
-        JOIN "Item" I ON II.itemid = I.itemid
+        JOIN "Items" It ON II.itemid = It.itemid
+        LEFT JOIN "HSNSAC" H ON It.hsncode = H.hsncode
+        LEFT JOIN "Units" U ON It.unitid = U.unitid
       WHERE
-        II.invoiceid = $1
-      GROUP BY
-        I.hsncode;
+        II.invoiceid = $1;
     `;
 
     const values = [invoiceid];
@@ -1067,7 +1639,7 @@ router.get('/api/GetInvoiceHSN/:invoiceid/hsn-details', authenticateToken, async
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    const hsnDetails = result.rows;
+    const hsnDetails = summariseHsn(result.rows);
     return res.json(hsnDetails);
   } catch (error) {
     console.error('Error fetching HSN wise invoice details:', error);
@@ -1123,32 +1695,32 @@ router.get('/api/GetUnpaidInvoices/:payid/:type', authenticateToken, async (req,
         SELECT
           I.invid, I.invno, I.invdate, I.total, I.amtdue, A.adjustamt
         FROM Invoice I
-        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2
-        WHERE I.custid = $1 AND (I.amtdue > 0 OR A.adjustamt > 0);
+        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2 AND A.adjtype = 'P'
+        WHERE I.custid = $1 AND I.status NOT IN ('draft', 'cancelled') AND (I.amtdue > 0 OR A.adjustamt > 0);
       `;
     } else if (type === 'W') {
       query = `
         SELECT
           I.invid, I.invno, I.invdate, I.total, I.amtdue, A.adjustamt
         FROM Invoice I
-        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2
-        WHERE I.custid = $1 AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 8 OR A.adjustamt > 0);
+        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2 AND A.adjtype = 'P'
+        WHERE I.custid = $1 AND I.status NOT IN ('draft', 'cancelled') AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 8 OR A.adjustamt > 0);
       `;
     } else if (type === 'M') {
       query = `
         SELECT
           I.invid, I.invno, I.invdate, I.total, I.amtdue, A.adjustamt
         FROM Invoice I
-        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2
-        WHERE I.custid = $1 AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 31 OR A.adjustamt > 0);
+        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2 AND A.adjtype = 'P'
+        WHERE I.custid = $1 AND I.status NOT IN ('draft', 'cancelled') AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 31 OR A.adjustamt > 0);
       `;
     } else if (type === 'Y') {
       query = `
         SELECT
           I.invid, I.invno, I.invdate, I.total, I.amtdue, A.adjustamt
         FROM Invoice I
-        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2
-        WHERE I.custid = $1 AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 366 OR A.adjustamt > 0);
+        LEFT JOIN Adjustment A ON I.invid = A.invid AND A.payid = $2 AND A.adjtype = 'P'
+        WHERE I.custid = $1 AND I.status NOT IN ('draft', 'cancelled') AND (I.amtdue > 0 AND (CURRENT_DATE - I.invdate) < 366 OR A.adjustamt > 0);
       `;
     } else {
       return res.status(400).json({ message: 'Invalid parameters' });
@@ -3,6 +3,19 @@ const router = express.Router();
 const pool = require('../db');
 const authMiddleware = require('../authMiddleware');
 const { writeToUserLog } = require('./common');
+const { effectiveTaxRateSql, getEffectiveTaxRate, recordTaxRateChange } = require('./itemTaxRate');
+
+// Function to check a yyyy-mm-dd date
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+}
+
+// Function to check whether a yyyy-mm-dd date is before today, a rate change from a past date would change issued invoices
+function isBeforeToday(value) {
+  const now = new Date();
+  const today = [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+  return value < today;
+}
 
 // Swagger documentation for Item API
 /**
@@ -75,7 +88,7 @@ router.get('/api/GetItemList', authMiddleware, async (req, res) => {
  *         description: Item ID
  *     responses:
  *       200:
- *         description: Returns the item details
+ *         description: Returns the item details, taxrate is the rate valid today, a change scheduled for a later date is not in it yet
  *       400:
  *         description: Invalid request or missing parameters
  *       404:
@@ -93,13 +106,14 @@ router.get('/api/GetItemDetails', authMiddleware, async (req, res) => {
     try {
       const query = `
         SELECT i.itemid, i.itemtype, i.itemname, i.sku, i.hsncode, h.codedesc, i.unitid,
-               i.sellprice, i.currencycode, i.taxprefid, i.taxrate, i.isactive
+               i.sellprice, i.currencycode, i.taxprefid, ${effectiveTaxRateSql('i', '$2')} AS taxrate,
+               i.cessrate, i.cessperunit, i.isrcm, i.taxinclusive, i.isactive
         FROM "Items" i
         LEFT JOIN "HSNSAC" h ON i.hsncode = h.hsncode
         WHERE i.itemid = $1
       `;
   
-      const { rows } = await pool.query(query, [itemid]);
+      const { rows } = await pool.query(query, [itemid, new Date()]);
   
       if (rows.length === 0) {
         return res.status(404).json({ error: 'Item not found' });
@@ -149,6 +163,22 @@ router.get('/api/GetItemDetails', authMiddleware, async (req, res) => {
  *                 type: integer
  *               taxrate:
  *                 type: number
+ *               taxeffectivefrom:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of a changed taxrate of an existing item, defaults to today. Invoices dated before it keep the earlier rate
+ *               cessrate:
+ *                 type: number
+ *                 description: Ad valorem compensation cess percentage on the taxable value
+ *               cessperunit:
+ *                 type: number
+ *                 description: Specific compensation cess amount per unit, added to the ad valorem cess
+ *               isrcm:
+ *                 type: boolean
+ *                 description: Service notified under reverse charge, invoices of only such items default to reverse charge
+ *               taxinclusive:
+ *                 type: boolean
+ *                 description: sellprice includes the tax (MRP style), invoice lines of the item default to tax inclusive
  *               isactive:
  *                 type: boolean
  *               userid:
@@ -178,6 +208,11 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
       currencycode,
       taxprefid,
       taxrate,
+      taxeffectivefrom,
+      cessrate,
+      cessperunit,
+      isrcm,
+      taxinclusive,
       isactive,
       userid,
       isweb,
@@ -186,15 +221,40 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
     //if (!itemid) {
     //  return res.status(400).json({ error: 'Invalid request or missing parameters' });
     //}
+
+    if ((cessrate !== undefined && cessrate !== null && (isNaN(cessrate) || Number(cessrate) < 0))
+      || (cessperunit !== undefined && cessperunit !== null && (isNaN(cessperunit) || Number(cessperunit) < 0))) {
+      return res.status(400).json({ error: 'cessrate and cessperunit must be zero or more' });
+    }
+
+    if (taxeffectivefrom && !isValidDate(taxeffectivefrom)) {
+      return res.status(400).json({ error: 'taxeffectivefrom must be a date (yyyy-mm-dd)' });
+    }
+    if (taxeffectivefrom && isBeforeToday(taxeffectivefrom)) {
+      return res.status(400).json({ error: 'taxeffectivefrom cannot be before today' });
+    }
   
+    // The rate history and the item are saved together, a failed save leaves neither changed
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
       // Check if the item already exists in the database
 
-      const iExists = await pool.query('SELECT * FROM public."Items" WHERE TRIM(itemname) ILIKE $1 and compid = $2', [itemname.trim(), compid]);
+      const iExists = await client.query('SELECT * FROM public."Items" WHERE TRIM(itemname) ILIKE $1 and compid = $2', [itemname.trim(), compid]);
+
+      // A changed taxrate of an existing item is kept in its rate history, invoices dated before the change keep the old rate.
+      // The updates below leave taxrate alone, it only moves to the new rate once the change is in effect
+      const existing = iExists.rows.length > 0
+        ? iExists.rows[0]
+        : itemid > 0 ? (await client.query('SELECT itemid FROM "Items" WHERE itemid = $1', [itemid])).rows[0] : undefined;
+      if (existing && taxrate !== undefined && taxrate !== null
+        && Number(taxrate) !== await getEffectiveTaxRate(client, existing.itemid, taxeffectivefrom || new Date())) {
+        await recordTaxRateChange(client, [existing.itemid], taxrate, taxeffectivefrom || new Date(), userid);
+      }
 
       if (iExists.rows.length > 0) {
-        await pool.query('UPDATE "Items" SET itemtype = $2, itemname = $3, sku = $4, hsncode = $5, unitid = $6, sellprice = $7, currencycode = $8, taxprefid = $9, taxrate = $10, isactive = $11, userid = $12, updon = NOW() WHERE TRIM(itemname) ILIKE $3 and compid = $1', [compid, itemtype, itemname.trim(), sku, hsncode, unitid, sellprice, currencycode, taxprefid, taxrate, isactive, userid]);
-        res.status(201).json({ message: 'Item updated successfully' });
+        await client.query('UPDATE "Items" SET itemtype = $2, itemname = $3, sku = $4, hsncode = $5, unitid = $6, sellprice = $7, currencycode = $8, taxprefid = $9, isactive = $10, userid = $11, cessrate = COALESCE($12, cessrate), cessperunit = COALESCE($13, cessperunit), isrcm = COALESCE($14, isrcm), taxinclusive = COALESCE($15, taxinclusive), updon = NOW() WHERE TRIM(itemname) ILIKE $3 and compid = $1', [compid, itemtype, itemname.trim(), sku, hsncode, unitid, sellprice, currencycode, taxprefid, isactive, userid, cessrate, cessperunit, isrcm, taxinclusive]);
+        await client.query('COMMIT');
         writeToUserLog(userid, 'Updated Item - '+itemname, compid, isweb);
         return res.status(200).json({ message: 'Item record updated successfully' });
       } else {
@@ -203,7 +263,7 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
                 SELECT COUNT(*) AS count FROM "Items" WHERE itemid = $1
             `;
         
-            const checkResult = await pool.query(checkQuery, [itemid]);
+            const checkResult = await client.query(checkQuery, [itemid]);
             const itemExists = checkResult.rows[0].count > 0;
         
             if (itemExists) {
@@ -219,13 +279,16 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
                     sellprice = $7,
                     currencycode = $8,
                     taxprefid = $9,
-                    taxrate = $10,
-                    isactive = $11,
+                    isactive = $10,
+                    cessrate = COALESCE($11, cessrate),
+                    cessperunit = COALESCE($12, cessperunit),
+                    isrcm = COALESCE($13, isrcm),
+                    taxinclusive = COALESCE($14, taxinclusive),
                     updon = NOW() 
                 WHERE itemid = $1
                 `;
         
-                await pool.query(updateQuery, [
+                await client.query(updateQuery, [
                 itemid,
                 itemtype,
                 itemname,
@@ -235,19 +298,23 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
                 sellprice,
                 currencycode,
                 taxprefid,
-                taxrate,
                 isactive,
+                cessrate,
+                cessperunit,
+                isrcm,
+                taxinclusive,
                 ]);
+                await client.query('COMMIT');
                 writeToUserLog(userid, 'Updated Item - '+itemid.toString(), compid, isweb);
                 return res.status(200).json({ message: 'Item record updated successfully' });
               } else {
                 // Add a new item if itemid=0
                 const insertQuery = `
-                INSERT INTO "Items" ( itemtype, itemname, sku, hsncode, unitid, sellprice, currencycode, taxprefid, taxrate, isactive, compid, userid)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                INSERT INTO "Items" ( itemtype, itemname, sku, hsncode, unitid, sellprice, currencycode, taxprefid, taxrate, isactive, compid, userid, cessrate, cessperunit, isrcm, taxinclusive)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, 0), COALESCE($14, 0), COALESCE($15, false), COALESCE($16, false))
                 `;
         
-                await pool.query(insertQuery, [
+                await client.query(insertQuery, [
                 itemtype,
                 itemname,
                 sku,
@@ -260,18 +327,23 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
                 isactive,
                 compid,
                 userid,
+                cessrate,
+                cessperunit,
+                isrcm,
+                taxinclusive,
                 ]);
             }
+            await client.query('COMMIT');
             writeToUserLog(userid, 'Created Item - '+itemname, compid, isweb);
             return res.status(200).json({ message: 'Item record added successfully' });
           } else {
             // Add a new item
         const insertQuery1 = `
-            INSERT INTO "Items" ( itemtype, itemname, sku, hsncode, unitid, sellprice, currencycode, taxprefid, taxrate, isactive, compid, userid)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            INSERT INTO "Items" ( itemtype, itemname, sku, hsncode, unitid, sellprice, currencycode, taxprefid, taxrate, isactive, compid, userid, cessrate, cessperunit, isrcm, taxinclusive)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, 0), COALESCE($14, 0), COALESCE($15, false), COALESCE($16, false))
             `;
 
-        await pool.query(insertQuery1, [
+        await client.query(insertQuery1, [
         itemtype,
         itemname,
         sku,
@@ -284,15 +356,153 @@ router.post('/api/SaveItem', authMiddleware, async (req, res) => {
         isactive,
         compid,
         userid,
+        cessrate,
+        cessperunit,
+        isrcm,
+        taxinclusive,
         ]);
       }
+      await client.query('COMMIT');
       writeToUserLog(userid, 'Created Item - '+itemname, compid, isweb);
       return res.status(200).json({ message: 'Item record added successfully' });
     }
     } catch (err) {
+      await client.query('ROLLBACK');
       console.error(err);
       return res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
     }
   });
-  
+
+/**
+ * @swagger
+ * /api/GetItemTaxRates:
+ *   get:
+ *     summary: Get the tax rate history of an item
+ *     tags: [Items]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: itemid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: >
+ *           Returns the rates with effectivefrom, latest first. The rate without effectivefrom is the rate before the first
+ *           change. An item without history has always had its taxrate.
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetItemTaxRates', authMiddleware, async (req, res) => {
+  const { itemid } = req.query;
+
+  if (!itemid || isNaN(itemid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const query = `
+      SELECT itemtaxrateid, itemid, taxrate, TO_CHAR(effectivefrom, 'YYYY-MM-DD') AS effectivefrom, userid, updon
+      FROM "ItemTaxRate"
+      WHERE itemid = $1
+      ORDER BY effectivefrom DESC NULLS LAST
+    `;
+    const { rows } = await pool.query(query, [itemid]);
+    return res.status(200).json(rows);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ScheduleHSNRateChange:
+ *   post:
+ *     summary: Change the tax rate of all items of a HSN/SAC code from a date
+ *     description: >
+ *       Records the new rate in the rate history of every item of the company with the HSN/SAC code. Invoices dated
+ *       on or after effectivefrom use the new rate, earlier invoices keep the old one, so a rate notified for a future
+ *       date can be entered in advance. effectivefrom cannot be before today. A second change for the same date replaces the first.
+ *     tags: [Items]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               hsncode:
+ *                 type: string
+ *               taxrate:
+ *                 type: number
+ *               effectivefrom:
+ *                 type: string
+ *                 format: date
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *               - hsncode
+ *               - taxrate
+ *               - effectivefrom
+ *     responses:
+ *       200:
+ *         description: Returns the number of items changed
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       404:
+ *         description: No items with the HSN/SAC code
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/ScheduleHSNRateChange', authMiddleware, async (req, res) => {
+  const { compid, hsncode, taxrate, effectivefrom, userid, isweb } = req.body;
+
+  if (!compid || !hsncode || String(hsncode).trim() === '' || taxrate === undefined || taxrate === null
+    || taxrate === '' || isNaN(taxrate) || Number(taxrate) < 0 || !isValidDate(effectivefrom)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (isBeforeToday(effectivefrom)) {
+    return res.status(400).json({ error: 'effectivefrom cannot be before today' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT itemid FROM "Items" WHERE compid = $1 AND TRIM(hsncode) = $2 FOR UPDATE',
+      [compid, String(hsncode).trim()]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'No items found with HSN/SAC code ' + String(hsncode).trim() });
+    }
+
+    const changed = await recordTaxRateChange(client, rows.map((row) => row.itemid), Number(taxrate), effectivefrom, userid);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Changed tax rate of HSN ' + String(hsncode).trim() + ' to ' + taxrate + '% from ' + effectivefrom, compid, isweb);
+    return res.status(200).json({ message: 'Tax rate change recorded', items: changed });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
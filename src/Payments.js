@@ -2,7 +2,16 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticateToken = require('../authMiddleware');
-const { writeToUserLog } = require('./common');
+const { writeToUserLog, sendEmail } = require('./common');
+const { PAYMENT_STATUS, REVERSAL_TYPE } = require('./paymentStatus');
+const { reversePayment, refundPayment } = require('./paymentReversal');
+const { ADJUSTMENT_TYPE } = require('./settlement');
+const { buildReceipt } = require('./receiptPdf');
+
+// Function to check an optional yyyy-mm-dd date
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+}
 
 // Swagger documentation for Payments API
 /**
@@ -92,7 +101,7 @@ router.get('/api/GetAPayment/:payid', authenticateToken, async (req, res) => {
       const query = `
         SELECT
           P.payid, P.custid, Cu.symbol, P.payamt, P.paymodeid,
-          C.unadjamt, P.payrefid, P.tdsdeducted, P.remarks
+          C.unadjamt, P.payrefid, P.tdsdeducted, P.remarks, P.status, P.receiptno
         FROM Payments P
         JOIN Customer C ON P.custid = C.custid
         JOIN Currency Cu ON C.currencycode = Cu.currencycode
@@ -163,6 +172,8 @@ router.get('/api/GetAPayment/:payid', authenticateToken, async (req, res) => {
  *         description: Successful operation
  *       400:
  *         description: Invalid parameters
+ *       409:
+ *         description: Bounced or reversed payments cannot be changed
  *       500:
  *         description: Internal server error
  */
@@ -213,6 +224,8 @@ router.put('/api/SavePayment/:payid',authenticateToken, async (req, res) => {
         writeToUserLog(userid,'Created Payment record for ID - '+rpayid.toString(),compid,isweb);
   
         return res.json(rpayid);
+      } else if (existingPaymentResult.rows[0].status && existingPaymentResult.rows[0].status !== PAYMENT_STATUS.RECEIVED) {
+        return res.status(409).json({ message: 'Payment is ' + existingPaymentResult.rows[0].status + ' and cannot be changed' });
       } else {
         // If an existing payment record found, update it
         const updatePaymentQuery = `
@@ -247,5 +260,320 @@ router.put('/api/SavePayment/:payid',authenticateToken, async (req, res) => {
     }
   });
 
-  
+/**
+ * @swagger
+ * /api/ReversePayment/{payid}:
+ *   post:
+ *     summary: Reverse a payment, e.g. a bounced cheque
+ *     description: >
+ *       Removes the adjustments of the payment and recomputes the amount due of their invoices, sets the status of
+ *       the payment to bounced or reversed and records the reversal with its charges in the customer ledger.
+ *       Payments with refunds cannot be reversed.
+ *     tags: [Payments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               revtype:
+ *                 type: string
+ *                 enum: [bounced, reversed]
+ *               revdate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the reversal, defaults to today
+ *               charges:
+ *                 type: number
+ *                 description: Bank or bounce charges recovered from the customer
+ *               reason:
+ *                 type: string
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *               - revtype
+ *     responses:
+ *       200:
+ *         description: Returns reversalid, payid, custid, revtype, amount, charges and the unwound adjustments and discounts (invid, invno, adjtype, adjustamt, amtdue)
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment already bounced or reversed, or has refunds
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/ReversePayment/:payid', authenticateToken, async (req, res) => {
+    const { payid } = req.params;
+    const { compid, revtype, revdate, charges, reason, userid, isweb } = req.body;
+
+    if (!payid || isNaN(payid) || !compid || ![REVERSAL_TYPE.BOUNCED, REVERSAL_TYPE.REVERSED].includes(revtype)
+      || (revdate && !isValidDate(revdate))
+      || (charges !== undefined && charges !== null && (isNaN(charges) || Number(charges) < 0))) {
+      return res.status(400).json({ message: 'Invalid parameters' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await reversePayment(client, {
+        payid: Number(payid), compid, revtype, revdate: revdate || new Date(), charges, reason, userid,
+      });
+      await client.query('COMMIT');
+
+      writeToUserLog(userid, 'Payment ' + payid + ' ' + revtype + (result.charges ? ' with charges ' + result.charges : ''), compid, isweb);
+      result.unwound.forEach((row) => {
+        const entry = row.adjtype === ADJUSTMENT_TYPE.DISCOUNT ? 'discount granted with' : 'adjustment of';
+        writeToUserLog(userid, 'Removed ' + entry + ' Payment ' + payid + ' from Invoice ' + row.invno + ' - ' + row.adjustamt, compid, isweb);
+      });
+      return res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error reversing payment:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+/**
+ * @swagger
+ * /api/RefundPayment/{payid}:
+ *   post:
+ *     summary: Refund the unadjusted advance of a payment to the customer
+ *     description: >
+ *       Only the part of the payment not adjusted against invoices can be refunded. The refund reduces the unadjusted
+ *       amount of the payment and the customer and is shown in the customer ledger.
+ *     tags: [Payments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *               revdate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the refund, defaults to today
+ *               paymodeid:
+ *                 type: integer
+ *                 description: Mode the refund was paid out in
+ *               refno:
+ *                 type: string
+ *                 description: Reference of the refund, e.g. the UTR or cheque number
+ *               reason:
+ *                 type: string
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *               - amount
+ *     responses:
+ *       200:
+ *         description: Returns reversalid, payid, custid, amount and the unadjusted amount left
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Refund exceeds the unadjusted advance, or the payment is bounced or reversed
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/RefundPayment/:payid', authenticateToken, async (req, res) => {
+    const { payid } = req.params;
+    const { compid, amount, revdate, paymodeid, refno, reason, userid, isweb } = req.body;
+
+    if (!payid || isNaN(payid) || !compid || amount === undefined || amount === null || isNaN(amount)
+      || Number(amount) <= 0 || (revdate && !isValidDate(revdate))) {
+      return res.status(400).json({ message: 'Invalid parameters' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await refundPayment(client, {
+        payid: Number(payid), compid, amount, revdate: revdate || new Date(), paymodeid, refno, reason, userid,
+      });
+      await client.query('COMMIT');
+
+      writeToUserLog(userid, 'Refunded ' + result.amount + ' of Payment ' + payid, compid, isweb);
+      return res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error refunding payment:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+/**
+ * @swagger
+ * /api/payments/{payid}/receipt:
+ *   get:
+ *     summary: Get the receipt of a payment as a PDF
+ *     description: >
+ *       The receipt shows the amount received, the invoices the payment was adjusted against, the TDS deducted and
+ *       the unadjusted balance. A received payment gets the next number of the receipt (RC) series the first time,
+ *       a bounced or reversed payment is printed as void and is not given a number.
+ *     tags: [Payments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: The receipt PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid Payment ID
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/payments/:payid/receipt', authenticateToken, async (req, res) => {
+    const { payid } = req.params;
+
+    if (!payid || isNaN(payid)) {
+      return res.status(400).json({ message: 'Invalid parameters' });
+    }
+
+    try {
+      const { data, pdf } = await buildReceipt(pool, Number(payid));
+      const fileName = String(data.header.receiptno || `receipt-${payid}`).replace(/[^A-Za-z0-9_-]/g, '_');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+      return res.send(pdf);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error generating payment receipt:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+/**
+ * @swagger
+ * /api/payments/{payid}/receipt/email:
+ *   post:
+ *     summary: Email the receipt of a payment as a PDF to the customer
+ *     tags: [Payments]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Receipt emailed, returns the receiptno and the email address
+ *       400:
+ *         description: Invalid Payment ID or the customer has no email address
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: The payment is bounced or reversed, its receipt is void
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/api/payments/:payid/receipt/email', authenticateToken, async (req, res) => {
+    const { payid } = req.params;
+    const { compid, userid, isweb } = req.body;
+
+    if (!payid || isNaN(payid)) {
+      return res.status(400).json({ message: 'Invalid parameters' });
+    }
+
+    try {
+      const { data, pdf } = await buildReceipt(pool, Number(payid));
+      const { receiptno, status, custemail, custname, compname, currencycode, payamount } = data.header;
+      if (status && status !== PAYMENT_STATUS.RECEIVED) {
+        return res.status(409).json({ message: `Payment is ${status}, its receipt cannot be emailed` });
+      }
+      if (!custemail) {
+        return res.status(400).json({ message: 'The customer has no email address' });
+      }
+
+      await sendEmail(
+        custemail,
+        `Payment receipt ${receiptno} from ${compname}`,
+        `Dear ${custname}, we have received your payment of ${currencycode || ''} ${payamount}. Please find attached receipt ${receiptno}. Thank you. ${compname}`,
+        [{ filename: `${receiptno.replace(/[^\w-]/g, '_')}.pdf`, content: pdf }]
+      );
+      writeToUserLog(userid, 'Emailed Receipt ' + receiptno + ' to ' + custemail, compid, isweb);
+      return res.json({ message: 'Receipt emailed successfully', receiptno, email: custemail });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error emailing payment receipt:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,558 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog, createHttpError } = require('./common');
+const { getTaxContext } = require('./taxEngine');
+const { computeLine, computeTotals } = require('./invoiceCalc');
+const { getItemRates, saveInvoice } = require('./invoiceStore');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+const { allocateSeriesNo } = require('./docNumber');
+
+// Status of a quote, an open quote past its validity date is reported as expired
+const QUOTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  INVOICED: 'invoiced',
+};
+
+// SQL expression of the status of a quote, taking its validity date into account
+const EFFECTIVE_STATUS = `
+  CASE WHEN Q.status = 'open' AND Q.validtill < CURRENT_DATE THEN 'expired' ELSE Q.status END
+`;
+
+// Swagger documentation for Quote API
+/**
+ * @swagger
+ * tags:
+ *   name: Quote
+ *   description: API endpoints for Quotations that can be converted into invoices
+ */
+
+// Function to lock a quote and return it with its status at today's date
+async function lockQuote(client, quoteid, compid) {
+  const { rows } = await client.query(
+    `SELECT Q.*, ${EFFECTIVE_STATUS} AS curstatus FROM "Quote" Q WHERE Q.quoteid = $1 AND Q.compid = $2 FOR UPDATE`,
+    [quoteid, compid]
+  );
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Quote not found');
+  }
+  return rows[0];
+}
+
+// Function to compute and save a quote with its items inside a transaction
+async function saveQuote(client, quote) {
+  const { compid, custid, quotedate, validtill, items } = quote;
+  const quoteid = quote.quoteid ? Number(quote.quoteid) : 0;
+
+  let quoteno;
+  if (quoteid > 0) {
+    const existing = await lockQuote(client, quoteid, compid);
+    if (existing.status !== QUOTE_STATUS.OPEN) {
+      throw createHttpError(409, `Quote is ${existing.status} and cannot be edited, only open quotes can be changed`);
+    }
+    quoteno = existing.quoteno;
+  } else {
+    quoteno = await allocateSeriesNo(client, compid, 'QT', quotedate);
+  }
+
+  // Same tax computation as the invoice items
+  const rates = await getItemRates(client, compid, [...new Set(items.map((line) => Number(line.itemid)))], quotedate);
+  const missing = items.find((line) => !rates[line.itemid]);
+  if (missing) {
+    throw createHttpError(400, `Item ${missing.itemid} not found for the company`);
+  }
+  const context = await getTaxContext(client, compid, custid);
+  const lines = items.map((line) => {
+    const item = rates[line.itemid];
+    const rate = line.rate === undefined || line.rate === null ? item.sellprice : line.rate;
+    return computeLine({ ...line, rate }, item.taxrate, context, item);
+  });
+  const totals = computeTotals(lines);
+  const updon = new Date();
+
+  let savedId;
+  const headerParams = [
+    quoteno, quotedate, validtill, custid, compid, quote.subject, quote.notes, quote.tnc,
+    totals.stot, totals.cgst, totals.sgst, totals.igst, totals.total, quote.currencycode, quote.userid, updon, totals.cess,
+  ];
+  if (quoteid > 0) {
+    const { rows } = await client.query(
+      `UPDATE "Quote"
+       SET quoteno = $1, quotedate = $2, validtill = $3, custid = $4, compid = $5, subject = $6, notes = $7, tnc = $8,
+         stot = $9, cgst = $10, sgst = $11, igst = $12, total = $13, currencycode = $14, userid = $15, updon = $16, cess = $17
+       WHERE quoteid = $18
+       RETURNING quoteid`,
+      [...headerParams, quoteid]
+    );
+    savedId = rows[0].quoteid;
+    await client.query('DELETE FROM "QuoteItem" WHERE quoteid = $1', [savedId]);
+  } else {
+    const { rows } = await client.query(
+      `INSERT INTO "Quote"
+       (quoteno, quotedate, validtill, custid, compid, subject, notes, tnc, stot, cgst, sgst, igst, total, currencycode, userid, updon, cess, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 'open')
+       RETURNING quoteid`,
+      headerParams
+    );
+    savedId = rows[0].quoteid;
+  }
+
+  const insertItemQuery = `
+    INSERT INTO "QuoteItem" (quoteid, sr, itemid, quantity, rate, amount, discount, taxable, cgstper, sgstper, igstper, cgst, sgst, igst, cessper, cess, taxtotal, total, taxinclusive)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+  `;
+  for (const [index, line] of lines.entries()) {
+    await client.query(insertItemQuery, [
+      savedId, index + 1, line.itemid, line.quantity, line.rate, line.amount, line.discount, line.taxable,
+      line.cgstper, line.sgstper, line.igstper, line.cgst, line.sgst, line.igst, line.cessper, line.cess, line.taxtotal, line.total,
+      line.taxinclusive,
+    ]);
+  }
+
+  return { quoteid: savedId, quoteno, status: QUOTE_STATUS.OPEN, ...totals };
+}
+
+/**
+ * @swagger
+ * /api/SaveQuote:
+ *   post:
+ *     summary: Create or update a Quotation
+ *     description: Tax is computed on the server the same way as for invoices. Quotes are numbered from their own series and only open quotes can be changed.
+ *     tags: [Quote]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quoteid:
+ *                 type: integer
+ *                 description: 0 or empty to create a new quote
+ *               custid:
+ *                 type: integer
+ *               quotedate:
+ *                 type: string
+ *                 format: date
+ *               validtill:
+ *                 type: string
+ *                 format: date
+ *                 description: The quote expires after this date
+ *               subject:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               tnc:
+ *                 type: string
+ *               currencycode:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemid:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *                       description: Defaults to the item's sellprice
+ *                     discount:
+ *                       type: number
+ *                     taxinclusive:
+ *                       type: boolean
+ *                       description: Rate and discount include the tax, the taxable value is derived from them. Defaults to the item's taxinclusive
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - custid
+ *               - quotedate
+ *               - validtill
+ *               - compid
+ *               - items
+ *     responses:
+ *       200:
+ *         description: Returns the quoteid, quoteno and the computed totals.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Quote not found.
+ *       409:
+ *         description: The quote is no longer open.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/SaveQuote', authenticateToken, async (req, res) => {
+  const quote = req.body;
+  const { quoteid, custid, quotedate, validtill, items, compid, userid, isweb } = quote;
+
+  if (!custid || !quotedate || !validtill || !compid || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (new Date(validtill) < new Date(quotedate)) {
+    return res.status(400).json({ error: 'Valid till date cannot be before the quote date' });
+  }
+  if (items.some((line) => !line.itemid || !(Number(line.quantity) > 0))) {
+    return res.status(400).json({ error: 'Each item needs an itemid and a quantity greater than 0' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveQuote(client, quote);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (quoteid > 0 ? 'Updated the Quote ' : 'Created the Quote ') + saved.quoteno, compid, isweb);
+    return res.status(200).json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetQuoteList:
+ *   get:
+ *     summary: Get the list of quotes of a company
+ *     tags: [Quote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, accepted, declined, expired, invoiced]
+ *         description: Only the quotes with this status
+ *     responses:
+ *       200:
+ *         description: Returns the list of quotes with quoteid, quoteno, quotedate, validtill, custname, total, status and the invoice they were converted into.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetQuoteList', authenticateToken, async (req, res) => {
+  const { compid, status } = req.query;
+
+  if (!compid || (status && !Object.values(QUOTE_STATUS).includes(status))) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const query = `
+      SELECT * FROM (
+        SELECT
+          Q.quoteid, Q.quoteno, Q.quotedate, Q.validtill, C.custname, Q.total,
+          ${EFFECTIVE_STATUS} AS status, Q.invid, I.invno
+        FROM "Quote" Q
+        JOIN "Customer" C ON Q.custid = C.custid
+        LEFT JOIN "Invoice" I ON Q.invid = I.invid
+        WHERE Q.compid = $1
+      ) L
+      WHERE $2::text IS NULL OR L.status = $2
+      ORDER BY L.quotedate DESC, L.quoteid DESC
+    `;
+    const { rows } = await pool.query(query, [compid, status || null]);
+
+    return res.status(200).json(rows);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetQuoteDet/{quoteid}:
+ *   get:
+ *     summary: Get a quote with its items
+ *     tags: [Quote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Quote ID
+ *     responses:
+ *       200:
+ *         description: Returns the quote header and its items.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Quote not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetQuoteDet/:quoteid', authenticateToken, async (req, res) => {
+  const { quoteid } = req.params;
+
+  if (!quoteid || isNaN(quoteid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const headerQuery = `
+      SELECT
+        Q.quoteid, Q.quoteno, Q.quotedate, Q.validtill, Q.custid, C.custname, Q.subject, Q.notes, Q.tnc,
+        Q.stot, Q.cgst, Q.sgst, Q.igst, Q.cess, Q.total, Q.currencycode, ${EFFECTIVE_STATUS} AS status,
+        Q.statusreason, Q.invid, I.invno
+      FROM "Quote" Q
+      JOIN "Customer" C ON Q.custid = C.custid
+      LEFT JOIN "Invoice" I ON Q.invid = I.invid
+      WHERE Q.quoteid = $1
+    `;
+    const { rows } = await pool.query(headerQuery, [quoteid]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const itemsQuery = `
+      SELECT
+        QI.sr, QI.itemid, It.itemname, It.hsncode, QI.quantity, QI.rate, QI.amount, QI.discount, QI.taxinclusive, QI.taxable,
+        QI.cgstper, QI.sgstper, QI.igstper, QI.cgst, QI.sgst, QI.igst, QI.cessper, QI.cess, QI.taxtotal, QI.total
+      FROM "QuoteItem" QI
+      JOIN "Items" It ON QI.itemid = It.itemid
+      WHERE QI.quoteid = $1
+      ORDER BY QI.sr
+    `;
+    const { rows: items } = await pool.query(itemsQuery, [quoteid]);
+
+    return res.status(200).json({ ...rows[0], items });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quotes/{quoteid}/status:
+ *   post:
+ *     summary: Mark a quote as accepted or declined by the customer
+ *     description: Only open quotes that have not expired can be accepted or declined.
+ *     tags: [Quote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Quote ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [accepted, declined]
+ *               reason:
+ *                 type: string
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - status
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the quoteid, quoteno and new status.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Quote not found.
+ *       409:
+ *         description: The quote is not open or has expired.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/quotes/:quoteid/status', authenticateToken, async (req, res) => {
+  const { quoteid } = req.params;
+  const { status, reason, compid, userid, isweb } = req.body;
+
+  if (!quoteid || isNaN(quoteid) || !compid || ![QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.DECLINED].includes(status)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const quote = await lockQuote(client, quoteid, compid);
+    if (quote.curstatus !== QUOTE_STATUS.OPEN) {
+      throw createHttpError(409, `Quote is ${quote.curstatus} and cannot be ${status}`);
+    }
+    await client.query(
+      'UPDATE "Quote" SET status = $2, statusreason = $3, updon = $4 WHERE quoteid = $1',
+      [quoteid, status, reason || null, new Date()]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (status === QUOTE_STATUS.ACCEPTED ? 'Accepted the Quote ' : 'Declined the Quote ') + quote.quoteno, compid, isweb);
+    return res.status(200).json({ quoteid: quote.quoteid, quoteno: quote.quoteno, status });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/quotes/{quoteid}/convert:
+ *   post:
+ *     summary: Convert an open or accepted quote into an invoice
+ *     description: Creates an invoice with the same customer and lines as the quote and links the two. Tax is computed again at the invoice date.
+ *     tags: [Quote]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Quote ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               invdate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               invno:
+ *                 type: string
+ *                 description: Required when invoice numbering is manual
+ *               duedate:
+ *                 type: string
+ *                 format: date
+ *               paytermid:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [draft, issued]
+ *                 description: Status of the new invoice, draft when not given
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the quoteid and the invid, invno and totals of the new invoice.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Quote not found.
+ *       409:
+ *         description: The quote is declined, expired or already converted.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/quotes/:quoteid/convert', authenticateToken, async (req, res) => {
+  const { quoteid } = req.params;
+  const { invdate, invno, duedate, paytermid, status, compid, userid, isweb } = req.body;
+
+  if (!quoteid || isNaN(quoteid) || !compid) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const quote = await lockQuote(client, quoteid, compid);
+    if (![QUOTE_STATUS.OPEN, QUOTE_STATUS.ACCEPTED].includes(quote.curstatus)) {
+      throw createHttpError(409, `Quote is ${quote.curstatus} and cannot be converted into an invoice`);
+    }
+
+    const { rows: items } = await client.query(
+      'SELECT itemid, quantity, rate, discount, taxinclusive FROM "QuoteItem" WHERE quoteid = $1 ORDER BY sr',
+      [quoteid]
+    );
+    const saved = await saveInvoice(client, {
+      custid: quote.custid,
+      compid,
+      invno,
+      invdate: invdate || new Date(),
+      duedate,
+      paytermid,
+      subject: quote.subject,
+      notes: quote.notes,
+      tnc: quote.tnc,
+      currencycode: quote.currencycode,
+      userid,
+      status: status === INVOICE_STATUS.ISSUED ? INVOICE_STATUS.ISSUED : INVOICE_STATUS.DRAFT,
+      items,
+    });
+    await client.query('UPDATE "Invoice" SET quoteid = $2 WHERE invid = $1', [saved.invid, quoteid]);
+    await client.query(
+      'UPDATE "Quote" SET status = $2, invid = $3, updon = $4 WHERE quoteid = $1',
+      [quoteid, QUOTE_STATUS.INVOICED, saved.invid, new Date()]
+    );
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, 'Converted the Quote ' + quote.quoteno + ' into the Invoice ' + saved.invno, compid, isweb);
+    return res.status(200).json({ quoteid: quote.quoteid, ...saved });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Invoice number is already used' });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog, createHttpError } = require('./common');
+const { FREQUENCIES, toDateString, addPeriods, runProfile } = require('./recurringScheduler');
+const { hasAutoInvoiceNumbering } = require('./docNumber');
+
+const SAVE_AS = ['draft', 'issue'];
+
+// Swagger documentation for Recurring Invoice API
+/**
+ * @swagger
+ * tags:
+ *   name: Recurring
+ *   description: API endpoints for Recurring Invoice Profiles
+ */
+
+// Function to save a recurring profile with its items inside a transaction
+async function saveProfile(client, profile) {
+  const { compid, custid, frequency, startdate, enddate, items } = profile;
+  const profileid = profile.profileid ? Number(profile.profileid) : 0;
+  const isactive = profile.isactive === undefined ? true : Boolean(profile.isactive);
+  let runcount = 0;
+
+  if (profileid > 0) {
+    const { rows } = await client.query(
+      'SELECT runcount FROM "RecurringProfile" WHERE profileid = $1 AND compid = $2 FOR UPDATE',
+      [profileid, compid]
+    );
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Recurring profile not found');
+    }
+    runcount = Number(rows[0].runcount || 0);
+  }
+  if (isactive && !(await hasAutoInvoiceNumbering(client, compid))) {
+    throw createHttpError(409, 'Recurring invoices need automatic invoice numbering, turn it on or save the profile as inactive');
+  }
+
+  // Runs already made are kept, the next run follows the (possibly new) schedule
+  const nextrundate = addPeriods(startdate, frequency, runcount);
+  const updon = new Date();
+  const params = [
+    profile.profilename, custid, compid, frequency, startdate, enddate || null, nextrundate,
+    profile.saveas || 'draft', Boolean(profile.emailinvoice), profile.ordno, profile.subject, profile.notes, profile.tnc,
+    profile.shipcountryid, profile.shipstateid, profile.shipstreet1, profile.shipstreet2, profile.shipcity, profile.shippin,
+    profile.currencycode, isactive, profile.userid, updon,
+  ];
+
+  let savedId;
+  if (profileid > 0) {
+    const { rows } = await client.query(
+      `UPDATE "RecurringProfile"
+       SET profilename = $1, custid = $2, compid = $3, frequency = $4, startdate = $5, enddate = $6, nextrundate = $7,
+         saveas = $8, emailinvoice = $9, ordno = $10, subject = $11, notes = $12, tnc = $13,
+         shipcountryid = $14, shipstateid = $15, shipstreet1 = $16, shipstreet2 = $17, shipcity = $18, shippin = $19,
+         currencycode = $20, isactive = $21, userid = $22, updon = $23, lasterror = NULL
+       WHERE profileid = $24
+       RETURNING profileid`,
+      [...params, profileid]
+    );
+    savedId = rows[0].profileid;
+    await client.query('DELETE FROM "RecurringProfileItem" WHERE profileid = $1', [savedId]);
+  } else {
+    const { rows } = await client.query(
+      `INSERT INTO "RecurringProfile"
+       (profilename, custid, compid, frequency, startdate, enddate, nextrundate, saveas, emailinvoice, ordno, subject, notes, tnc,
+         shipcountryid, shipstateid, shipstreet1, shipstreet2, shipcity, shippin, currencycode, isactive, userid, updon, runcount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, 0)
+       RETURNING profileid`,
+      params
+    );
+    savedId = rows[0].profileid;
+  }
+
+  const insertItemQuery = `
+    INSERT INTO "RecurringProfileItem" (profileid, sr, itemid, quantity, rate, discount)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `;
+  for (const [index, line] of items.entries()) {
+    await client.query(insertItemQuery, [
+      savedId, index + 1, line.itemid, line.quantity,
+      line.rate === undefined ? null : line.rate, line.discount || 0,
+    ]);
+  }
+
+  return { profileid: savedId, nextrundate };
+}
+
+/**
+ * @swagger
+ * /api/SaveRecurringProfile:
+ *   post:
+ *     summary: Create or update a recurring invoice profile
+ *     description: The scheduler generates an invoice on every run date from startdate until enddate. The invoice number comes from the invoice series and the due date from the customer's payment terms.
+ *     tags: [Recurring]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               profileid:
+ *                 type: integer
+ *                 description: 0 or empty to create a new profile
+ *               profilename:
+ *                 type: string
+ *               custid:
+ *                 type: integer
+ *               frequency:
+ *                 type: string
+ *                 enum: [W, M, Q, H, Y]
+ *                 description: Weekly, Monthly, Quarterly, Half Yearly or Yearly
+ *               startdate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the first invoice
+ *               enddate:
+ *                 type: string
+ *                 format: date
+ *                 description: No invoice is generated after this date, empty to never end
+ *               saveas:
+ *                 type: string
+ *                 enum: [draft, issue]
+ *                 description: Save the generated invoices as draft or issue them
+ *               emailinvoice:
+ *                 type: boolean
+ *                 description: Email issued invoices as PDF to the customer
+ *               ordno:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               tnc:
+ *                 type: string
+ *               shipcountryid:
+ *                 type: integer
+ *               shipstateid:
+ *                 type: integer
+ *               shipstreet1:
+ *                 type: string
+ *               shipstreet2:
+ *                 type: string
+ *               shipcity:
+ *                 type: string
+ *               shippin:
+ *                 type: string
+ *               currencycode:
+ *                 type: string
+ *               isactive:
+ *                 type: boolean
+ *                 description: false to pause the profile. Profiles that fail to run are paused by the scheduler, saving them again resumes them
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemid:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *                       description: Empty to use the item's sellprice at the time of the run
+ *                     discount:
+ *                       type: number
+ *               compid:
+ *                 type: integer
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *             required:
+ *               - profilename
+ *               - custid
+ *               - frequency
+ *               - startdate
+ *               - compid
+ *               - items
+ *     responses:
+ *       200:
+ *         description: Returns the profileid and the next run date.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Recurring profile not found.
+ *       409:
+ *         description: The company numbers its invoices manually, an active profile cannot be saved.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/SaveRecurringProfile', authenticateToken, async (req, res) => {
+  const profile = req.body;
+  const { profileid, profilename, custid, frequency, startdate, enddate, saveas, items, compid, userid, isweb } = profile;
+
+  if (!profilename || !custid || !FREQUENCIES[frequency] || !startdate || !compid || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+  if (saveas && !SAVE_AS.includes(saveas)) {
+    return res.status(400).json({ error: 'saveas must be draft or issue' });
+  }
+  if (enddate && toDateString(enddate) < toDateString(startdate)) {
+    return res.status(400).json({ error: 'End date cannot be before the start date' });
+  }
+  if (items.some((line) => !line.itemid || !(Number(line.quantity) > 0))) {
+    return res.status(400).json({ error: 'Each item needs an itemid and a quantity greater than 0' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveProfile(client, profile);
+    await client.query('COMMIT');
+
+    writeToUserLog(userid, (profileid > 0 ? 'Updated the Recurring Profile ' : 'Created the Recurring Profile ') + profilename, compid, isweb);
+    return res.status(200).json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetRecurringProfiles/{compid}:
+ *   get:
+ *     summary: Get the list of recurring invoice profiles of a company
+ *     tags: [Recurring]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Returns the list of profiles with their customer, schedule and last generated invoice.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetRecurringProfiles/:compid', authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+
+  try {
+    const query = `
+      SELECT
+        P.profileid, P.profilename, C.custname, P.frequency, P.startdate, P.enddate, P.nextrundate,
+        P.lastrundate, P.runcount, I.invno AS lastinvno, P.saveas, P.emailinvoice, P.isactive, P.lasterror
+      FROM "RecurringProfile" P
+      JOIN "Customer" C ON P.custid = C.custid
+      LEFT JOIN "Invoice" I ON P.lastinvid = I.invid
+      WHERE P.compid = $1
+      ORDER BY P.profilename
+    `;
+    const { rows } = await pool.query(query, [compid]);
+
+    return res.status(200).json(rows);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetRecurringProfileDet/{profileid}:
+ *   get:
+ *     summary: Get a recurring invoice profile with its items and generated invoices
+ *     tags: [Recurring]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: profileid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Recurring Profile ID
+ *     responses:
+ *       200:
+ *         description: Returns the profile, its items and the invoices generated from it.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Recurring profile not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/api/GetRecurringProfileDet/:profileid', authenticateToken, async (req, res) => {
+  const { profileid } = req.params;
+
+  if (!profileid || isNaN(profileid)) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const { rows } = await pool.query('SELECT * FROM "RecurringProfile" WHERE profileid = $1', [profileid]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Recurring profile not found' });
+    }
+
+    const itemsQuery = `
+      SELECT PI.sr, PI.itemid, It.itemname, PI.quantity, PI.rate, PI.discount
+      FROM "RecurringProfileItem" PI
+      JOIN "Items" It ON PI.itemid = It.itemid
+      WHERE PI.profileid = $1
+      ORDER BY PI.sr
+    `;
+    const { rows: items } = await pool.query(itemsQuery, [profileid]);
+    const { rows: invoices } = await pool.query(
+      'SELECT invid, invno, invdate, total, status FROM "Invoice" WHERE profileid = $1 ORDER BY invdate DESC, invid DESC',
+      [profileid]
+    );
+
+    return res.status(200).json({ ...rows[0], items, invoices });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recurring-profiles/{profileid}/run:
+ *   post:
+ *     summary: Generate the invoices of a recurring profile that are due now
+ *     description: The scheduler does this every hour, this endpoint runs a profile without waiting for it.
+ *     tags: [Recurring]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: profileid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Recurring Profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compid:
+ *                 type: integer
+ *             required:
+ *               - compid
+ *     responses:
+ *       200:
+ *         description: Returns the generated invoices, empty when nothing is due.
+ *       400:
+ *         description: Invalid request or missing parameters.
+ *       404:
+ *         description: Recurring profile not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/api/recurring-profiles/:profileid/run', authenticateToken, async (req, res) => {
+  const { profileid } = req.params;
+  const { compid } = req.body;
+
+  if (!profileid || isNaN(profileid) || !compid) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const { rows } = await pool.query('SELECT profileid FROM "RecurringProfile" WHERE profileid = $1 AND compid = $2', [profileid, compid]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Recurring profile not found' });
+    }
+    const invoices = await runProfile(Number(profileid));
+    return res.status(200).json({ invoices });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
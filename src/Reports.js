@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authMiddleware = require('../authMiddleware');
+const { round2 } = require('./common');
+const { getItemLines, summariseHsn } = require('./gstr1');
+const { getCustomerLedger } = require('./customerLedger');
 
 // Swagger documentation for Report API
 /**
@@ -269,7 +272,7 @@ router.get('/api/GetSaleByCust', authMiddleware, async (req, res) => {
         "Customer" C
         LEFT JOIN "Invoice" I ON C.custid = I.custid
       WHERE
-        I.invdate >= $1 AND I.invdate <= $2 AND I.compid = $3
+        I.invdate >= $1 AND I.invdate <= $2 AND I.compid = $3 AND I.status NOT IN ('draft', 'cancelled')
       GROUP BY
         C.custname;
     `;
@@ -335,7 +338,7 @@ router.get('/api/GetSaleByItem', authMiddleware, async (req, res) => {
        "Invoice" I
        INNER JOIN "InvoiceItem" II ON I.invid = II.invid
      WHERE
-       I.invdate >= $1 AND I.invdate <= $2 AND I.compid = $3
+       I.invdate >= $1 AND I.invdate <= $2 AND I.compid = $3 AND I.status NOT IN ('draft', 'cancelled')
      GROUP BY
        I.itemname;
    `;
@@ -376,21 +379,58 @@ router.get('/api/GetCustBalance/:compid', authMiddleware, async (req, res) => {
   const { compid } = req.params;
 
   try {
-    // Get the report data for the given company ID
+    // Get the report data for the given company ID, invoices net of debit and credit notes,
+    // settlement discounts and write-offs reduce the balance without being cash received.
+    // Bounced and reversed payments are left out, refunds and bounce charges are owed again as in the customer ledger
     const getReportDataQuery = `
       SELECT
         C.custname,
-        SUM(I.total) AS "invbalance (FCY)",
-        SUM(P.totalamt) AS "AvailableCredit (FCY)",
-        SUM(I.total) - SUM(P.totalamt) AS "Balance (FCY)",
-        SUM(I.total * CC.convrate) - SUM(P.totalamt * CC.convrate) AS "Balance (BCY)"
+        COALESCE(I.invtotal, 0) + COALESCE(N.debittotal, 0) - COALESCE(N.credittotal, 0) AS "invbalance (FCY)",
+        COALESCE(N.credittotal, 0) AS "CreditNotes (FCY)",
+        COALESCE(N.debittotal, 0) AS "DebitNotes (FCY)",
+        COALESCE(P.paytotal, 0) AS "AvailableCredit (FCY)",
+        COALESCE(R.refundtotal, 0) AS "Refunds (FCY)",
+        COALESCE(R.chargetotal, 0) AS "Bounce Charges (FCY)",
+        COALESCE(S.discounttotal, 0) AS "Discount (FCY)",
+        COALESCE(S.writeofftotal, 0) AS "Written Off (FCY)",
+        COALESCE(I.invtotal, 0) + COALESCE(N.debittotal, 0) - COALESCE(N.credittotal, 0) - COALESCE(P.paytotal, 0) + COALESCE(R.refundtotal, 0) + COALESCE(R.chargetotal, 0) - COALESCE(S.settledtotal, 0) AS "Balance (FCY)",
+        (COALESCE(I.invtotal, 0) + COALESCE(N.debittotal, 0) - COALESCE(N.credittotal, 0) - COALESCE(P.paytotal, 0) + COALESCE(R.refundtotal, 0) + COALESCE(R.chargetotal, 0) - COALESCE(S.settledtotal, 0)) * COALESCE(CC.convrate, 1) AS "Balance (BCY)"
       FROM
         "Customer" C
-        LEFT JOIN "Invoice" I ON C.custid = I.custid AND I.compid = $1
-        LEFT JOIN "Payments" P ON C.custid = P.custid AND P.compid = $1
-        LEFT JOIN "CurConv" CC ON I.currencycode = CC.currencycode AND P.currencycode = CC.currencycode
-      GROUP BY
-        C.custname;
+        JOIN "Company" CO ON C.compid = CO.compid
+        LEFT JOIN (
+          SELECT custid, SUM(total) AS invtotal FROM "Invoice" WHERE compid = $1 AND status NOT IN ('draft', 'cancelled') GROUP BY custid
+        ) I ON C.custid = I.custid
+        LEFT JOIN (
+          SELECT
+            custid,
+            SUM(CASE WHEN notetype = 'C' THEN total ELSE 0 END) AS credittotal,
+            SUM(CASE WHEN notetype = 'D' THEN total ELSE 0 END) AS debittotal
+          FROM "CrDrNote" WHERE compid = $1 AND status = 'issued' GROUP BY custid
+        ) N ON C.custid = N.custid
+        LEFT JOIN (
+          SELECT custid, SUM(payamount) AS paytotal FROM Payments WHERE COALESCE(status, 'received') = 'received' GROUP BY custid
+        ) P ON C.custid = P.custid
+        LEFT JOIN (
+          SELECT
+            custid,
+            SUM(CASE WHEN revtype = 'refund' THEN amount ELSE 0 END) AS refundtotal,
+            SUM(COALESCE(charges, 0)) AS chargetotal
+          FROM "PaymentReversal" WHERE compid = $1 GROUP BY custid
+        ) R ON C.custid = R.custid
+        LEFT JOIN (
+          SELECT
+            I.custid,
+            SUM(CASE WHEN A.adjtype = 'D' THEN A.adjustamt ELSE 0 END) AS discounttotal,
+            SUM(CASE WHEN A.adjtype = 'W' THEN A.adjustamt ELSE 0 END) AS writeofftotal,
+            SUM(A.adjustamt) AS settledtotal
+          FROM Adjustment A JOIN "Invoice" I ON A.invid = I.invid
+          WHERE I.compid = $1 AND A.adjtype IN ('D', 'W')
+          GROUP BY I.custid
+        ) S ON C.custid = S.custid
+        LEFT JOIN "CurConv" CC ON C.currencycode = CC.fcurcode AND CO.currencycode = CC.bcurcode
+      WHERE
+        C.compid = $1;
     `;
 
     const values = [compid];
@@ -433,39 +473,62 @@ router.get('/api/GetCustBalance/:compid', authMiddleware, async (req, res) => {
  *           format: date
  *         required: true
  *         description: End date of the invoice date range (e.g., 2023-07-31)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, issued, partpaid, paid, cancelled]
+ *         description: Only the invoices with this status
  *     responses:
  *       200:
- *         description: Successful operation
+ *         description: Invoices with the amount received in payments, the settlement discount, the amount written off and the balance due
  *       500:
  *         description: Internal server error
  */
 router.get('/api/GetInvDetails/:compid', authMiddleware, async (req, res) => {
   const { compid } = req.params;
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, status } = req.query;
 
   try {
-    // Get the report data for the given company ID and invoice date range
+    // Get the report data for the given company ID and invoice date range, cash received apart from the
+    // settlement discounts and write-offs
     const getReportDataQuery = `
       SELECT
-        CASE
-          WHEN I.total = I.amtdue THEN 'Not paid'
-          WHEN I.amtdue > 0 AND I.amtdue < I.total THEN 'Partial Paid'
-          ELSE 'Paid'
+        CASE I.status
+          WHEN 'draft' THEN 'Draft'
+          WHEN 'issued' THEN 'Not Paid'
+          WHEN 'partpaid' THEN 'Partially Paid'
+          WHEN 'paid' THEN 'Paid'
+          WHEN 'cancelled' THEN 'Cancelled'
         END AS "Status",
         I.invdate,
         I.duedate,
         I.invno,
         I.ordno,
         C.custname,
-        I.total
+        I.total,
+        COALESCE(A.received, 0) AS "Received",
+        COALESCE(A.discount, 0) AS "Discount",
+        COALESCE(A.writtenoff, 0) AS "Written Off",
+        I.amtdue AS "Balance Due"
       FROM
         "Invoice" I
         INNER JOIN "Customer" C ON I.custid = C.custid AND I.compid = C.compid
+        LEFT JOIN (
+          SELECT
+            A.invid,
+            SUM(CASE WHEN A.adjtype = 'P' THEN A.adjustamt ELSE 0 END) AS received,
+            SUM(CASE WHEN A.adjtype = 'D' THEN A.adjustamt ELSE 0 END) AS discount,
+            SUM(CASE WHEN A.adjtype = 'W' THEN A.adjustamt ELSE 0 END) AS writtenoff
+          FROM Adjustment A JOIN "Invoice" AI ON A.invid = AI.invid
+          WHERE AI.compid = $1
+          GROUP BY A.invid
+        ) A ON I.invid = A.invid
       WHERE
-        I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3;
+        I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND ($4::text IS NULL OR I.status = $4);
     `;
 
-    const values = [compid, startDate, endDate];
+    const values = [compid, startDate, endDate, status || null];
     const result = await pool.query(getReportDataQuery, values);
 
     const reportData = result.rows;
@@ -516,7 +579,7 @@ router.get('/api/GetRecSum/:compid', authMiddleware, async (req, res) => {
   const { startDate, endDate } = req.query;
 
   try {
-    // Get the report data for the particular company ID and invoice date range
+    // Get the report data for the particular company ID and invoice date range, with the debit and credit notes
     const getReportDataQuery = `
       SELECT
         C.custname,
@@ -524,22 +587,41 @@ router.get('/api/GetRecSum/:compid', authMiddleware, async (req, res) => {
         I.invid,
         I.invno,
         CASE
-          WHEN I.total = I.amtdue THEN 'Not Paid'
-          WHEN I.amtdue > 0 AND I.total < I.amtdue THEN 'Partially Paid'
-          ELSE 'Fully Paid'
+          WHEN I.status = 'paid' THEN 'Fully Paid'
+          WHEN I.status = 'partpaid' THEN 'Partially Paid'
+          ELSE 'Not Paid'
         END AS "Status",
         'Invoice' AS "TranType",
-        I.total AS "Total (BCY)",
-        (P.totalamt - I.amtdue) * CC.convrate AS "Balance (BCY)",
-        P.totalamt - I.amtdue AS "Balance (FCY)"
+        I.total * COALESCE(CC.convrate, 1) AS "Total (BCY)",
+        I.amtdue * COALESCE(CC.convrate, 1) AS "Balance (BCY)",
+        I.amtdue AS "Balance (FCY)"
       FROM
         "Invoice" I
         INNER JOIN "Customer" C ON I.custid = C.custid AND I.compid = C.compid
-        LEFT JOIN "Payments" P ON I.invid = P.invid AND I.custid = P.custid AND I.compid = P.compid
         LEFT JOIN "Company" CO ON I.compid = CO.compid
-        LEFT JOIN "CurConv" CC ON P.currencycode = CC.fcurcode and CO.currencycode=CC.bcurcode
+        LEFT JOIN "CurConv" CC ON I.currencycode = CC.fcurcode and CO.currencycode=CC.bcurcode
+      WHERE
+        I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND I.status NOT IN ('draft', 'cancelled')
+      UNION ALL
+      SELECT
+        C.custname,
+        N.notedate,
+        N.invid,
+        N.noteno,
+        'Adjusted' AS "Status",
+        CASE WHEN N.notetype = 'C' THEN 'Credit Note' ELSE 'Debit Note' END AS "TranType",
+        CASE WHEN N.notetype = 'C' THEN -N.total ELSE N.total END * COALESCE(CC.convrate, 1) AS "Total (BCY)",
+        0 AS "Balance (BCY)",
+        0 AS "Balance (FCY)"
+      FROM
+        "CrDrNote" N
+        INNER JOIN "Customer" C ON N.custid = C.custid
+        LEFT JOIN "Company" CO ON N.compid = CO.compid
+        LEFT JOIN "CurConv" CC ON N.currencycode = CC.fcurcode and CO.currencycode=CC.bcurcode
       WHERE
-        I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3;
+        N.compid = $1 AND N.notedate >= $2 AND N.notedate <= $3 AND N.status = 'issued'
+      ORDER BY
+        2, 3;
     `;
 
     const values = [compid, startDate, endDate];
@@ -617,7 +699,7 @@ router.get('/api/GetRecDet/:compid/:custid', authMiddleware, async (req, res) =>
         INNER JOIN Items It ON II.itemid = It.itemid
         LEFT JOIN CurConv CC ON It.currencycode = CC.currencycode
       WHERE
-        I.compid = $1 AND I.custid = $2 AND I.invdate >= $3 AND I.invdate <= $4;
+        I.compid = $1 AND I.custid = $2 AND I.invdate >= $3 AND I.invdate <= $4 AND I.status NOT IN ('draft', 'cancelled');
     `;
 
     const values = [compid, custid, startDate, endDate];
@@ -741,7 +823,7 @@ router.get('/api/GetPayRec/:compid/:custid', authMiddleware, async (req, res) =>
  *         description: End date of the invoice date range (e.g., 2023-07-31)
  *     responses:
  *       200:
- *         description: Successful operation
+ *         description: Tax per tax percentage, reverse charge tax (ReverseCharge true) is on separate rows as the customer pays it
  *       500:
  *         description: Internal server error
  */
@@ -750,20 +832,52 @@ router.get('/api/GetTaxSum/:compid', authMiddleware, async (req, res) => {
   const { startDate, endDate } = req.query;
 
   try {
-    // Get the report data in tabular form for the particular company ID and invoice date range
+    // Get the report data in tabular form for the particular company ID and invoice date range,
+    // debit notes add to and credit notes reduce the invoice tax, reverse charge tax is on separate rows
     const getReportDataQuery = `
       SELECT
-        IT.taxname AS "TaxName",
-        IT.taxpercentage AS "TaxPercentage",
-        SUM(IT.taxableamount) AS "TaxableAmount",
-        SUM(IT.taxamount) AS "TaxAmount"
-      FROM
-        Invoice I
-        INNER JOIN InvoiceTax IT ON I.invid = IT.invid AND I.custid = IT.custid AND I.compid = IT.compid
-      WHERE
-        I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3
+        L.percentage AS "TaxPercentage",
+        L.isrcm AS "ReverseCharge",
+        ROUND(SUM(L.taxable), 2) AS "TaxableAmount",
+        ROUND(SUM(L.cgst), 2) AS "CGST",
+        ROUND(SUM(L.sgst), 2) AS "SGST",
+        ROUND(SUM(L.igst), 2) AS "IGST",
+        ROUND(SUM(L.cess), 2) AS "Cess",
+        ROUND(SUM(L.cgst + L.sgst + L.igst + L.cess), 2) AS "TaxAmount"
+      FROM (
+        SELECT
+          II.cgstper + II.sgstper + II.igstper AS percentage,
+          COALESCE(II.taxable, II.amount - II.discount) AS taxable,
+          COALESCE(II.cgst, (II.amount - II.discount) * II.cgstper / 100) AS cgst,
+          COALESCE(II.sgst, (II.amount - II.discount) * II.sgstper / 100) AS sgst,
+          COALESCE(II.igst, (II.amount - II.discount) * II.igstper / 100) AS igst,
+          COALESCE(II.cess, 0) AS cess,
+          COALESCE(I.isrcm, false) AS isrcm
+        FROM
+          "Invoice" I
+          INNER JOIN "InvoiceItem" II ON I.invid = II.invoiceid
+        WHERE
+          I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND I.status NOT IN ('draft', 'cancelled')
+        UNION ALL
+        SELECT
+          NI.cgstper + NI.sgstper + NI.igstper,
+          CASE WHEN N.notetype = 'C' THEN -NI.taxable ELSE NI.taxable END,
+          CASE WHEN N.notetype = 'C' THEN -NI.cgst ELSE NI.cgst END,
+          CASE WHEN N.notetype = 'C' THEN -NI.sgst ELSE NI.sgst END,
+          CASE WHEN N.notetype = 'C' THEN -NI.igst ELSE NI.igst END,
+          CASE WHEN N.notetype = 'C' THEN -COALESCE(NI.cess, 0) ELSE COALESCE(NI.cess, 0) END,
+          COALESCE(NInv.isrcm, false)
+        FROM
+          "CrDrNote" N
+          INNER JOIN "CrDrNoteItem" NI ON N.noteid = NI.noteid
+          INNER JOIN "Invoice" NInv ON N.invid = NInv.invid
+        WHERE
+          N.compid = $1 AND N.notedate >= $2 AND N.notedate <= $3 AND N.status = 'issued'
+      ) L
       GROUP BY
-        IT.taxname, IT.taxpercentage;
+        L.isrcm, L.percentage
+      ORDER BY
+        L.isrcm, L.percentage;
     `;
 
     const values = [compid, startDate, endDate];
@@ -777,6 +891,344 @@ router.get('/api/GetTaxSum/:compid', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/GetHSNSum/{compid}:
+ *   get:
+ *     summary: Get the HSN/SAC summary of a company for an invoice date range
+ *     description: >
+ *       Items of the issued invoices and of the credit and debit notes grouped by HSN/SAC code, UQC and tax rate,
+ *       as the HSN summary table of GSTR-1. Credit notes reduce and debit notes add to the quantity and amounts.
+ *       Items without a unit are reported under the UQC OTH.
+ *     tags: [Reports]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date of the invoice date range (e.g., 2023-07-01)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date of the invoice date range (e.g., 2023-07-31)
+ *     responses:
+ *       200:
+ *         description: Rows with num, hsn_sc, desc, uqc, qty, rt, txval (taxable value), iamt, camt, samt and csamt (cess)
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetHSNSum/:compid', authMiddleware, async (req, res) => {
+  const { compid } = req.params;
+  const { startDate, endDate } = req.query;
+
+  if (!compid || isNaN(compid) || !startDate || !endDate) {
+    return res.status(400).json({ message: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const { invoiceItems, noteItems } = await getItemLines(pool, compid, startDate, endDate);
+    return res.json(summariseHsn([...invoiceItems, ...noteItems]));
+  } catch (error) {
+    console.error('Error fetching HSN summary:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetCustLedger/{compid}/{custid}:
+ *   get:
+ *     summary: Get the ledger of a customer for a date range
+ *     description: >
+ *       Invoices, debit notes, credit notes, payments, payment reversals with their charges and refunds of the
+ *       customer in date order, with the opening balance from the entries before the start date and the running
+ *       balance. A positive balance is owed by the customer, a negative balance is an advance.
+ *     tags: [Reports]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: path
+ *         name: custid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Customer ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date of the range (e.g., 2023-07-01)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date of the range (e.g., 2023-07-31)
+ *     responses:
+ *       200:
+ *         description: >
+ *           custid, custname, opening, debit, credit, closing and entries with trandate, trantype, refid, refno,
+ *           remarks, debit, credit and balance
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetCustLedger/:compid/:custid', authMiddleware, async (req, res) => {
+  const { compid, custid } = req.params;
+  const { startDate, endDate } = req.query;
+
+  if (!compid || isNaN(compid) || !custid || isNaN(custid) || !startDate || !endDate) {
+    return res.status(400).json({ message: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const ledger = await getCustomerLedger(pool, compid, custid, startDate, endDate);
+    if (!ledger) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    return res.json(ledger);
+  } catch (error) {
+    console.error('Error fetching customer ledger:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetSettlements/{compid}:
+ *   get:
+ *     summary: Get the settlement discounts and write-offs of a company for a date range
+ *     description: >
+ *       Lists every discount and write-off saved in the range with its invoice, customer and reason code, with the
+ *       totals per type and reason code. The payments received in the range are totalled apart for comparison.
+ *     tags: [Reports]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date of the range (e.g., 2023-07-01)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date of the range (e.g., 2023-07-31)
+ *       - in: query
+ *         name: adjtype
+ *         schema:
+ *           type: string
+ *           enum: [D, W]
+ *         description: Only discounts (D) or write-offs (W)
+ *     responses:
+ *       200:
+ *         description: cashReceived, discount, writtenOff, summary rows per adjtype and reasoncode, and the entries
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetSettlements/:compid', authMiddleware, async (req, res) => {
+  const { compid } = req.params;
+  const { startDate, endDate, adjtype } = req.query;
+
+  if (!compid || isNaN(compid) || !startDate || !endDate || (adjtype && !['D', 'W'].includes(adjtype))) {
+    return res.status(400).json({ message: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const entriesQuery = `
+      SELECT
+        A.updon::date AS adjdate,
+        CASE WHEN A.adjtype = 'D' THEN 'Settlement Discount' ELSE 'Write-off' END AS "TranType",
+        A.adjtype,
+        A.reasoncode,
+        I.invid,
+        I.invno,
+        I.invdate,
+        C.custname,
+        I.total,
+        A.adjustamt,
+        I.amtdue,
+        A.payid
+      FROM
+        Adjustment A
+        INNER JOIN "Invoice" I ON A.invid = I.invid
+        INNER JOIN "Customer" C ON I.custid = C.custid
+      WHERE
+        I.compid = $1 AND A.updon::date >= $2 AND A.updon::date <= $3 AND A.adjtype IN ('D', 'W')
+        AND ($4::text IS NULL OR A.adjtype = $4)
+      ORDER BY
+        A.updon, I.invid;
+    `;
+    const { rows: entries } = await pool.query(entriesQuery, [compid, startDate, endDate, adjtype || null]);
+
+    // Cash received in the range, bounced and reversed payments left out
+    const { rows: cashRows } = await pool.query(
+      `SELECT COALESCE(SUM(P.payamount), 0) AS received
+       FROM Payments P
+         JOIN "Customer" C ON P.custid = C.custid
+       WHERE C.compid = $1 AND COALESCE(P.paydate, P.updon)::date >= $2 AND COALESCE(P.paydate, P.updon)::date <= $3
+         AND COALESCE(P.status, 'received') = 'received'`,
+      [compid, startDate, endDate]
+    );
+
+    const summary = [];
+    entries.forEach((row) => {
+      let group = summary.find((item) => item.adjtype === row.adjtype && item.reasoncode === row.reasoncode);
+      if (!group) {
+        group = { adjtype: row.adjtype, reasoncode: row.reasoncode, count: 0, amount: 0 };
+        summary.push(group);
+      }
+      group.count += 1;
+      group.amount = round2(group.amount + Number(row.adjustamt));
+    });
+    const totalOf = (type) => round2(summary.filter((item) => item.adjtype === type).reduce((sum, item) => sum + item.amount, 0));
+
+    return res.json({
+      cashReceived: round2(cashRows[0].received),
+      discount: totalOf('D'),
+      writtenOff: totalOf('W'),
+      summary,
+      entries,
+    });
+  } catch (error) {
+    console.error('Error fetching settlements:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/GetBankRecStatus/{compid}:
+ *   get:
+ *     summary: Get the bank reconciliation status of a company for a date range
+ *     description: >
+ *       Summarises the imported bank statement lines of the range by status (matched on import, confirmed, unmatched,
+ *       ignored and debit) and lists the received payments of the range that are not matched to a bank credit.
+ *     tags: [Reports]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date of the range (e.g., 2023-07-01)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date of the range (e.g., 2023-07-31)
+ *     responses:
+ *       200:
+ *         description: >
+ *           summary rows with status, lines and amount, unmatchedCredits (bank credits without a payment) and
+ *           unreconciledPayments (payments without a bank credit) with their totals
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetBankRecStatus/:compid', authMiddleware, async (req, res) => {
+  const { compid } = req.params;
+  const { startDate, endDate } = req.query;
+
+  if (!compid || isNaN(compid) || !startDate || !endDate) {
+    return res.status(400).json({ message: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const summaryQuery = `
+      SELECT status, COUNT(*)::int AS lines, COALESCE(SUM(amount), 0) AS amount
+      FROM "BankStatementLine"
+      WHERE compid = $1 AND txndate >= $2 AND txndate <= $3
+      GROUP BY status
+      ORDER BY status
+    `;
+    const { rows: summary } = await pool.query(summaryQuery, [compid, startDate, endDate]);
+
+    const creditsQuery = `
+      SELECT L.lineid, L.stmtid, L.txndate, L.description, L.refno, L.amount
+      FROM "BankStatementLine" L
+      WHERE L.compid = $1 AND L.txndate >= $2 AND L.txndate <= $3 AND L.status = 'unmatched'
+      ORDER BY L.txndate, L.lineid
+    `;
+    const { rows: unmatchedCredits } = await pool.query(creditsQuery, [compid, startDate, endDate]);
+
+    const paymentsQuery = `
+      SELECT P.payid, COALESCE(P.paydate, P.updon)::date AS paydate, C.custname, P.payrefid, P.payamount
+      FROM Payments P
+        JOIN "Customer" C ON P.custid = C.custid
+      WHERE C.compid = $1 AND COALESCE(P.paydate, P.updon)::date >= $2 AND COALESCE(P.paydate, P.updon)::date <= $3
+        AND COALESCE(P.status, 'received') = 'received'
+        AND NOT EXISTS (SELECT 1 FROM "BankStatementLine" L WHERE L.payid = P.payid)
+      ORDER BY 2, P.payid
+    `;
+    const { rows: unreconciledPayments } = await pool.query(paymentsQuery, [compid, startDate, endDate]);
+
+    const total = (rows, field) => round2(rows.reduce((sum, row) => sum + Number(row[field] || 0), 0));
+    return res.json({
+      summary: summary.map((row) => ({ ...row, amount: Number(row.amount) })),
+      unmatchedCredits,
+      unmatchedCreditTotal: total(unmatchedCredits, 'amount'),
+      unreconciledPayments,
+      unreconciledPaymentTotal: total(unreconciledPayments, 'payamount'),
+    });
+  } catch (error) {
+    console.error('Error fetching bank reconciliation status:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/GetFormNo27EQ/{compid}:
@@ -138,6 +138,9 @@ router.get('/api/state/:stateid', authenticateToken, async (req, res) => {
  *                 maxLength: 200
  *               countryid:
  *                 type: integer
+ *               gststatecode:
+ *                 type: string
+ *                 description: Two digit GST state code (e.g. 27 for Maharashtra), used in e-invoices
  *               userid:
  *                 type: integer
  *               isweb:
@@ -151,7 +154,7 @@ router.get('/api/state/:stateid', authenticateToken, async (req, res) => {
  *         description: An error occurred while creating/updating the State
  */
 router.post('/api/SaveState', authenticateToken, async (req, res) => {
-  const { stateid, statename, countryid, userid, isweb } = req.body;
+  const { stateid, statename, countryid, gststatecode, userid, isweb } = req.body;
 
   try {
     const checkQuery = 'SELECT * FROM public."States" WHERE TRIM(statename) ILIKE $1';
@@ -159,8 +162,8 @@ router.post('/api/SaveState', authenticateToken, async (req, res) => {
     const compid=0;
 
     if (checkResult.rows.length > 0) {
-      const updateQuery = 'UPDATE public."States" SET countryid = $2, statename=$3 WHERE TRIM(statename) ILIKE $1 RETURNING stateid';
-      const updateResult = await pool.query(updateQuery, [statename.trim(), countryid, statename]);
+      const updateQuery = 'UPDATE public."States" SET countryid = $2, statename=$3, gststatecode = COALESCE($4, gststatecode) WHERE TRIM(statename) ILIKE $1 RETURNING stateid';
+      const updateResult = await pool.query(updateQuery, [statename.trim(), countryid, statename, gststatecode]);
 
       res.status(200).json(updateResult.rows[0]);
       writeToUserLog(userid, 'Updated State  - '+statename, compid, isweb);
@@ -170,22 +173,22 @@ router.post('/api/SaveState', authenticateToken, async (req, res) => {
         const sResult = await pool.query(sQuery, [stateid]);
     
         if (sResult.rows.length > 0) {
-          const updateQuery1 = 'UPDATE public."States" SET countryid = $2, statename=$3 WHERE stateid = $1 RETURNING stateid';
-          const updateResult1 = await pool.query(updateQuery1, [stateid, countryid, statename]);
+          const updateQuery1 = 'UPDATE public."States" SET countryid = $2, statename=$3, gststatecode = COALESCE($4, gststatecode) WHERE stateid = $1 RETURNING stateid';
+          const updateResult1 = await pool.query(updateQuery1, [stateid, countryid, statename, gststatecode]);
     
           res.status(200).json(updateResult1.rows[0]);
           writeToUserLog(userid, 'Updated State  - '+stateid.toString(), compid, isweb);
         }
         else { 
-          const createQuery = 'INSERT INTO public."States" (statename, countryid) VALUES ($1, $2) RETURNING stateid';
-          const createResult = await pool.query(createQuery, [statename, countryid]);
+          const createQuery = 'INSERT INTO public."States" (statename, countryid, gststatecode) VALUES ($1, $2, $3) RETURNING stateid';
+          const createResult = await pool.query(createQuery, [statename, countryid, gststatecode]);
           res.status(201).json(createResult.rows[0]);
           writeToUserLog(userid, 'Created State  - '+statename, compid, isweb);
         }
       }
       else { 
-        const createQuery1 = 'INSERT INTO public."States" (statename, countryid) VALUES ($1, $2) RETURNING stateid';
-        const createResult1 = await pool.query(createQuery1, [statename, countryid]);
+        const createQuery1 = 'INSERT INTO public."States" (statename, countryid, gststatecode) VALUES ($1, $2, $3) RETURNING stateid';
+        const createResult1 = await pool.query(createQuery1, [statename, countryid, gststatecode]);
         res.status(201).json(createResult1.rows[0]);
         writeToUserLog(userid, 'Created State  - '+statename, compid, isweb);
       }
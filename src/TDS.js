@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const multer = require('multer');
+const pool = require('../db');
+const authenticateToken = require('../authMiddleware');
+const { writeToUserLog } = require('./common');
+const { TDS_STATUS, parseFinancialYear, parseForm26as, reconcileTds } = require('./form26as');
+
+const upload = multer({ dest: 'uploads/' });
+
+// Swagger documentation for TDS API
+/**
+ * @swagger
+ * tags:
+ *   name: TDS
+ *   description: API endpoints for the TDS deducted by customers and its reconciliation with Form 26AS
+ */
+
+// Function to fetch the invoices with TDS and the imported 26AS entries of a company for a financial year
+async function getTdsLedger(db, compid, range) {
+  // TDS is confirmed when a payment adjusted against the invoice was received with TDS deducted
+  const bookedQuery = `
+    SELECT
+      I.invid, I.invno, I.invdate, I.stot AS amount, I.tdsamount, C.custid, C.custname, C.panno, C.tanno,
+      CASE WHEN EXISTS (
+        SELECT 1 FROM Adjustment A JOIN Payments P ON A.payid = P.payid WHERE A.invid = I.invid AND A.adjtype = 'P' AND P.tdsdeducted
+      ) THEN I.tdsamount ELSE 0 END AS tdsconfirmed
+    FROM "Invoice" I
+      JOIN "Customer" C ON I.custid = C.custid
+    WHERE I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND I.status NOT IN ('draft', 'cancelled')
+      AND COALESCE(I.tdsamount, 0) <> 0
+  `;
+  const { rows: booked } = await db.query(bookedQuery, [compid, range.fromdate, range.todate]);
+
+  const creditQuery = `
+    SELECT
+      T.custid, T.fy, T.quarter, T.deductorname, T.deductortan, T.deductorpan, T.amountpaid, T.tdsamount,
+      C.custname, C.panno, C.tanno
+    FROM "TDSCredit" T
+      LEFT JOIN "Customer" C ON T.custid = C.custid
+    WHERE T.compid = $1 AND T.fy = $2
+  `;
+  const { rows: credits } = await db.query(creditQuery, [compid, range.fy]);
+
+  return reconcileTds(booked, credits);
+}
+
+/**
+ * @swagger
+ * /api/GetTDSLedger/{compid}:
+ *   get:
+ *     summary: Get the TDS receivable ledger of a company by customer and quarter, reconciled with Form 26AS
+ *     description: >
+ *       TDS booked is the tdsamount of the issued invoices of the quarter, TDS confirmed the part of it on invoices
+ *       adjusted against payments received with TDS deducted. It is compared with the imported 26AS entries of the
+ *       customer (matched by PAN or TAN). The status is matched, short (less TDS in 26AS), excess (more TDS in 26AS),
+ *       missing (nothing in 26AS) or unmatched (26AS entry of a deductor that is not a customer).
+ *       Differences up to 1 are treated as rounding.
+ *     tags: [TDS]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *       - in: query
+ *         name: fy
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Financial year, e.g. 2024-25
+ *       - in: query
+ *         name: quarter
+ *         schema:
+ *           type: string
+ *           enum: [Q1, Q2, Q3, Q4]
+ *         description: Only this quarter
+ *       - in: query
+ *         name: custid
+ *         schema:
+ *           type: integer
+ *         description: Only this customer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [matched, short, excess, missing, unmatched, mismatch]
+ *         description: Only this status, mismatch returns every row that is not matched
+ *     responses:
+ *       200:
+ *         description: >
+ *           Rows with custid, custname, panno, tanno, fy, quarter, invoices, amount, tdsbooked, tdsconfirmed,
+ *           amount26as, tds26as, difference (26AS - booked) and status
+ *       400:
+ *         description: Invalid request or missing parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/api/GetTDSLedger/:compid', authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const { quarter, custid, status } = req.query;
+  const range = parseFinancialYear(req.query.fy);
+
+  if (!compid || isNaN(compid) || !range || (quarter && !/^Q[1-4]$/.test(quarter)) || (custid && isNaN(custid))) {
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  try {
+    const ledger = await getTdsLedger(pool, compid, range);
+    const rows = ledger.filter((row) => (!quarter || row.quarter === quarter)
+      && (!custid || Number(row.custid) === Number(custid))
+      && (!status || row.status === status || (status === 'mismatch' && row.status !== TDS_STATUS.MATCHED)));
+    return res.status(200).json(rows);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ImportForm26AS/{compid}:
+ *   put:
+ *     summary: Import the TDS entries of Form 26AS or the AIS
+ *     description: >
+ *       Accepts the 26AS text file downloaded from TRACES (Part A, values separated by ^) or a CSV with the deductor
+ *       name, TAN or PAN, section, transaction date, amount paid and TDS deducted. Entries are matched to customers by
+ *       PAN or TAN. Importing a quarter again replaces its earlier entries. Returns the ledger rows of the imported
+ *       quarters that do not match.
+ *     tags: [TDS]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: compid
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Company ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               form26as:
+ *                 type: string
+ *                 format: binary
+ *               userid:
+ *                 type: integer
+ *               isweb:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Returns imported, matched (entries of customers), unmatched, quarters and mismatches
+ *       400:
+ *         description: Invalid request, missing file or no TDS entries in the file
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/api/ImportForm26AS/:compid', upload.single('form26as'), authenticateToken, async (req, res) => {
+  const { compid } = req.params;
+  const { userid, isweb } = req.body;
+
+  if (!compid || isNaN(compid) || !req.file) {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+    return res.status(400).json({ error: 'Invalid request or missing parameters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const content = await fs.promises.readFile(req.file.path, 'utf8');
+    const entries = parseForm26as(content);
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No TDS entries found in the file' });
+    }
+
+    const { rows: customers } = await client.query(
+      'SELECT custid, panno, tanno FROM "Customer" WHERE compid = $1 AND (panno IS NOT NULL OR tanno IS NOT NULL)',
+      [compid]
+    );
+    const customerOf = (entry) => customers.find((cust) =>
+      (entry.deductorpan && String(cust.panno || '').trim().toUpperCase() === entry.deductorpan)
+      || (entry.deductortan && String(cust.tanno || '').trim().toUpperCase() === entry.deductortan));
+
+    const quarters = [...new Set(entries.map((entry) => `${entry.fy}|${entry.quarter}`))].map((key) => key.split('|'));
+
+    await client.query('BEGIN');
+    for (const [fy, quarter] of quarters) {
+      await client.query('DELETE FROM "TDSCredit" WHERE compid = $1 AND fy = $2 AND quarter = $3', [compid, fy, quarter]);
+    }
+
+    const insertQuery = `
+      INSERT INTO "TDSCredit"
+        (compid, custid, fy, quarter, deductorname, deductortan, deductorpan, section, txndate, bookingstatus,
+         amountpaid, tdsamount, userid, updon)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+    `;
+    let matched = 0;
+    for (const entry of entries) {
+      const customer = customerOf(entry);
+      matched += customer ? 1 : 0;
+      await client.query(insertQuery, [
+        compid, customer ? customer.custid : null, entry.fy, entry.quarter, entry.deductorname, entry.deductortan,
+        entry.deductorpan, entry.section, entry.txndate, entry.bookingstatus, entry.amountpaid, entry.tdsamount, userid,
+      ]);
+    }
+    await client.query('COMMIT');
+
+    const mismatches = [];
+    for (const fy of new Set(quarters.map(([year]) => year))) {
+      const ledger = await getTdsLedger(pool, compid, parseFinancialYear(fy));
+      mismatches.push(...ledger.filter((row) => row.status !== TDS_STATUS.MATCHED
+        && quarters.some(([year, quarter]) => year === row.fy && quarter === row.quarter)));
+    }
+
+    writeToUserLog(userid, 'Imported Form 26AS - ' + entries.length + ' entries', compid, isweb);
+    return res.status(200).json({
+      imported: entries.length,
+      matched,
+      unmatched: entries.length - matched,
+      quarters: quarters.map(([fy, quarter]) => ({ fy, quarter })),
+      mismatches,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+module.exports = router;
@@ -134,6 +134,9 @@ router.delete('/api/units/:unitid', authMiddleware, async (req, res) => {
  *                 type: integer
  *               unitname:
  *                 type: string
+ *               uqc:
+ *                 type: string
+ *                 description: GST Unit Quantity Code (e.g. NOS, KGS, BOX), used in e-invoices and GST returns
  *               compid:
  *                 type: integer
  *               userid:
@@ -147,13 +150,13 @@ router.delete('/api/units/:unitid', authMiddleware, async (req, res) => {
  *         description: An error occurred while creating or updating the Unit
  */
 router.post('/api/SaveUnit', authMiddleware, async (req, res) => {
-  const { unitid, unitname, compid, userid, isweb } = req.body;
+  const { unitid, unitname, uqc, compid, userid, isweb } = req.body;
 
   try {
     const unitExists = await pool.query('SELECT * FROM public."Units" WHERE TRIM(unitname) ILIKE $1', [unitname.trim()]);
 
     if (unitExists.rows.length > 0) {
-      await pool.query('UPDATE public."Units" SET compid = $1 WHERE TRIM(unitname) ILIKE $2', [compid, unitname.trim()]);
+      await pool.query('UPDATE public."Units" SET compid = $1, uqc = COALESCE($3, uqc) WHERE TRIM(unitname) ILIKE $2', [compid, unitname.trim(), uqc]);
       res.status(201).json({ message: 'Unit updated successfully' });
       writeToUserLog(userid, 'Updated Unit  - '+unitname, compid, isweb);
     } else {
@@ -164,16 +167,16 @@ router.post('/api/SaveUnit', authMiddleware, async (req, res) => {
         const checkResult = await pool.query(checkQuery, [unitid]);
         const uExists = checkResult.rows[0].count > 0;
         if (uExists) {
-          await pool.query('UPDATE public."Units" SET compid = $1, unitname = $2, userid = $3 WHERE unitid = $4', [compid, unitname, userid, unitid]);
+          await pool.query('UPDATE public."Units" SET compid = $1, unitname = $2, userid = $3, uqc = COALESCE($5, uqc) WHERE unitid = $4', [compid, unitname, userid, unitid, uqc]);
           res.status(201).json({ message: 'Unit updated successfully' });
           writeToUserLog(userid, 'Updated Unit  - '+unitid.toString(), compid, isweb);
         } else {
-          await pool.query('INSERT INTO public."Units" (unitname, compid, userid) VALUES ($1, $2, $3)', [unitname, compid, userid]);
+          await pool.query('INSERT INTO public."Units" (unitname, compid, userid, uqc) VALUES ($1, $2, $3, $4)', [unitname, compid, userid, uqc]);
           res.status(201).json({ message: 'Unit created successfully' });
           writeToUserLog(userid, 'Created Unit  - '+unitname, compid, isweb);
         } 
       } else {
-        await pool.query('INSERT INTO public."Units" (unitname, compid, userid) VALUES ($1, $2, $3)', [unitname, compid, userid]);
+        await pool.query('INSERT INTO public."Units" (unitname, compid, userid, uqc) VALUES ($1, $2, $3, $4)', [unitname, compid, userid, uqc]);
         res.status(201).json({ message: 'Unit created successfully' });
         writeToUserLog(userid, 'Created Unit  - '+unitname, compid, isweb);
       }
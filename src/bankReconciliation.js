@@ -0,0 +1,381 @@
+const { round2 } = require('./common');
+const { parseTdsDate, parseAmount, splitCsvLine } = require('./form26as');
+
+// Days a bank credit may be booked before or after the payment date
+const DATE_TOLERANCE_DAYS = 3;
+
+// Status of a statement line, stored in "BankStatementLine".status
+const BANK_LINE_STATUS = {
+  MATCHED: 'matched',     // credit matched to an existing payment on import
+  CONFIRMED: 'confirmed', // credit matched or turned into a payment by a user
+  UNMATCHED: 'unmatched', // credit with no payment yet
+  IGNORED: 'ignored',     // credit that is not a customer payment, e.g. interest
+  DEBIT: 'debit',         // withdrawals are not reconciled
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words of customer names that say nothing about who paid
+const NAME_STOP_WORDS = ['M/S', 'MS', 'THE', 'AND', 'PVT', 'PRIVATE', 'LTD', 'LIMITED', 'LLP', 'CO', 'COMPANY', 'INDIA', 'INC', 'CORP'];
+
+// Function to read a statement date, two digit years (15/06/24, 15-Jun-24) included, into yyyy-mm-dd
+function parseBankDate(value) {
+  const text = String(value || '').trim();
+  const date = parseTdsDate(text);
+  if (date) {
+    return date;
+  }
+  let match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2})$/.exec(text);
+  if (match) {
+    return `20${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  match = /^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{2})$/.exec(text);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return `20${match[3]}-${String(MONTHS.indexOf(match[2].toLowerCase()) + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+// Function to read an amount that may end with Cr or Dr, returns the amount and the direction it gives
+function parseSignedAmount(value) {
+  const text = String(value || '').trim();
+  const suffix = /(cr|dr)\.?$/i.exec(text);
+  const amount = parseAmount(suffix ? text.slice(0, suffix.index) : text);
+  let direction = null;
+  if (suffix) {
+    direction = suffix[1].toUpperCase() === 'CR' ? 'C' : 'D';
+  } else if (amount < 0) {
+    direction = 'D';
+  }
+  return { amount: Math.abs(amount), direction };
+}
+
+// Function to turn a date or yyyy-mm-dd string into a day number to compare dates
+function dayNumber(value) {
+  if (value instanceof Date) {
+    return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / 86400000;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / 86400000 : NaN;
+}
+
+// Columns of the bank CSV exports (HDFC, ICICI, SBI, Axis, Kotak...), in the order they are looked for.
+// A header matches when it contains one of the names, names starting with = must be the whole header.
+const CSV_COLUMNS = [
+  ['valuedate', ['value dt', 'value date']],
+  ['txndate', ['txn date', 'transaction date', 'tran date', 'posting date', 'date']],
+  ['debit', ['withdrawal', 'debit', '=dr', '=dr amount']],
+  ['credit', ['deposit', 'credit', '=cr', '=cr amount']],
+  ['balance', ['balance', '=bal']],
+  ['refno', ['ref', 'chq', 'cheque', 'utr', 'instrument']],
+  ['description', ['narration', 'description', 'remarks', 'particulars', 'details']],
+  ['drcr', ['cr/dr', 'dr/cr', '=type']],
+  ['amount', ['amount']],
+];
+
+// Function to find the columns of a header row, null when it is not the header of a statement
+function findCsvColumns(cells) {
+  const headers = cells.map((cell) => cell.toLowerCase().replace(/\s+/g, ' ').trim());
+  const columns = {};
+  CSV_COLUMNS.forEach(([field, names]) => {
+    columns[field] = -1;
+    names.some((name) => {
+      columns[field] = headers.findIndex((header, index) => !Object.values(columns).includes(index)
+        && (name.startsWith('=') ? header === name.slice(1) : header.includes(name)));
+      return columns[field] >= 0;
+    });
+  });
+  const hasAmount = columns.credit >= 0 || columns.amount >= 0;
+  return (columns.txndate >= 0 || columns.valuedate >= 0) && hasAmount ? columns : null;
+}
+
+/**
+ * Function to parse a CSV statement downloaded from a bank.
+ * Lines before the header (account details) and after the transactions (totals) are skipped.
+ * Deposits and withdrawals may be separate columns or one amount with a Cr/Dr column or suffix.
+ * @param {string[]} lines - Lines of the file.
+ * @returns {object[]} - The statement lines.
+ */
+function parseCsvStatement(lines) {
+  const headerIndex = lines.findIndex((line) => findCsvColumns(splitCsvLine(line)));
+  if (headerIndex < 0) {
+    return [];
+  }
+  const columns = findCsvColumns(splitCsvLine(lines[headerIndex]));
+
+  return lines.slice(headerIndex + 1).map(splitCsvLine).map((cells) => {
+    const value = (field) => (columns[field] >= 0 ? cells[columns[field]] || '' : '');
+    const debit = parseSignedAmount(value('debit')).amount;
+    const credit = parseSignedAmount(value('credit')).amount;
+    let amount = credit || debit;
+    let direction = credit ? 'C' : 'D';
+    if (columns.credit < 0 || (!credit && !debit && value('amount'))) {
+      const signed = parseSignedAmount(value('amount'));
+      amount = signed.amount;
+      direction = /^(c|cr|credit)$/i.test(value('drcr').trim()) ? 'C' : signed.direction || 'D';
+      if (/^(d|dr|debit)$/i.test(value('drcr').trim())) {
+        direction = 'D';
+      }
+    }
+    const txndate = parseBankDate(value('txndate')) || parseBankDate(value('valuedate'));
+    return {
+      txndate,
+      valuedate: parseBankDate(value('valuedate')) || txndate,
+      description: value('description') || null,
+      refno: value('refno').replace(/^0+$/, '') || null,
+      amount: round2(amount),
+      direction,
+      balance: value('balance') ? parseSignedAmount(value('balance')).amount : null,
+    };
+  }).filter((line) => line.txndate && line.amount > 0);
+}
+
+// Function to decode the XML entities of a text
+function decodeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Function to find the elements with a tag name in XML, namespace prefixes are ignored
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return [...String(xml || '').matchAll(pattern)].map((match) => match[1]);
+}
+
+// Function to get the text of the first element on a path of tag names, null when not found
+function xmlText(xml, path) {
+  let fragment = xml;
+  for (const tag of path) {
+    const elements = xmlElements(fragment, tag);
+    if (elements.length === 0) {
+      return null;
+    }
+    [fragment] = elements;
+  }
+  const text = decodeXml(fragment.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim());
+  return text || null;
+}
+
+/**
+ * Function to parse an ISO 20022 CAMT.053 bank to customer statement.
+ * Each Ntry is a line, a reversal (RvslInd) turns a credit into a debit and the other way round.
+ * @param {string} content - The XML of the statement.
+ * @returns {object} - The account and the statement lines.
+ */
+function parseCamt053(content) {
+  const lines = xmlElements(content, 'Ntry').map((entry) => {
+    let direction = xmlText(entry, ['CdtDbtInd']) === 'CRDT' ? 'C' : 'D';
+    if (xmlText(entry, ['RvslInd']) === 'true') {
+      direction = direction === 'C' ? 'D' : 'C';
+    }
+    const txndate = parseBankDate(xmlText(entry, ['BookgDt']));
+    const endToEnd = xmlText(entry, ['Refs', 'EndToEndId']);
+    const description = [
+      xmlText(entry, ['RltdPties', 'Dbtr', 'Nm']),
+      ...xmlElements(entry, 'Ustrd').map((text) => decodeXml(text.trim())),
+      xmlText(entry, ['AddtlNtryInf']),
+    ].filter((text) => text).join(' ');
+    return {
+      txndate,
+      valuedate: parseBankDate(xmlText(entry, ['ValDt'])) || txndate,
+      description: description || null,
+      refno: (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null)
+        || xmlText(entry, ['Refs', 'AcctSvcrRef']) || xmlText(entry, ['AcctSvcrRef']),
+      amount: parseAmount(xmlText(entry, ['Amt'])),
+      direction,
+      balance: null,
+    };
+  }).filter((line) => line.txndate && line.amount > 0);
+
+  return { account: xmlText(content, ['Stmt', 'Acct', 'Id']), lines };
+}
+
+// Function to read a YYMMDD date of MT940
+function mt940Date(yymmdd) {
+  return `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+}
+
+/**
+ * Function to parse a SWIFT MT940 statement.
+ * Each :61: field is a line, the :86: field after it holds its narration.
+ * RC (reversal of a credit) is read as a debit and RD as a credit.
+ * @param {string} content - The text of the statement.
+ * @returns {object} - The account and the statement lines.
+ */
+function parseMt940(content) {
+  const fields = [];
+  String(content).split(/\r?\n/).forEach((line) => {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length && line.trim() !== '' && line.trim() !== '-' && !line.startsWith('{')) {
+      fields[fields.length - 1].value += '\n' + line;
+    }
+  });
+
+  let account = null;
+  const lines = [];
+  fields.forEach(({ tag, value }) => {
+    if (tag === '25') {
+      account = value.trim();
+    } else if (tag === '61') {
+      const match = /^(\d{6})(\d{4})?(R?[CD])[A-Z]?(\d+,\d{0,2})[A-Z][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/.exec(value.trim());
+      if (!match) {
+        return;
+      }
+      const valuedate = mt940Date(match[1]);
+      let txndate = valuedate;
+      if (match[2]) {
+        // The entry date has no year, it is near the value date
+        let year = Number(valuedate.slice(0, 4));
+        const valueMonth = Number(valuedate.slice(5, 7));
+        const entryMonth = Number(match[2].slice(0, 2));
+        year += entryMonth === 1 && valueMonth === 12 ? 1 : entryMonth === 12 && valueMonth === 1 ? -1 : 0;
+        txndate = `${year}-${match[2].slice(0, 2)}-${match[2].slice(2, 4)}`;
+      }
+      const customerRef = match[5].trim();
+      lines.push({
+        txndate,
+        valuedate,
+        description: match[7] ? match[7].replace(/\s+/g, ' ').trim() : null,
+        refno: (customerRef && customerRef !== 'NONREF' ? customerRef : null) || (match[6] ? match[6].trim() : null),
+        amount: round2(Number(match[4].replace(',', '.'))),
+        direction: match[3] === 'C' || match[3] === 'RD' ? 'C' : 'D',
+        balance: null,
+      });
+    } else if (tag === '86' && lines.length) {
+      const narration = value.replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+      const last = lines[lines.length - 1];
+      last.description = [narration, last.description].filter((text) => text).join(' ');
+    }
+  });
+
+  return { account, lines: lines.filter((line) => line.amount > 0) };
+}
+
+/**
+ * Function to parse a bank statement file: CAMT.053 XML, MT940 or a CSV export of an Indian bank.
+ * @param {string} content - The content of the file.
+ * @returns {object} - format (camt053, mt940 or csv), account and lines with lineno, txndate, valuedate, description, refno, amount, direction (C or D) and balance.
+ */
+function parseBankStatement(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  let parsed;
+  if (/<(?:\w+:)?BkToCstmrStmt\b/.test(text)) {
+    parsed = { format: 'camt053', ...parseCamt053(text) };
+  } else if (/^:61:/m.test(text)) {
+    parsed = { format: 'mt940', ...parseMt940(text) };
+  } else {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    parsed = { format: 'csv', account: null, lines: parseCsvStatement(lines) };
+  }
+  return { ...parsed, lines: parsed.lines.map((line, index) => ({ lineno: index + 1, ...line })) };
+}
+
+// Function to keep only the letters and digits of a reference, in upper case
+function normaliseRef(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Function to check if the payment reference appears in the reference or narration of a statement line
+function refMatches(payrefid, line) {
+  const ref = normaliseRef(payrefid);
+  return ref.length >= 4 && (normaliseRef(line.refno).includes(ref) || normaliseRef(line.description).includes(ref));
+}
+
+/**
+ * Function to match the credits of a statement to payments.
+ * A credit matches a payment when the payment reference is in its reference or narration, the amounts are equal
+ * and the dates are at most toleranceDays apart. A payment is matched to one credit only.
+ * @param {object[]} lines - Statement lines.
+ * @param {object[]} payments - Unreconciled payments with payid, payrefid, payamount and paydate.
+ * @param {number} [toleranceDays] - Days the bank date may differ from the payment date.
+ * @returns {object[]} - The lines with status and payid.
+ */
+function matchStatementLines(lines, payments, toleranceDays = DATE_TOLERANCE_DAYS) {
+  const used = new Set();
+  return lines.map((line) => {
+    if (line.direction !== 'C') {
+      return { ...line, status: BANK_LINE_STATUS.DEBIT, payid: null };
+    }
+    const candidates = payments.filter((payment) => !used.has(payment.payid)
+      && Math.abs(round2(Number(payment.payamount)) - line.amount) < 0.005
+      && Math.abs(dayNumber(payment.paydate) - dayNumber(line.txndate)) <= toleranceDays
+      && refMatches(payment.payrefid, line));
+    if (candidates.length !== 1) {
+      return { ...line, status: BANK_LINE_STATUS.UNMATCHED, payid: null };
+    }
+    used.add(candidates[0].payid);
+    return { ...line, status: BANK_LINE_STATUS.MATCHED, payid: candidates[0].payid };
+  });
+}
+
+// Function to split a customer name into the words that identify it
+function nameWords(name) {
+  return String(name || '').toUpperCase().replace(/[^A-Z0-9/ ]/g, ' ').split(/\s+/)
+    .filter((word) => word.length >= 3 && !NAME_STOP_WORDS.includes(word));
+}
+
+/**
+ * Function to suggest the open invoices an unmatched credit may pay.
+ * Invoices score for their number in the narration, the customer name in the narration (all of its words or
+ * the first one) and an amount due equal to the credit, or customer dues that add up to it.
+ * @param {object} line - The statement line.
+ * @param {object[]} invoices - Open invoices with invid, invno, custid, custname and amtdue.
+ * @param {number} [limit] - Number of suggestions to return.
+ * @returns {object[]} - Suggestions with custid, custname, invid, invno, amtdue, score and reasons, best first.
+ */
+function suggestInvoices(line, invoices, limit = 5) {
+  const narration = ` ${String(line.description || '').toUpperCase().replace(/[^A-Z0-9/ ]/g, ' ').replace(/\s+/g, ' ')} `;
+  const narrationRef = normaliseRef(`${line.description || ''} ${line.refno || ''}`);
+
+  const dueByCustomer = {};
+  invoices.forEach((invoice) => {
+    dueByCustomer[invoice.custid] = round2((dueByCustomer[invoice.custid] || 0) + Number(invoice.amtdue));
+  });
+
+  return invoices.map((invoice) => {
+    const reasons = [];
+    let score = 0;
+    const invno = normaliseRef(invoice.invno);
+    if (invno.length >= 3 && narrationRef.includes(invno)) {
+      score += 3;
+      reasons.push('invoice number in narration');
+    }
+    const words = nameWords(invoice.custname);
+    if (words.length && words.every((word) => narration.includes(` ${word} `))) {
+      score += 2;
+      reasons.push('customer name in narration');
+    } else if (words.length && narration.includes(` ${words[0]} `)) {
+      score += 1;
+      reasons.push('part of customer name in narration');
+    }
+    if (Math.abs(round2(Number(invoice.amtdue)) - line.amount) < 0.005) {
+      score += 2;
+      reasons.push('amount due equals credit');
+    } else if (Math.abs(dueByCustomer[invoice.custid] - line.amount) < 0.005) {
+      score += 1;
+      reasons.push('customer dues add up to credit');
+    }
+    return {
+      custid: invoice.custid,
+      custname: invoice.custname,
+      invid: invoice.invid,
+      invno: invoice.invno,
+      amtdue: round2(Number(invoice.amtdue)),
+      score,
+      reasons,
+    };
+  })
+    .filter((suggestion) => suggestion.score >= 2)
+    .sort((a, b) => b.score - a.score || a.invid - b.invid)
+    .slice(0, limit);
+}
+
+module.exports = {
+  DATE_TOLERANCE_DAYS,
+  BANK_LINE_STATUS,
+  parseBankDate,
+  parseBankStatement,
+  matchStatementLines,
+  suggestInvoices,
+};
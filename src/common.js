@@ -32,6 +32,18 @@ function generateOTP(digits) {
   return otp;
 }
 
+// Function to round an amount to 2 decimals
+function round2(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+// Function to create an error carrying the HTTP status to be returned to the client
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 // Function to write to the UserLog Table with provided parameters
 async function writeToUserLog(userid, logaction, compid, isweb) {
   const currentDate = new Date();
@@ -53,10 +65,11 @@ async function writeToUserLog(userid, logaction, compid, isweb) {
  * @param {string} emailTo - The email address of the recipient.
  * @param {string} subject - The subject of the email.
  * @param {string} text - The plain text body of the email.
+ * @param {Array<object>} [attachments] - Optional nodemailer attachments, e.g. [{ filename, content }].
  * @returns {Promise<string>} - A Promise that resolves to a success message if the email is sent successfully.
  * @throws {Error} - If there is an error sending the email.
  */
-async function sendEmail(emailTo, subject, text) {
+async function sendEmail(emailTo, subject, text, attachments) {
   if (!emailTo || !subject || !text) {
     throw new Error('Invalid request or missing parameters');
   }
@@ -80,6 +93,9 @@ async function sendEmail(emailTo, subject, text) {
       subject: subject, // Subject of the email
       text: text, // Plain text body of the email
     };
+    if (attachments && attachments.length) {
+      mailOptions.attachments = attachments;
+    }
 
     // Send the email
     await transporter.sendMail(mailOptions);
@@ -200,4 +216,4 @@ async function getPicFromUploads(id, type) {
   }
 }
 
-module.exports = { generateOTP, writeToUserLog, sendEmail, sendSMS, deleteTempFiles, savePicToUploads, getPicFromUploads };
+module.exports = { generateOTP, round2, createHttpError, writeToUserLog, sendEmail, sendSMS, deleteTempFiles, savePicToUploads, getPicFromUploads };
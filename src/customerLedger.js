@@ -0,0 +1,97 @@
+const { round2 } = require('./common');
+
+// Entries of a customer: invoices and debit notes are debits, credit notes and payments credits, draft notes are left out.
+// A bounced or reversed payment is debited back with its charges, a refund of an advance is a debit.
+// Settlement discounts and write-offs are credits without cash, dated when they were saved.
+// sortorder keeps the entries of a day in the order they happen.
+const LEDGER_QUERY = `
+  SELECT L.*, L.trandate < $4::date AS beforestart FROM (
+    SELECT I.invdate AS trandate, 1 AS sortorder, 'Invoice' AS trantype, I.invid AS refid, I.invno AS refno,
+      I.total AS debit, 0 AS credit, I.subject AS remarks
+    FROM "Invoice" I
+    WHERE I.compid = $1 AND I.custid = $2 AND I.status NOT IN ('draft', 'cancelled')
+    UNION ALL
+    SELECT N.notedate, CASE WHEN N.notetype = 'D' THEN 2 ELSE 3 END,
+      CASE WHEN N.notetype = 'D' THEN 'Debit Note' ELSE 'Credit Note' END, N.noteid, N.noteno,
+      CASE WHEN N.notetype = 'D' THEN N.total ELSE 0 END, CASE WHEN N.notetype = 'D' THEN 0 ELSE N.total END, N.reason
+    FROM "CrDrNote" N
+    WHERE N.compid = $1 AND N.custid = $2 AND N.status = 'issued'
+    UNION ALL
+    SELECT COALESCE(P.paydate, P.updon)::date, 4, 'Payment', P.payid, P.payrefid, 0, COALESCE(P.payamount, 0), P.remarks
+    FROM Payments P
+    WHERE P.custid = $2
+    UNION ALL
+    SELECT R.revdate, 5, CASE WHEN R.revtype = 'bounced' THEN 'Payment Bounced' ELSE 'Payment Reversed' END,
+      R.payid, P.payrefid, R.amount, 0, R.reason
+    FROM "PaymentReversal" R
+      JOIN Payments P ON R.payid = P.payid
+    WHERE R.compid = $1 AND R.custid = $2 AND R.revtype IN ('bounced', 'reversed')
+    UNION ALL
+    SELECT R.revdate, 6, 'Bounce Charges', R.payid, P.payrefid, R.charges, 0, R.reason
+    FROM "PaymentReversal" R
+      JOIN Payments P ON R.payid = P.payid
+    WHERE R.compid = $1 AND R.custid = $2 AND R.charges > 0
+    UNION ALL
+    SELECT R.revdate, 7, 'Refund', R.payid, R.refno, R.amount, 0, R.reason
+    FROM "PaymentReversal" R
+    WHERE R.compid = $1 AND R.custid = $2 AND R.revtype = 'refund'
+    UNION ALL
+    SELECT A.updon::date, 8, CASE WHEN A.adjtype = 'D' THEN 'Settlement Discount' ELSE 'Write-off' END,
+      I.invid, I.invno, 0, A.adjustamt, A.reasoncode
+    FROM Adjustment A
+      JOIN "Invoice" I ON A.invid = I.invid
+    WHERE I.compid = $1 AND I.custid = $2 AND A.adjtype IN ('D', 'W')
+  ) L
+  WHERE L.trandate <= $3::date
+  ORDER BY L.trandate, L.sortorder, L.refid
+`;
+
+/**
+ * Function to build the ledger of a customer for a date range.
+ * Entries before the start date make up the opening balance, each entry in the range carries the running balance.
+ * A positive balance is owed by the customer, a negative one is an advance.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} compid - The Company ID.
+ * @param {number} custid - The Customer ID.
+ * @param {string} startDate - First day of the range.
+ * @param {string} endDate - Last day of the range.
+ * @returns {Promise<object|null>} - custid, custname, opening, debit, credit, closing and the entries, null when the customer does not exist.
+ */
+async function getCustomerLedger(db, compid, custid, startDate, endDate) {
+  const { rows: customers } = await db.query('SELECT custid, custname FROM "Customer" WHERE custid = $1 AND compid = $2', [custid, compid]);
+  if (customers.length === 0) {
+    return null;
+  }
+
+  const { rows } = await db.query(LEDGER_QUERY, [compid, custid, endDate, startDate]);
+  let opening = 0;
+  let balance = 0;
+  let debit = 0;
+  let credit = 0;
+  const entries = [];
+  rows.forEach((row) => {
+    const entryDebit = round2(Number(row.debit || 0));
+    const entryCredit = round2(Number(row.credit || 0));
+    balance = round2(balance + entryDebit - entryCredit);
+    if (row.beforestart) {
+      opening = balance;
+      return;
+    }
+    debit = round2(debit + entryDebit);
+    credit = round2(credit + entryCredit);
+    entries.push({
+      trandate: row.trandate,
+      trantype: row.trantype,
+      refid: row.refid,
+      refno: row.refno,
+      remarks: row.remarks,
+      debit: entryDebit,
+      credit: entryCredit,
+      balance,
+    });
+  });
+
+  return { ...customers[0], opening, debit, credit, closing: balance, entries };
+}
+
+module.exports = { getCustomerLedger };
@@ -0,0 +1,350 @@
+const { createHttpError } = require('./common');
+
+// GST allows at most 16 characters in a document number
+const MAX_DOC_NO_LENGTH = 16;
+
+// Default patterns of the document series kept in the DocSeries table
+const DEFAULT_PATTERNS = {
+  CN: 'CN/{FY}/{SEQ:4}',
+  DN: 'DN/{FY}/{SEQ:4}',
+  QT: 'QT/{FY}/{SEQ:4}',
+  RC: 'RC/{FY}/{SEQ:4}',
+};
+
+// Numbers already given per document type, used to start the counter of an earlier fiscal year after the last
+// number of that year. $1 is the company, $2 and $3 the first day of the fiscal year and of the next one.
+const ISSUED_NUMBERS_QUERIES = {
+  INV: 'SELECT invno AS docno FROM "Invoice" WHERE compid = $1 AND invdate >= $2 AND invdate < $3',
+  CN: `SELECT noteno AS docno FROM "CrDrNote" WHERE compid = $1 AND notetype = 'C' AND notedate >= $2 AND notedate < $3`,
+  DN: `SELECT noteno AS docno FROM "CrDrNote" WHERE compid = $1 AND notetype = 'D' AND notedate >= $2 AND notedate < $3`,
+  QT: 'SELECT quoteno AS docno FROM "Quote" WHERE compid = $1 AND quotedate >= $2 AND quotedate < $3',
+  RC: `SELECT P.receiptno AS docno FROM Payments P JOIN "Customer" C ON P.custid = C.custid
+       WHERE C.compid = $1 AND P.receiptno IS NOT NULL AND COALESCE(P.paydate, P.updon) >= $2 AND COALESCE(P.paydate, P.updon) < $3`,
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Function to read FiscalYear.startmonth which may be stored as a number or a month name
+function parseStartMonth(startmonth) {
+  if (startmonth === null || startmonth === undefined || startmonth === '') {
+    return 4;
+  }
+  if (!isNaN(startmonth)) {
+    const month = Number(startmonth);
+    return month >= 1 && month <= 12 ? month : 4;
+  }
+  const index = MONTHS.findIndex((name) => name.startsWith(String(startmonth).trim().toLowerCase().slice(0, 3)));
+  return index >= 0 ? index + 1 : 4;
+}
+
+/**
+ * Function to fetch the start month of the fiscal year chosen by a company.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} compid - The Company ID.
+ * @returns {Promise<number>} - The start month (1-12), April when the company has none.
+ */
+async function getFiscalStartMonth(db, compid) {
+  const query = `
+    SELECT F.startmonth
+    FROM "Company" C
+    LEFT JOIN "FiscalYear" F ON C.fiscal = F.fiscalid
+    WHERE C.compid = $1
+  `;
+  const { rows } = await db.query(query, [compid]);
+  return parseStartMonth(rows.length ? rows[0].startmonth : null);
+}
+
+// Function to get the calendar year in which the fiscal year of the given date starts
+function fiscalStartYear(date, startMonth) {
+  const d = new Date(date);
+  return d.getMonth() + 1 >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+}
+
+// Function to get the label of a fiscal year used by the {FY} token, e.g. 24-25, or 2024 for calendar years
+function fiscalYearLabel(fyStart, startMonth) {
+  return startMonth === 1
+    ? String(fyStart)
+    : `${String(fyStart).slice(-2)}-${String(fyStart + 1).slice(-2)}`;
+}
+
+/**
+ * Function to build a document number from a pattern.
+ * Tokens: {SEQ} or {SEQ:n} for the zero padded sequence, {FY} for the fiscal year (e.g. 24-25),
+ * {YYYY}, {YY} and {MM} for the document date.
+ * @param {string} pattern - The numbering pattern, e.g. INV/{FY}/{SEQ:5}.
+ * @param {number} seq - The sequence number.
+ * @param {Date|string} date - The document date.
+ * @param {number} startMonth - The fiscal year start month.
+ * @returns {string} - The document number.
+ */
+function formatDocNumber(pattern, seq, date, startMonth) {
+  const d = new Date(date);
+  const fy = fiscalYearLabel(fiscalStartYear(d, startMonth), startMonth);
+
+  return pattern
+    .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(seq).padStart(Number(width || 0), '0'))
+    .replace(/\{FY\}/g, fy)
+    .replace(/\{YYYY\}/g, String(d.getFullYear()))
+    .replace(/\{YY\}/g, String(d.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, String(d.getMonth() + 1).padStart(2, '0'));
+}
+
+// Function to check that a numbering pattern can be used
+function isValidPattern(pattern) {
+  return typeof pattern === 'string' && /\{SEQ(?::\d+)?\}/.test(pattern);
+}
+
+/**
+ * Function to read the sequence back from a document number made with a pattern.
+ * @param {string} pattern - The numbering pattern, e.g. INV/{FY}/{SEQ:5}.
+ * @param {string} docno - The document number.
+ * @param {string} [fy] - The fiscal year label the number must have for {FY}, any year when not given.
+ * @returns {number|null} - The sequence, null when the number was not made with the pattern.
+ */
+function sequenceOf(pattern, docno, fy) {
+  const tokens = {
+    FY: fy ? fy.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '\\d{2}-\\d{2}|\\d{4}',
+    YYYY: '\\d{4}',
+    YY: '\\d{2}',
+    MM: '\\d{2}',
+  };
+  const source = pattern
+    .split(/(\{(?:SEQ(?::\d+)?|FY|YYYY|YY|MM)\})/)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+      return /^\{SEQ/.test(part) ? '(\\d+)' : `(?:${tokens[part.slice(1, -1)]})`;
+    })
+    .join('');
+  const match = new RegExp(`^${source}$`).exec(String(docno || ''));
+  return match ? Number(match[1]) : null;
+}
+
+// Function to check whether a document falls in an earlier fiscal year than the one its series has moved on to
+function isEarlierFiscalYear(setting, date, startMonth) {
+  return /\{FY\}/.test(setting.pattern) && Boolean(setting.fystart)
+    && fiscalStartYear(date, startMonth) < Number(setting.fystart);
+}
+
+/**
+ * Function to take the next number of a series row locked with FOR UPDATE.
+ * The sequence restarts at 1 when the pattern has {FY} and the document falls in a later fiscal year.
+ * Documents of an earlier fiscal year are numbered by takeEarlierFyNumber instead.
+ * @param {object} setting - The series row with pattern, nextno and fystart.
+ * @param {Date|string} date - The document date.
+ * @param {number} startMonth - The fiscal year start month.
+ * @returns {object} - The docno, the sequence used and the values to store back (nextno, fystart).
+ */
+function takeNextNumber(setting, date, startMonth) {
+  const docFyStart = fiscalStartYear(date, startMonth);
+  let seq = Number(setting.nextno || 1);
+
+  if (/\{FY\}/.test(setting.pattern) && setting.fystart) {
+    if (docFyStart > Number(setting.fystart)) {
+      seq = 1;
+    } else if (docFyStart < Number(setting.fystart)) {
+      throw createHttpError(409, 'The document date is in an earlier fiscal year than the current series');
+    }
+  }
+
+  const docno = formatDocNumber(setting.pattern, seq, date, startMonth);
+  if (docno.length > MAX_DOC_NO_LENGTH) {
+    throw createHttpError(400, `Document number ${docno} is longer than ${MAX_DOC_NO_LENGTH} characters`);
+  }
+
+  return { docno, seq, nextno: seq + 1, fystart: docFyStart };
+}
+
+// Function to find the highest sequence already given in a fiscal year to documents numbered with the pattern
+async function lastIssuedSeq(db, compid, doctype, pattern, fyStart, startMonth) {
+  const month = String(startMonth).padStart(2, '0');
+  const { rows } = await db.query(
+    ISSUED_NUMBERS_QUERIES[doctype],
+    [compid, `${fyStart}-${month}-01`, `${fyStart + 1}-${month}-01`]
+  );
+  const fy = fiscalYearLabel(fyStart, startMonth);
+  return rows.reduce((max, row) => Math.max(max, sequenceOf(pattern, row.docno, fy) || 0), 0);
+}
+
+/**
+ * Function to preview the next number of an earlier fiscal year without taking it.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} compid - The Company ID.
+ * @param {string} doctype - INV or one of the DEFAULT_PATTERNS keys.
+ * @param {string} pattern - The numbering pattern of the series.
+ * @param {Date|string} date - The document date.
+ * @param {number} startMonth - The fiscal year start month.
+ * @returns {Promise<string>} - The document number the next document of that year would get.
+ */
+async function previewEarlierFyNumber(db, compid, doctype, pattern, date, startMonth) {
+  const fyStart = fiscalStartYear(date, startMonth);
+  const { rows } = await db.query(
+    'SELECT nextno FROM "DocCounter" WHERE compid = $1 AND doctype = $2 AND fystart = $3',
+    [compid, doctype, fyStart]
+  );
+  const seq = rows.length > 0 ? Number(rows[0].nextno) : await lastIssuedSeq(db, compid, doctype, pattern, fyStart, startMonth) + 1;
+  return formatDocNumber(pattern, seq, date, startMonth);
+}
+
+/**
+ * Function to take the next number of an earlier fiscal year from its own counter in "DocCounter".
+ * The counter of a year is created the first time it is needed, after the last number already given in that year.
+ * Must be called inside a transaction, the counter row stays locked until it ends.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {number} compid - The Company ID.
+ * @param {string} doctype - INV or one of the DEFAULT_PATTERNS keys.
+ * @param {string} pattern - The numbering pattern of the series.
+ * @param {Date|string} date - The document date.
+ * @param {number} startMonth - The fiscal year start month.
+ * @returns {Promise<string>} - The document number.
+ */
+async function takeEarlierFyNumber(client, compid, doctype, pattern, date, startMonth) {
+  const fyStart = fiscalStartYear(date, startMonth);
+  const counterQuery = 'SELECT nextno FROM "DocCounter" WHERE compid = $1 AND doctype = $2 AND fystart = $3 FOR UPDATE';
+  let { rows: counters } = await client.query(counterQuery, [compid, doctype, fyStart]);
+
+  if (counters.length === 0) {
+    const last = await lastIssuedSeq(client, compid, doctype, pattern, fyStart, startMonth);
+    // A concurrent first use of the same year may have created the counter, it is kept and locked below
+    await client.query(
+      `INSERT INTO "DocCounter" (compid, doctype, fystart, nextno)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (compid, doctype, fystart) DO NOTHING`,
+      [compid, doctype, fyStart, last + 1]
+    );
+    ({ rows: counters } = await client.query(counterQuery, [compid, doctype, fyStart]));
+  }
+
+  const seq = Number(counters[0].nextno);
+  const docno = formatDocNumber(pattern, seq, date, startMonth);
+  if (docno.length > MAX_DOC_NO_LENGTH) {
+    throw createHttpError(400, `Document number ${docno} is longer than ${MAX_DOC_NO_LENGTH} characters`);
+  }
+  await client.query(
+    'UPDATE "DocCounter" SET nextno = $4 WHERE compid = $1 AND doctype = $2 AND fystart = $3',
+    [compid, doctype, fyStart, seq + 1]
+  );
+  return docno;
+}
+
+/**
+ * Function to check that a company numbers its invoices automatically.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} compid - The Company ID.
+ * @returns {Promise<boolean>} - True when the invoice numbers are allocated from a series.
+ */
+async function hasAutoInvoiceNumbering(db, compid) {
+  const { rows } = await db.query('SELECT ismanual FROM "InvoiceSetting" WHERE compid = $1', [compid]);
+  return rows.length > 0 && !rows[0].ismanual;
+}
+
+/**
+ * Function to allocate and consume the next invoice number of a company.
+ * Must be called inside a transaction, the InvoiceSetting row stays locked until it ends.
+ * Invoices dated in an earlier fiscal year than the series continue the numbers of that year.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {number} compid - The Company ID.
+ * @param {Date|string} invdate - The invoice date, used for the fiscal year tokens.
+ * @returns {Promise<string|null>} - The invoice number, or null when the company numbers invoices manually.
+ */
+async function allocateInvoiceNo(client, compid, invdate) {
+  const query = `
+    SELECT ismanual, invprefix, nextno, numpattern, fystart
+    FROM "InvoiceSetting"
+    WHERE compid = $1
+    FOR UPDATE
+  `;
+  const { rows } = await client.query(query, [compid]);
+  if (rows.length === 0 || rows[0].ismanual) {
+    return null;
+  }
+
+  const setting = rows[0];
+  const pattern = setting.numpattern || `${setting.invprefix || ''}{SEQ}`;
+  const startMonth = await getFiscalStartMonth(client, compid);
+  if (isEarlierFiscalYear({ ...setting, pattern }, invdate, startMonth)) {
+    return takeEarlierFyNumber(client, compid, 'INV', pattern, invdate, startMonth);
+  }
+  const next = takeNextNumber({ ...setting, pattern }, invdate, startMonth);
+
+  await client.query(
+    'UPDATE "InvoiceSetting" SET nextno = $2, fystart = $3 WHERE compid = $1',
+    [compid, next.nextno, next.fystart]
+  );
+  return next.docno;
+}
+
+/**
+ * Function to allocate and consume the next number of a document series (credit notes, debit notes...).
+ * The series is created with its default pattern the first time it is used.
+ * Must be called inside a transaction, the DocSeries row stays locked until it ends.
+ * Documents dated in an earlier fiscal year than the series continue the numbers of that year.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {number} compid - The Company ID.
+ * @param {string} doctype - The document type, one of the DEFAULT_PATTERNS keys.
+ * @param {Date|string} docdate - The document date, used for the fiscal year tokens.
+ * @returns {Promise<string>} - The document number.
+ */
+async function allocateSeriesNo(client, compid, doctype, docdate) {
+  await client.query(
+    `INSERT INTO "DocSeries" (compid, doctype, numpattern, nextno)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (compid, doctype) DO NOTHING`,
+    [compid, doctype, DEFAULT_PATTERNS[doctype]]
+  );
+  const { rows } = await client.query(
+    'SELECT numpattern, nextno, fystart FROM "DocSeries" WHERE compid = $1 AND doctype = $2 FOR UPDATE',
+    [compid, doctype]
+  );
+
+  const setting = rows[0];
+  const startMonth = await getFiscalStartMonth(client, compid);
+  if (isEarlierFiscalYear({ ...setting, pattern: setting.numpattern }, docdate, startMonth)) {
+    return takeEarlierFyNumber(client, compid, doctype, setting.numpattern, docdate, startMonth);
+  }
+  const next = takeNextNumber({ ...setting, pattern: setting.numpattern }, docdate, startMonth);
+
+  await client.query(
+    'UPDATE "DocSeries" SET nextno = $3, fystart = $4 WHERE compid = $1 AND doctype = $2',
+    [compid, doctype, next.nextno, next.fystart]
+  );
+  return next.docno;
+}
+
+/**
+ * Function to make sure an invoice number is not used by another invoice of the company.
+ * Gives a clear error early, concurrent saves are stopped by the unique index on ("Invoice".compid, invno).
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} compid - The Company ID.
+ * @param {string} invno - The invoice number.
+ * @param {number} invid - The Invoice ID being saved, 0 for a new invoice.
+ */
+async function ensureUniqueInvNo(db, compid, invno, invid) {
+  const query = `
+    SELECT invid FROM "Invoice"
+    WHERE compid = $1 AND invno = $2 AND invid <> $3
+  `;
+  const { rows } = await db.query(query, [compid, invno, invid || 0]);
+  if (rows.length > 0) {
+    throw createHttpError(409, `Invoice number ${invno} is already used`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PATTERNS,
+  getFiscalStartMonth,
+  fiscalStartYear,
+  formatDocNumber,
+  isValidPattern,
+  sequenceOf,
+  isEarlierFiscalYear,
+  takeNextNumber,
+  takeEarlierFyNumber,
+  previewEarlierFyNumber,
+  hasAutoInvoiceNumbering,
+  allocateInvoiceNo,
+  allocateSeriesNo,
+  ensureUniqueInvNo,
+};
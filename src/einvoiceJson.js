@@ -0,0 +1,245 @@
+const Ajv = require('ajv');
+const { round2 } = require('./common');
+const { resolveTreatment } = require('./taxEngine');
+const schema = require('./schemas/einvoice-1.1.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+// State code used as place of supply for exports
+const EXPORT_STATE_CODE = '96';
+
+// Function to check if an item is a service, by its type or by its SAC (HSN chapter 99), everything else is goods
+function isService(item) {
+  return /^s/i.test(item.itemtype || '') || String(item.hsncode || '').trim().startsWith('99');
+}
+
+// Function to format a date as dd/mm/yyyy as required by the IRP
+function formatIrpDate(date) {
+  const d = new Date(date);
+  return [
+    String(d.getDate()).padStart(2, '0'),
+    String(d.getMonth() + 1).padStart(2, '0'),
+    d.getFullYear(),
+  ].join('/');
+}
+
+// Function to drop empty values, the IRP rejects empty strings and nulls in optional fields
+function compact(obj) {
+  const result = {};
+  Object.entries(obj).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+// Function to keep the digits of a phone number, dropped when the IRP would refuse its length
+function phoneDigits(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 6 && digits.length <= 12 ? digits : undefined;
+}
+
+// Function to get the two digit state code, from the States table or else from the GSTIN
+function stateCode(gststatecode, gstin) {
+  if (gststatecode) {
+    return String(Number(gststatecode));
+  }
+  if (gstin && /^[0-9]{2}/.test(gstin)) {
+    return String(Number(gstin.slice(0, 2)));
+  }
+  return undefined;
+}
+
+// Function to get the place of supply state code in the order the tax engine splits the tax: the ship-to state,
+// else the customer's place of supply, else the billing state or the GSTIN
+function placeOfSupplyCode(h) {
+  return stateCode(h.shipstatecode) || stateCode(h.posstatecode) || stateCode(h.billstatecode, h.custgstno);
+}
+
+// Function to map the GST treatment of the customer to the e-invoice supply type
+function supplyType(treatcode, gsttreatment) {
+  const code = resolveTreatment(treatcode, gsttreatment);
+  if (['SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP'].includes(code)) {
+    return code;
+  }
+  if (code === 'DEEMED') {
+    return 'DEXP';
+  }
+  return 'B2B';
+}
+
+/**
+ * Function to fetch the invoice, company, customer and items needed for the e-invoice.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} invid - The Invoice ID.
+ * @returns {Promise<object|null>} - The header and items or null if the invoice does not exist.
+ */
+async function getEInvoiceData(db, invid) {
+  const headerQuery = `
+    SELECT
+      I.invid, I.invno, I.invdate, I.roundoff, I.currencycode, I.isrcm, I.status, I.compid, I.irn,
+      I.shipstreet1, I.shipstreet2, I.shipcity, I.shippin, SS.gststatecode AS shipstatecode,
+      CM.compname, CM.gstno AS compgstno, CM.street1 AS compstreet1, CM.street2 AS compstreet2,
+      CM.city AS compcity, CM.pincode AS comppin, CM.phone AS compphone, CM.email AS compemail,
+      CS.gststatecode AS compstatecode,
+      C.custname, C.gstno AS custgstno, C.billstreet1, C.billstreet2, C.billcity, C.billpin,
+      C.phone AS custphone, C.email AS custemail, BS.gststatecode AS billstatecode,
+      POS.gststatecode AS posstatecode, GT.gsttreatment, GT.treatcode
+    FROM "Invoice" I
+      JOIN "Company" CM ON I.compid = CM.compid
+      JOIN "Customer" C ON I.custid = C.custid
+      LEFT JOIN "States" CS ON CM.stateid = CS.stateid
+      LEFT JOIN "States" BS ON C.billstateid = BS.stateid
+      LEFT JOIN "States" POS ON C.placeofsupply = POS.stateid
+      LEFT JOIN "States" SS ON I.shipstateid = SS.stateid
+      LEFT JOIN "GSTTreatment" GT ON C.gsttreatmentid = GT.gsttreatmentid
+    WHERE I.invid = $1
+  `;
+  const { rows } = await db.query(headerQuery, [invid]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const itemsQuery = `
+    SELECT
+      It.itemname, It.itemtype, It.hsncode, U.uqc, II.quantity, II.rate, II.amount, II.discount,
+      COALESCE(II.taxinclusive, false) AS taxinclusive, II.taxable, II.cgst, II.sgst, II.igst,
+      II.cgstper, II.sgstper, II.igstper, II.cessper, II.cess
+    FROM "InvoiceItem" II
+      JOIN "Items" It ON II.itemid = It.itemid
+      LEFT JOIN "Units" U ON It.unitid = U.unitid
+    WHERE II.invoiceid = $1
+  `;
+  const { rows: items } = await db.query(itemsQuery, [invid]);
+
+  return { header: rows[0], items };
+}
+
+/**
+ * Function to build the e-invoice JSON (schema version 1.1) of an invoice.
+ * @param {object} data - The header and items as returned by getEInvoiceData.
+ * @returns {object} - The e-invoice payload to be sent to the IRP.
+ */
+function buildEInvoiceJson(data) {
+  const { header: h, items } = data;
+
+  const itemList = items.map((item, index) => {
+    // The stored taxable value and tax are used when there, items saved before are computed from the percentages
+    const saved = (value) => value !== null && value !== undefined;
+    const assAmt = round2(saved(item.taxable) ? item.taxable : Number(item.amount) - Number(item.discount || 0));
+    const cgstAmt = round2(saved(item.cgst) ? item.cgst : assAmt * Number(item.cgstper) / 100);
+    const sgstAmt = round2(saved(item.sgst) ? item.sgst : assAmt * Number(item.sgstper) / 100);
+    const igstAmt = round2(saved(item.igst) ? item.igst : assAmt * Number(item.igstper) / 100);
+    // Cess above the ad valorem part is the specific (per unit) cess
+    const cesAmt = round2(assAmt * Number(item.cessper || 0) / 100);
+    const cesNonAdvlAmt = round2(Math.max(Number(item.cess || 0) - cesAmt, 0));
+    const hsn = String(item.hsncode || '').trim();
+
+    return compact({
+      SlNo: String(index + 1),
+      PrdDesc: item.itemname,
+      IsServc: isService(item) ? 'Y' : 'N',
+      HsnCd: hsn,
+      Qty: Number(item.quantity),
+      Unit: item.uqc || 'OTH',
+      // The IRP wants prices exclusive of tax, tax inclusive lines are sent at their derived taxable value
+      UnitPrice: item.taxinclusive ? Math.round(assAmt / Number(item.quantity) * 1000) / 1000 : Number(item.rate),
+      TotAmt: item.taxinclusive ? assAmt : round2(item.amount),
+      Discount: item.taxinclusive ? 0 : round2(item.discount),
+      AssAmt: assAmt,
+      GstRt: Number(item.cgstper) + Number(item.sgstper) + Number(item.igstper),
+      IgstAmt: igstAmt,
+      CgstAmt: cgstAmt,
+      SgstAmt: sgstAmt,
+      CesRt: Number(item.cessper || 0),
+      CesAmt: cesAmt,
+      CesNonAdvlAmt: cesNonAdvlAmt,
+      TotItemVal: round2(assAmt + cgstAmt + sgstAmt + igstAmt + cesAmt + cesNonAdvlAmt),
+    });
+  });
+
+  const sum = (field) => round2(itemList.reduce((total, item) => total + (item[field] || 0), 0));
+  const valDtls = {
+    AssVal: sum('AssAmt'),
+    CgstVal: sum('CgstAmt'),
+    SgstVal: sum('SgstAmt'),
+    IgstVal: sum('IgstAmt'),
+    CesVal: round2(sum('CesAmt') + sum('CesNonAdvlAmt')),
+    RndOffAmt: round2(h.roundoff),
+  };
+  valDtls.TotInvVal = round2(
+    valDtls.AssVal + valDtls.CgstVal + valDtls.SgstVal + valDtls.IgstVal + valDtls.CesVal + valDtls.RndOffAmt
+  );
+
+  const supTyp = supplyType(h.treatcode, h.gsttreatment);
+  const isExport = supTyp.startsWith('EXP');
+  const buyerStcd = isExport ? EXPORT_STATE_CODE : stateCode(h.billstatecode, h.custgstno);
+
+  const payload = {
+    Version: '1.1',
+    TranDtls: { TaxSch: 'GST', SupTyp: supTyp, RegRev: h.isrcm ? 'Y' : 'N', IgstOnIntra: 'N' },
+    DocDtls: { Typ: 'INV', No: String(h.invno || '').toUpperCase(), Dt: formatIrpDate(h.invdate) },
+    SellerDtls: compact({
+      Gstin: h.compgstno,
+      LglNm: h.compname,
+      Addr1: h.compstreet1,
+      Addr2: h.compstreet2,
+      Loc: h.compcity,
+      Pin: parseInt(h.comppin, 10) || undefined,
+      Stcd: stateCode(h.compstatecode, h.compgstno),
+      Ph: phoneDigits(h.compphone),
+      Em: h.compemail,
+    }),
+    BuyerDtls: compact({
+      Gstin: isExport ? 'URP' : h.custgstno,
+      LglNm: h.custname,
+      Pos: isExport ? EXPORT_STATE_CODE : placeOfSupplyCode(h),
+      Addr1: h.billstreet1,
+      Addr2: h.billstreet2,
+      Loc: h.billcity,
+      Pin: isExport ? 999999 : parseInt(h.billpin, 10) || undefined,
+      Stcd: buyerStcd,
+      Ph: phoneDigits(h.custphone),
+      Em: h.custemail,
+    }),
+    ItemList: itemList,
+    ValDtls: valDtls,
+  };
+
+  // Shipping details are only sent when the goods go to another address
+  if (h.shipstreet1 && h.shipcity) {
+    payload.ShipDtls = compact({
+      Gstin: payload.BuyerDtls.Gstin,
+      LglNm: h.custname,
+      Addr1: h.shipstreet1,
+      Addr2: h.shipstreet2,
+      Loc: h.shipcity,
+      Pin: parseInt(h.shippin, 10) || undefined,
+      Stcd: stateCode(h.shipstatecode) || buyerStcd,
+    });
+  }
+
+  return payload;
+}
+
+/**
+ * Function to validate an e-invoice payload against the local copy of the schema.
+ * @param {object} payload - The e-invoice JSON.
+ * @returns {object} - valid and the list of errors with the path of the field in error.
+ */
+function validateEInvoice(payload) {
+  const valid = validateSchema(payload);
+  const errors = valid ? [] : validateSchema.errors.map((err) => {
+    const path = err.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const missing = err.params.missingProperty;
+    return {
+      field: missing ? [path, missing].filter(Boolean).join('.') : path,
+      message: missing ? `${missing} is required` : err.message,
+    };
+  });
+  return { valid, errors };
+}
+
+module.exports = { formatIrpDate, compact, stateCode, placeOfSupplyCode, isService, getEInvoiceData, buildEInvoiceJson, validateEInvoice };
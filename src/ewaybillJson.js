@@ -0,0 +1,220 @@
+const Ajv = require('ajv');
+const { round2 } = require('./common');
+const { formatIrpDate, compact, stateCode, placeOfSupplyCode, isService } = require('./einvoiceJson');
+const schema = require('./schemas/ewaybill-1.0.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+// An e-way bill is needed when the consignment value is above this amount
+const EWB_THRESHOLD = Number(process.env.EWB_THRESHOLD || 50000);
+
+// Modes of transport of the e-way bill
+const TRANS_MODES = { 1: 'Road', 2: 'Rail', 3: 'Air', 4: 'Ship' };
+
+// Reasons accepted by the e-way bill system for a Part-B vehicle update
+const VEHICLE_REASONS = { 1: 'Due to Break Down', 2: 'Due to Transhipment', 3: 'Others', 4: 'First Time' };
+
+// Function to check if an item is goods, services never need an e-way bill. Same rule as IsServc of the e-invoice
+function isGoods(item) {
+  return !isService(item);
+}
+
+// Function to normalise a vehicle number, e.g. "mh 12 ab-1234" to "MH12AB1234"
+function normaliseVehicleNo(vehicleno) {
+  return vehicleno ? String(vehicleno).toUpperCase().replace(/[^A-Z0-9]/g, '') : vehicleno;
+}
+
+/**
+ * Function to fetch the invoice, parties, transport section and goods items needed for the e-way bill.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} invid - The Invoice ID.
+ * @returns {Promise<object|null>} - The header and goods items or null if the invoice does not exist.
+ */
+async function getEWayBillData(db, invid) {
+  const headerQuery = `
+    SELECT
+      I.invid, I.invno, I.invdate, I.status, I.compid, I.ewbno, I.ewbdate, I.ewbvalidtill,
+      I.shipstreet1, I.shipstreet2, I.shipcity, I.shippin, SS.gststatecode AS shipstatecode,
+      I.transid, I.transname, I.transmode, I.transdistance, I.transdocno, I.transdocdate, I.vehicleno, I.vehicletype,
+      CM.compname, CM.gstno AS compgstno, CM.street1 AS compstreet1, CM.street2 AS compstreet2,
+      CM.city AS compcity, CM.pincode AS comppin, CS.gststatecode AS compstatecode,
+      C.custname, C.gstno AS custgstno, C.billstreet1, C.billstreet2, C.billcity, C.billpin,
+      BS.gststatecode AS billstatecode, POS.gststatecode AS posstatecode
+    FROM "Invoice" I
+      JOIN "Company" CM ON I.compid = CM.compid
+      JOIN "Customer" C ON I.custid = C.custid
+      LEFT JOIN "States" CS ON CM.stateid = CS.stateid
+      LEFT JOIN "States" BS ON C.billstateid = BS.stateid
+      LEFT JOIN "States" POS ON C.placeofsupply = POS.stateid
+      LEFT JOIN "States" SS ON I.shipstateid = SS.stateid
+    WHERE I.invid = $1
+  `;
+  const { rows } = await db.query(headerQuery, [invid]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const itemsQuery = `
+    SELECT
+      It.itemname, It.itemtype, It.hsncode, U.uqc, II.quantity, II.amount, II.discount, II.taxable,
+      II.cgstper, II.sgstper, II.igstper, II.cessper, II.cgst, II.sgst, II.igst, II.cess
+    FROM "InvoiceItem" II
+      JOIN "Items" It ON II.itemid = It.itemid
+      LEFT JOIN "Units" U ON It.unitid = U.unitid
+    WHERE II.invoiceid = $1
+  `;
+  const { rows: items } = await db.query(itemsQuery, [invid]);
+
+  return { header: rows[0], items: items.filter(isGoods) };
+}
+
+/**
+ * Function to build the e-way bill generation JSON of a goods invoice.
+ * Only goods items are included, the consignment is shipped to the ship-to address when there is one.
+ * @param {object} data - The header and goods items as returned by getEWayBillData.
+ * @returns {object} - The e-way bill payload.
+ */
+function buildEWayBillJson(data) {
+  const { header: h, items } = data;
+
+  const itemList = items.map((item) => {
+    const taxableAmount = round2(item.taxable !== null && item.taxable !== undefined
+      ? item.taxable
+      : Number(item.amount) - Number(item.discount || 0));
+    return compact({
+      productName: item.itemname,
+      productDesc: item.itemname,
+      hsnCode: parseInt(String(item.hsncode || '').trim(), 10) || undefined,
+      quantity: Number(item.quantity),
+      qtyUnit: item.uqc || 'OTH',
+      cgstRate: Number(item.cgstper),
+      sgstRate: Number(item.sgstper),
+      igstRate: Number(item.igstper),
+      cessRate: Number(item.cessper || 0),
+      cessNonAdvol: round2(Math.max(Number(item.cess || 0) - taxableAmount * Number(item.cessper || 0) / 100, 0)),
+      taxableAmount,
+    });
+  });
+
+  // Tax totals add up the tax stored on the lines so they match the invoice, older lines without it use their rates
+  const totalValue = round2(itemList.reduce((sum, item) => sum + item.taxableAmount, 0));
+  const tax = (field, rateField) => round2(items.reduce((sum, item, index) => sum + (item[field] !== null && item[field] !== undefined
+    ? Number(item[field])
+    : itemList[index].taxableAmount * Number(item[rateField] || 0) / 100), 0));
+  const cgstValue = tax('cgst', 'cgstper');
+  const sgstValue = tax('sgst', 'sgstper');
+  const igstValue = tax('igst', 'igstper');
+  const cessValue = tax('cess', 'cessper');
+
+  // Bill to - ship to when the goods go to an address other than the billing address,
+  // the to state is the place of supply the tax was split on, the same as the e-invoice
+  const shipTo = Boolean(h.shipstreet1 && h.shipcity);
+  const toStateCode = Number(placeOfSupplyCode(h));
+  const fromStateCode = Number(stateCode(h.compstatecode, h.compgstno));
+
+  return compact({
+    supplyType: 'O',
+    subSupplyType: '1',
+    docType: 'INV',
+    docNo: h.invno,
+    docDate: formatIrpDate(h.invdate),
+    fromGstin: h.compgstno,
+    fromTrdName: h.compname,
+    fromAddr1: h.compstreet1,
+    fromAddr2: h.compstreet2,
+    fromPlace: h.compcity,
+    fromPincode: parseInt(h.comppin, 10) || undefined,
+    fromStateCode,
+    actFromStateCode: fromStateCode,
+    toGstin: h.custgstno || 'URP',
+    toTrdName: h.custname,
+    toAddr1: shipTo ? h.shipstreet1 : h.billstreet1,
+    toAddr2: shipTo ? h.shipstreet2 : h.billstreet2,
+    toPlace: shipTo ? h.shipcity : h.billcity,
+    toPincode: parseInt(shipTo ? h.shippin : h.billpin, 10) || undefined,
+    toStateCode,
+    actToStateCode: Number(stateCode(shipTo ? h.shipstatecode : h.billstatecode)) || toStateCode,
+    transactionType: shipTo ? 2 : 1,
+    totalValue,
+    cgstValue,
+    sgstValue,
+    igstValue,
+    cessValue,
+    totInvValue: round2(totalValue + cgstValue + sgstValue + igstValue + cessValue),
+    transporterId: h.transid,
+    transporterName: h.transname,
+    transMode: h.transmode ? String(h.transmode) : undefined,
+    transDistance: h.transdistance === null || h.transdistance === undefined ? undefined : Number(h.transdistance),
+    transDocNo: h.transdocno,
+    transDocDate: h.transdocdate ? formatIrpDate(h.transdocdate) : undefined,
+    vehicleNo: normaliseVehicleNo(h.vehicleno),
+    vehicleType: h.vehicletype || (h.vehicleno ? 'R' : undefined),
+    itemList,
+  });
+}
+
+/**
+ * Function to validate an e-way bill payload against the local schema and the transport rules.
+ * @param {object} payload - The e-way bill JSON.
+ * @returns {object} - valid and the list of errors with the path of the field in error.
+ */
+function validateEWayBill(payload) {
+  const errors = [];
+  if (!validateSchema(payload)) {
+    validateSchema.errors.forEach((err) => {
+      const path = err.instancePath.replace(/^\//, '').replace(/\//g, '.');
+      const missing = err.params.missingProperty;
+      errors.push({
+        field: missing ? [path, missing].filter(Boolean).join('.') : path,
+        message: missing ? `${missing} is required` : err.message,
+      });
+    });
+  }
+
+  if (payload.totInvValue !== undefined && payload.totInvValue <= EWB_THRESHOLD) {
+    errors.push({ field: 'totInvValue', message: `An e-way bill is only needed above ${EWB_THRESHOLD}` });
+  }
+  // Part-B needs the vehicle for road and the transport document for rail, air and ship
+  if (payload.transMode === '1' && !payload.vehicleNo && !payload.transporterId) {
+    errors.push({ field: 'vehicleNo', message: 'vehicleNo or transporterId is required for road transport' });
+  }
+  if (['2', '3', '4'].includes(payload.transMode) && !payload.transDocNo) {
+    errors.push({ field: 'transDocNo', message: `transDocNo is required for ${TRANS_MODES[payload.transMode]} transport` });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Function to build the Part-B (vehicle update) JSON of an e-way bill.
+ * @param {string} ewbno - The e-way bill number.
+ * @param {object} update - vehicleno, fromplace, fromstatecode, reasoncode, reasonrem, transdocno, transdocdate, transmode.
+ * @returns {object} - The Part-B payload.
+ */
+function buildPartBJson(ewbno, update) {
+  return compact({
+    ewbNo: Number(ewbno),
+    vehicleNo: normaliseVehicleNo(update.vehicleno),
+    fromPlace: update.fromplace,
+    fromState: Number(update.fromstatecode),
+    reasonCode: String(update.reasoncode),
+    reasonRem: update.reasonrem,
+    transDocNo: update.transdocno,
+    transDocDate: update.transdocdate ? formatIrpDate(update.transdocdate) : undefined,
+    transMode: String(update.transmode || 1),
+    vehicleType: update.vehicletype || 'R',
+  });
+}
+
+module.exports = {
+  EWB_THRESHOLD,
+  TRANS_MODES,
+  VEHICLE_REASONS,
+  isGoods,
+  normaliseVehicleNo,
+  getEWayBillData,
+  buildEWayBillJson,
+  validateEWayBill,
+  buildPartBJson,
+};
@@ -0,0 +1,258 @@
+const { round2 } = require('./common');
+
+// Differences up to this amount are treated as rounding
+const TDS_TOLERANCE = 1;
+
+// Reconciliation status of a customer and quarter, and of the imported 26AS entries
+const TDS_STATUS = {
+  MATCHED: 'matched',
+  SHORT: 'short',         // less TDS in 26AS than booked
+  EXCESS: 'excess',       // more TDS in 26AS than booked
+  MISSING: 'missing',     // booked but nothing in 26AS
+  UNMATCHED: 'unmatched', // 26AS entry of a deductor that is not a customer
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TAN_PATTERN = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+// Function to return the financial year (e.g. 2024-25) and quarter (Q1 is April to June) of a date
+function tdsQuarter(date) {
+  // yyyy-mm-dd strings are read as they are, not as UTC midnight
+  const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+  const d = parts ? new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])) : new Date(date);
+  const month = d.getMonth();
+  const startYear = month < 3 ? d.getFullYear() - 1 : d.getFullYear();
+  return {
+    fy: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    quarter: `Q${Math.floor(((month + 9) % 12) / 3) + 1}`,
+  };
+}
+
+// Function to parse a financial year like 2024-25 into its first and last day, null when not valid
+function parseFinancialYear(fy) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(fy || ''));
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+    return null;
+  }
+  return { fy: match[0], fromdate: `${match[1]}-04-01`, todate: `${Number(match[1]) + 1}-03-31` };
+}
+
+// Function to parse the dates of 26AS (15-Jun-2024) and AIS (15/06/2024 or 2024-06-15) into yyyy-mm-dd
+function parseTdsDate(value) {
+  const text = String(value || '').trim();
+  let match = /^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{4})$/.exec(text);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return `${match[3]}-${String(MONTHS.indexOf(match[2].toLowerCase()) + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Function to read an amount written with thousands separators
+function parseAmount(value) {
+  const amount = Number(String(value || '').replace(/[,\s]/g, ''));
+  return Number.isFinite(amount) ? round2(amount) : 0;
+}
+
+// Function to split a CSV line, quoted values may contain the separator
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i += 1;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Function to parse Part A of the 26AS text file downloaded from TRACES.
+ * Values are separated by ^, a deductor row (Sr. No., name, TAN ... totals) is followed by its
+ * transaction rows (blank, Sr. No., section, transaction date, status, booking date, remarks, amount, TDS, deposited).
+ * @param {string[]} lines - Lines of the file.
+ * @returns {object[]} - The entries.
+ */
+function parse26asText(lines) {
+  const entries = [];
+  let inPartA = !lines.some((line) => /^PART-A\b/i.test(line.trim()));
+  let deductor = null;
+
+  lines.forEach((line) => {
+    const text = line.trim();
+    if (/^PART-/i.test(text)) {
+      // Part A1 (15G/15H) and A2 (TDS on property) are not TDS on our receipts
+      inPartA = /^PART-A\s*-/i.test(text) || /^PART-A$/i.test(text);
+      return;
+    }
+    if (!inPartA) {
+      return;
+    }
+
+    const cells = line.split('^').map((cell) => cell.trim());
+    if (/^\d+$/.test(cells[0]) && TAN_PATTERN.test((cells[2] || '').toUpperCase())) {
+      deductor = { deductorname: cells[1], deductortan: cells[2].toUpperCase() };
+    } else if (deductor && cells[0] === '' && /^\d+$/.test(cells[1]) && parseTdsDate(cells[3])) {
+      entries.push({
+        ...deductor,
+        deductorpan: null,
+        section: cells[2],
+        txndate: parseTdsDate(cells[3]),
+        bookingstatus: cells[4] || null,
+        amountpaid: parseAmount(cells[7]),
+        tdsamount: parseAmount(cells[8]),
+      });
+    }
+  });
+
+  return entries;
+}
+
+// Columns of the CSV, the first header that contains one of the names is used
+const CSV_COLUMNS = {
+  deductorname: ['name of deductor', 'deductor name', 'information source', 'name'],
+  deductortan: ['tan'],
+  deductorpan: ['pan'],
+  section: ['section'],
+  txndate: ['transaction date', 'date of payment', 'date'],
+  amountpaid: ['amount paid', 'amount credited', 'amount'],
+  tdsamount: ['tax deducted', 'tds deducted', 'tds amount', 'tds'],
+};
+
+/**
+ * Function to parse a CSV of TDS entries, e.g. the TDS part of the AIS.
+ * Headers are matched by name, a TAN or PAN column identifies the deductor.
+ * @param {string[]} lines - Lines of the file, the first one is the header.
+ * @returns {object[]} - The entries.
+ */
+function parseTdsCsv(lines) {
+  const headers = splitCsvLine(lines[0]).map((header) => header.toLowerCase());
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    columns[field] = -1;
+    names.some((name) => {
+      columns[field] = headers.findIndex((header, index) => header.includes(name) && !Object.values(columns).includes(index));
+      return columns[field] >= 0;
+    });
+  });
+
+  return lines.slice(1).map(splitCsvLine).map((cells) => {
+    const value = (field) => (columns[field] >= 0 ? cells[columns[field]] || '' : '');
+    // A single "PAN/TAN of deductor" column may hold either
+    const ids = [value('deductortan'), value('deductorpan')].map((id) => id.toUpperCase());
+    return {
+      deductorname: value('deductorname') || null,
+      deductortan: ids.find((id) => TAN_PATTERN.test(id)) || null,
+      deductorpan: ids.find((id) => PAN_PATTERN.test(id)) || null,
+      section: value('section') || null,
+      txndate: parseTdsDate(value('txndate')),
+      bookingstatus: null,
+      amountpaid: parseAmount(value('amountpaid')),
+      tdsamount: parseAmount(value('tdsamount')),
+    };
+  }).filter((entry) => entry.txndate && (entry.deductortan || entry.deductorpan) && entry.tdsamount);
+}
+
+/**
+ * Function to parse a 26AS text file or a CSV of TDS entries.
+ * @param {string} content - The content of the file.
+ * @returns {object[]} - Entries with deductorname, deductortan, deductorpan, section, txndate, bookingstatus, amountpaid and tdsamount, and the fy and quarter of txndate.
+ */
+function parseForm26as(content) {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) {
+    return [];
+  }
+  const entries = lines.some((line) => line.includes('^')) ? parse26asText(lines) : parseTdsCsv(lines);
+  return entries.map((entry) => ({ ...entry, ...tdsQuarter(entry.txndate) }));
+}
+
+/**
+ * Function to reconcile the TDS booked on invoices with the 26AS entries, by customer and quarter.
+ * @param {object[]} booked - Invoice rows with custid, custname, panno, tanno, invdate, amount, tdsamount and tdsconfirmed.
+ * @param {object[]} credits - 26AS entries with custid (null when the deductor is not a customer), fy, quarter, amountpaid and tdsamount.
+ * @returns {object[]} - Rows by customer and quarter with the booked and 26AS amounts, the difference and the status.
+ */
+function reconcileTds(booked, credits) {
+  const ledger = {};
+  const rowFor = (source, fy, quarter) => {
+    const key = [source.custid || `${source.deductortan || ''}${source.deductorpan || ''}`, fy, quarter].join('|');
+    if (!ledger[key]) {
+      ledger[key] = {
+        custid: source.custid || null,
+        custname: source.custname || source.deductorname || null,
+        panno: source.panno || source.deductorpan || null,
+        tanno: source.tanno || source.deductortan || null,
+        fy,
+        quarter,
+        invoices: 0,
+        amount: 0,
+        tdsbooked: 0,
+        tdsconfirmed: 0,
+        amount26as: 0,
+        tds26as: 0,
+      };
+    }
+    return ledger[key];
+  };
+
+  booked.forEach((invoice) => {
+    const { fy, quarter } = tdsQuarter(invoice.invdate);
+    const row = rowFor(invoice, fy, quarter);
+    row.invoices += 1;
+    row.amount = round2(row.amount + Number(invoice.amount || 0));
+    row.tdsbooked = round2(row.tdsbooked + Number(invoice.tdsamount || 0));
+    row.tdsconfirmed = round2(row.tdsconfirmed + Number(invoice.tdsconfirmed || 0));
+  });
+  credits.forEach((credit) => {
+    const row = rowFor(credit, credit.fy, credit.quarter);
+    row.amount26as = round2(row.amount26as + Number(credit.amountpaid || 0));
+    row.tds26as = round2(row.tds26as + Number(credit.tdsamount || 0));
+  });
+
+  return Object.values(ledger)
+    .map((row) => {
+      const difference = round2(row.tds26as - row.tdsbooked);
+      let status = TDS_STATUS.MATCHED;
+      if (!row.custid) {
+        status = TDS_STATUS.UNMATCHED;
+      } else if (row.tds26as === 0) {
+        status = TDS_STATUS.MISSING;
+      } else if (difference < -TDS_TOLERANCE) {
+        status = TDS_STATUS.SHORT;
+      } else if (difference > TDS_TOLERANCE) {
+        status = TDS_STATUS.EXCESS;
+      }
+      return { ...row, difference, status };
+    })
+    .sort((a, b) => a.fy.localeCompare(b.fy) || a.quarter.localeCompare(b.quarter)
+      || String(a.custname || '').localeCompare(String(b.custname || '')));
+}
+
+module.exports = {
+  TDS_TOLERANCE,
+  TDS_STATUS,
+  tdsQuarter,
+  parseFinancialYear,
+  parseTdsDate,
+  parseAmount,
+  splitCsvLine,
+  parseForm26as,
+  reconcileTds,
+};
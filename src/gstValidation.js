@@ -0,0 +1,107 @@
+// 15 characters: state code, PAN, entity number, Z and the check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const TAN_PATTERN = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+const CHECK_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Function to trim and upper case a GSTIN or PAN, empty values become null
+function normaliseTaxId(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim().toUpperCase();
+  return text || null;
+}
+
+// Function to compute the check character of a GSTIN from its first 14 characters (Luhn mod 36)
+function gstinCheckChar(gstin) {
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = CHECK_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECK_CHARS[(36 - (sum % 36)) % 36];
+}
+
+// Function to check the format and the check character of a GSTIN
+function isValidGstin(gstin) {
+  return GSTIN_PATTERN.test(gstin) && gstinCheckChar(gstin) === gstin[14];
+}
+
+// Function to check the format of a PAN
+function isValidPan(panno) {
+  return PAN_PATTERN.test(panno);
+}
+
+// Function to check the format of a TAN, the account number of a TDS deductor
+function isValidTan(tanno) {
+  return TAN_PATTERN.test(tanno);
+}
+
+/**
+ * Function to validate the GSTIN and PAN of a customer or company.
+ * - the GSTIN is required when the GST treatment has reqgstno, or when required is set
+ * - the GSTIN must have a valid format and check character
+ * - its first two digits must be the GST state code of the state
+ * - the PAN inside it must be the given PAN
+ * - the TAN, when given, must have a valid format
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {object} ids - gstno, panno, tanno, stateid, gsttreatmentid and required.
+ * @param {string} [stateField] - Name of the state field in the request, used in the errors.
+ * @returns {Promise<object>} - The normalised gstno, panno and tanno and the list of errors ({ field, message }).
+ */
+async function validateTaxIds(db, ids, stateField = 'stateid') {
+  const gstno = normaliseTaxId(ids.gstno);
+  const panno = normaliseTaxId(ids.panno);
+  const tanno = normaliseTaxId(ids.tanno);
+  const errors = [];
+
+  if (tanno && !isValidTan(tanno)) {
+    errors.push({ field: 'tanno', message: 'TAN must be 4 letters, 5 digits and a letter, e.g. ABCD12345E' });
+  }
+
+  let required = Boolean(ids.required);
+  if (ids.gsttreatmentid) {
+    const { rows } = await db.query('SELECT gsttreatment, reqgstno FROM "GSTTreatment" WHERE gsttreatmentid = $1', [ids.gsttreatmentid]);
+    if (rows.length === 0) {
+      errors.push({ field: 'gsttreatmentid', message: 'GST treatment not found' });
+    } else if (rows[0].reqgstno) {
+      required = true;
+    }
+  }
+
+  if (panno && !isValidPan(panno)) {
+    errors.push({ field: 'panno', message: 'PAN must be 5 letters, 4 digits and a letter, e.g. ABCDE1234F' });
+  }
+
+  if (!gstno) {
+    if (required) {
+      errors.push({ field: 'gstno', message: 'GSTIN is required for a GST registered business' });
+    }
+    return { gstno, panno, tanno, errors };
+  }
+
+  if (!GSTIN_PATTERN.test(gstno)) {
+    errors.push({ field: 'gstno', message: 'GSTIN must be 15 characters: state code, PAN, entity number, Z and a check character' });
+    return { gstno, panno, tanno, errors };
+  }
+  if (gstinCheckChar(gstno) !== gstno[14]) {
+    errors.push({ field: 'gstno', message: 'GSTIN check character is not valid, check the GSTIN for typing errors' });
+  }
+
+  if (ids.stateid) {
+    const { rows } = await db.query('SELECT statename, gststatecode FROM "States" WHERE stateid = $1', [ids.stateid]);
+    const statecode = rows.length && rows[0].gststatecode ? String(rows[0].gststatecode).padStart(2, '0') : null;
+    if (statecode && statecode !== gstno.slice(0, 2)) {
+      errors.push({
+        field: stateField,
+        message: `GSTIN state code ${gstno.slice(0, 2)} does not match ${rows[0].statename} (${statecode})`,
+      });
+    }
+  }
+
+  if (panno && isValidPan(panno) && gstno.slice(2, 12) !== panno) {
+    errors.push({ field: 'panno', message: `PAN does not match the PAN in the GSTIN (${gstno.slice(2, 12)})` });
+  }
+
+  return { gstno, panno, tanno, errors };
+}
+
+module.exports = { normaliseTaxId, gstinCheckChar, isValidGstin, isValidPan, isValidTan, validateTaxIds };
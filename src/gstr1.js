@@ -0,0 +1,564 @@
+const { round2 } = require('./common');
+const { stateCode } = require('./einvoiceJson');
+const { resolveTreatment } = require('./taxEngine');
+
+// Inter-state invoices to unregistered buyers above this value are reported invoice-wise in B2CL.
+// The limit came down from 250000 to 100000 for invoices dated from 1 August 2024, B2CL_THRESHOLD overrides both.
+const B2CL_THRESHOLDS = { before: 250000, from: 100000, changedon: '2024-08-01' };
+
+// Function to get the B2CL limit that applies to an invoice date
+function b2clThreshold(invdate) {
+  if (process.env.B2CL_THRESHOLD) {
+    return Number(process.env.B2CL_THRESHOLD);
+  }
+  const d = new Date(invdate);
+  const day = [d.getFullYear(), String(d.getMonth() + 1).padStart(2, '0'), String(d.getDate()).padStart(2, '0')].join('-');
+  return day < B2CL_THRESHOLDS.changedon ? B2CL_THRESHOLDS.before : B2CL_THRESHOLDS.from;
+}
+
+// Sections of the return, in the order of the offline tool
+const GSTR1_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'exp', 'cdnr', 'cdnur', 'hsn', 'docs'];
+
+// Document types of the document summary (Table 13)
+const DOC_TYPES = { INVOICE: 1, DEBIT_NOTE: 4, CREDIT_NOTE: 5 };
+const DOC_NAMES = { 1: 'Invoices for outward supply', 4: 'Debit Note', 5: 'Credit Note' };
+
+// Function to compare two document numbers by their sequence, the last run of digits, so INV-10 comes after INV-9
+function compareDocNumbers(a, b) {
+  const seq = (docno) => {
+    const match = /(\d+)\D*$/.exec(String(docno || ''));
+    return match ? Number(match[1]) : 0;
+  };
+  return seq(a) - seq(b) || String(a || '').localeCompare(String(b || ''));
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Function to parse a return period.
+ * @param {string} period - The period as MMYYYY, e.g. 072024.
+ * @returns {object|null} - fp, fromdate and todate (YYYY-MM-DD) or null when the period is not valid.
+ */
+function parseReturnPeriod(period) {
+  const match = /^(0[1-9]|1[0-2])(\d{4})$/.exec(String(period || ''));
+  if (!match) {
+    return null;
+  }
+  const month = Number(match[1]);
+  const year = Number(match[2]);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    fp: match[0],
+    fromdate: `${year}-${match[1]}-01`,
+    todate: `${year}-${match[1]}-${String(lastDay).padStart(2, '0')}`,
+  };
+}
+
+// Function to format a date as dd-mm-yyyy for the return JSON
+function formatReturnDate(date) {
+  const d = new Date(date);
+  return [String(d.getDate()).padStart(2, '0'), String(d.getMonth() + 1).padStart(2, '0'), d.getFullYear()].join('-');
+}
+
+// Function to format a date as dd-Mon-yyyy for the offline tool CSV
+function formatCsvDate(date) {
+  const d = new Date(date);
+  return [String(d.getDate()).padStart(2, '0'), MONTHS[d.getMonth()], d.getFullYear()].join('-');
+}
+
+// Function to get the two digit place of supply code, e.g. "09"
+function posCode(gststatecode, gstin) {
+  const code = stateCode(gststatecode, gstin);
+  return code ? code.padStart(2, '0') : undefined;
+}
+
+// Taxable value and tax of an invoice item, items saved before they were stored are computed from the percentages
+const ITEM_TAX_COLUMNS = `
+      COALESCE(II.taxable, II.amount - II.discount) AS taxable, II.cgstper, II.sgstper, II.igstper,
+      COALESCE(II.cgst, ROUND((II.amount - II.discount) * II.cgstper / 100, 2)) AS cgst,
+      COALESCE(II.sgst, ROUND((II.amount - II.discount) * II.sgstper / 100, 2)) AS sgst,
+      COALESCE(II.igst, ROUND((II.amount - II.discount) * II.igstper / 100, 2)) AS igst,
+      COALESCE(II.cess, 0) AS cess
+`;
+
+/**
+ * Function to fetch the items of the issued invoices and of the credit and debit notes of a company for a period,
+ * with the HSN/SAC code and description and the UQC of the unit.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} compid - The Company ID.
+ * @param {string} fromdate - First day of the period.
+ * @param {string} todate - Last day of the period.
+ * @returns {Promise<object>} - invoiceItems and noteItems.
+ */
+async function getItemLines(db, compid, fromdate, todate) {
+  const invoiceItemQuery = `
+    SELECT
+      II.invoiceid AS invid, TRIM(It.hsncode) AS hsncode, H.codedesc, U.uqc, II.quantity, ${ITEM_TAX_COLUMNS}
+    FROM "InvoiceItem" II
+      JOIN "Invoice" I ON II.invoiceid = I.invid
+      JOIN "Items" It ON II.itemid = It.itemid
+      LEFT JOIN "HSNSAC" H ON It.hsncode = H.hsncode
+      LEFT JOIN "Units" U ON It.unitid = U.unitid
+    WHERE I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND I.status NOT IN ('draft', 'cancelled')
+  `;
+  const { rows: invoiceItems } = await db.query(invoiceItemQuery, [compid, fromdate, todate]);
+
+  const noteItemQuery = `
+    SELECT
+      NI.noteid, N.notetype, TRIM(It.hsncode) AS hsncode, H.codedesc, U.uqc, NI.quantity, NI.taxable,
+      NI.cgstper, NI.sgstper, NI.igstper, NI.cgst, NI.sgst, NI.igst, COALESCE(NI.cess, 0) AS cess
+    FROM "CrDrNoteItem" NI
+      JOIN "CrDrNote" N ON NI.noteid = N.noteid
+      JOIN "Items" It ON NI.itemid = It.itemid
+      LEFT JOIN "HSNSAC" H ON It.hsncode = H.hsncode
+      LEFT JOIN "Units" U ON It.unitid = U.unitid
+    WHERE N.compid = $1 AND N.notedate >= $2 AND N.notedate <= $3 AND N.status = 'issued'
+  `;
+  const { rows: noteItems } = await db.query(noteItemQuery, [compid, fromdate, todate]);
+
+  return { invoiceItems, noteItems };
+}
+
+/**
+ * Function to fetch the issued invoices, credit and debit notes and their items of a company for a period.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} compid - The Company ID.
+ * @param {string} fromdate - First day of the period.
+ * @param {string} todate - Last day of the period.
+ * @returns {Promise<object>} - company, invoices, invoiceItems, notes, noteItems and docs.
+ */
+async function getGstr1Data(db, compid, fromdate, todate) {
+  const companyQuery = `
+    SELECT CM.compid, CM.compname, CM.gstno, CS.gststatecode
+    FROM "Company" CM
+      LEFT JOIN "States" CS ON CM.stateid = CS.stateid
+    WHERE CM.compid = $1
+  `;
+  const { rows: companyRows } = await db.query(companyQuery, [compid]);
+
+  // Place of supply is the ship-to state, else the customer's place of supply, else the billing state
+  const partyColumns = `
+      C.custname, C.gstno AS custgstno, GT.treatcode, GT.gsttreatment,
+      COALESCE(SS.gststatecode, POS.gststatecode, BS.gststatecode) AS posstatecode,
+      COALESCE(SS.statename, POS.statename, BS.statename) AS posstatename
+  `;
+  const partyJoins = `
+      JOIN "Customer" C ON I.custid = C.custid
+      LEFT JOIN "GSTTreatment" GT ON C.gsttreatmentid = GT.gsttreatmentid
+      LEFT JOIN "States" SS ON I.shipstateid = SS.stateid
+      LEFT JOIN "States" POS ON C.placeofsupply = POS.stateid
+      LEFT JOIN "States" BS ON C.billstateid = BS.stateid
+  `;
+
+  const invoiceQuery = `
+    SELECT
+      I.invid, I.invno, I.invdate, I.stot, I.cgst, I.sgst, I.igst, COALESCE(I.cess, 0) AS cess, I.roundoff,
+      COALESCE(I.isrcm, false) AS isrcm, ${partyColumns}
+    FROM "Invoice" I ${partyJoins}
+    WHERE I.compid = $1 AND I.invdate >= $2 AND I.invdate <= $3 AND I.status NOT IN ('draft', 'cancelled')
+    ORDER BY I.invdate, I.invid
+  `;
+  const { rows: invoices } = await db.query(invoiceQuery, [compid, fromdate, todate]);
+  const { invoiceItems, noteItems } = await getItemLines(db, compid, fromdate, todate);
+
+  const noteQuery = `
+    SELECT
+      N.noteid, N.notetype, N.noteno, N.notedate, N.stot, N.cgst, N.sgst, N.igst, COALESCE(N.cess, 0) AS cess,
+      I.invid, I.invno, I.invdate, I.stot + I.cgst + I.sgst + I.igst + COALESCE(I.cess, 0) + COALESCE(I.roundoff, 0) AS invval,
+      COALESCE(I.isrcm, false) AS isrcm, ${partyColumns}
+    FROM "CrDrNote" N
+      JOIN "Invoice" I ON N.invid = I.invid ${partyJoins}
+    WHERE N.compid = $1 AND N.notedate >= $2 AND N.notedate <= $3 AND N.status = 'issued'
+    ORDER BY N.notedate, N.noteid
+  `;
+  const { rows: notes } = await db.query(noteQuery, [compid, fromdate, todate]);
+
+  // Cancelled invoices are counted in the document summary
+  const docQuery = `
+    SELECT ${DOC_TYPES.INVOICE} AS doctype, invid AS id, invno AS docno, status = 'cancelled' AS iscancelled
+    FROM "Invoice"
+    WHERE compid = $1 AND invdate >= $2 AND invdate <= $3 AND status <> 'draft'
+    UNION ALL
+    SELECT CASE WHEN notetype = 'C' THEN ${DOC_TYPES.CREDIT_NOTE} ELSE ${DOC_TYPES.DEBIT_NOTE} END, noteid, noteno, false
+    FROM "CrDrNote"
+    WHERE compid = $1 AND notedate >= $2 AND notedate <= $3 AND status = 'issued'
+    ORDER BY 1, 2
+  `;
+  const { rows: docs } = await db.query(docQuery, [compid, fromdate, todate]);
+
+  return { company: companyRows[0] || null, invoices, invoiceItems, notes, noteItems, docs };
+}
+
+// Function to compute the tax amounts of an invoice line, notes already store them
+function lineAmounts(line) {
+  const taxable = round2(line.taxable);
+  return {
+    rt: Number(line.cgstper) + Number(line.sgstper) + Number(line.igstper),
+    txval: taxable,
+    iamt: line.igst !== undefined ? round2(line.igst) : round2(taxable * Number(line.igstper) / 100),
+    camt: line.cgst !== undefined ? round2(line.cgst) : round2(taxable * Number(line.cgstper) / 100),
+    samt: line.sgst !== undefined ? round2(line.sgst) : round2(taxable * Number(line.sgstper) / 100),
+    csamt: round2(line.cess),
+  };
+}
+
+// Function to group the lines of a document by tax rate, as the itms of the return
+function itemsByRate(lines) {
+  const grouped = {};
+  lines.forEach((line) => {
+    const amounts = lineAmounts(line);
+    if (!grouped[amounts.rt]) {
+      grouped[amounts.rt] = { rt: amounts.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    }
+    const row = grouped[amounts.rt];
+    ['txval', 'iamt', 'camt', 'samt', 'csamt'].forEach((field) => {
+      row[field] = round2(row[field] + amounts[field]);
+    });
+  });
+  return Object.values(grouped).sort((a, b) => a.rt - b.rt);
+}
+
+/**
+ * Function to build the HSN summary (Table 12) grouped by HSN code, UQC and rate.
+ * Credit notes reduce and debit notes add to the summary.
+ * @param {object[]} lines - Lines with hsncode, codedesc, uqc, quantity, taxable, tax percentages, cess and notetype for notes.
+ * @returns {object[]} - Rows with hsn_sc, desc, uqc, qty, rt, txval, iamt, camt, samt and csamt.
+ */
+function summariseHsn(lines) {
+  const grouped = {};
+  lines.forEach((line) => {
+    const amounts = lineAmounts(line);
+    const sign = line.notetype === 'C' ? -1 : 1;
+    const uqc = line.uqc || 'OTH';
+    const key = [line.hsncode || '', uqc, amounts.rt].join('|');
+    if (!grouped[key]) {
+      grouped[key] = {
+        hsn_sc: line.hsncode || '', desc: line.codedesc || '', uqc, qty: 0, rt: amounts.rt,
+        txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0,
+      };
+    }
+    const row = grouped[key];
+    row.qty = round2(row.qty + sign * Number(line.quantity || 0));
+    ['txval', 'iamt', 'camt', 'samt', 'csamt'].forEach((field) => {
+      row[field] = round2(row[field] + sign * amounts[field]);
+    });
+  });
+  return Object.values(grouped)
+    .sort((a, b) => a.hsn_sc.localeCompare(b.hsn_sc) || a.rt - b.rt)
+    .map((row, index) => ({ num: index + 1, ...row }));
+}
+
+// Function to decide the section of an invoice from the buyer's GSTIN, treatment and the place of supply
+function invoiceSection(doc, company, invval) {
+  const code = resolveTreatment(doc.treatcode, doc.gsttreatment);
+  if (code === 'EXPWP' || code === 'EXPWOP') {
+    return 'exp';
+  }
+  if (doc.custgstno) {
+    return 'b2b';
+  }
+  const pos = posCode(doc.posstatecode);
+  const interState = Boolean(pos) && pos !== posCode(company.gststatecode, company.gstno);
+  return interState && invval > b2clThreshold(doc.invdate) ? 'b2cl' : 'b2cs';
+}
+
+// Function to get the invoice type of a B2B invoice
+function b2bInvoiceType(doc) {
+  const code = resolveTreatment(doc.treatcode, doc.gsttreatment);
+  return { SEZWP: 'SEWP', SEZWOP: 'SEWOP', DEEMED: 'DE' }[code] || 'R';
+}
+
+/**
+ * Function to classify the invoices and notes of a period into the GSTR-1 sections.
+ * Credit and debit notes follow the section of their invoice, notes on B2CS invoices net off in B2CS.
+ * @param {object} data - The data as returned by getGstr1Data.
+ * @returns {object} - The rows of every section in GSTR1_SECTIONS, with the names needed for the CSV.
+ */
+function classifyGstr1(data) {
+  const { company, invoices, invoiceItems, notes, noteItems, docs } = data;
+  const sections = { b2b: [], b2cl: [], b2cs: [], exp: [], cdnr: [], cdnur: [], hsn: [], docs: [] };
+  const b2csMap = {};
+
+  const linesOf = (rows, field) => {
+    const map = {};
+    rows.forEach((row) => {
+      (map[row[field]] = map[row[field]] || []).push(row);
+    });
+    return map;
+  };
+  const invoiceLines = linesOf(invoiceItems, 'invid');
+  const noteLines = linesOf(noteItems, 'noteid');
+
+  const companyPos = posCode(company.gststatecode, company.gstno);
+  const addB2cs = (doc, itms, sign) => {
+    const pos = posCode(doc.posstatecode) || companyPos;
+    const splyTy = pos === companyPos ? 'INTRA' : 'INTER';
+    itms.forEach((itm) => {
+      const key = [splyTy, pos, itm.rt].join('|');
+      if (!b2csMap[key]) {
+        b2csMap[key] = {
+          sply_ty: splyTy, pos, posname: doc.posstatename, typ: 'OE', rt: itm.rt,
+          txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0,
+        };
+      }
+      ['txval', 'iamt', 'camt', 'samt', 'csamt'].forEach((field) => {
+        b2csMap[key][field] = round2(b2csMap[key][field] + sign * itm[field]);
+      });
+    });
+  };
+
+  invoices.forEach((inv) => {
+    const val = round2(Number(inv.stot) + Number(inv.cgst) + Number(inv.sgst) + Number(inv.igst) + Number(inv.cess) + Number(inv.roundoff || 0));
+    const itms = itemsByRate(invoiceLines[inv.invid] || []);
+    const section = invoiceSection(inv, company, val);
+    const row = {
+      inum: inv.invno, idt: formatReturnDate(inv.invdate), val, pos: posCode(inv.posstatecode, inv.custgstno),
+      custname: inv.custname, posname: inv.posstatename, invdate: inv.invdate, itms,
+    };
+    if (section === 'b2b') {
+      sections.b2b.push({ ...row, ctin: inv.custgstno, rchrg: inv.isrcm ? 'Y' : 'N', inv_typ: b2bInvoiceType(inv) });
+    } else if (section === 'exp') {
+      sections.exp.push({ ...row, exp_typ: resolveTreatment(inv.treatcode, inv.gsttreatment) === 'EXPWP' ? 'WPAY' : 'WOPAY' });
+    } else if (section === 'b2cl') {
+      sections.b2cl.push(row);
+    } else {
+      addB2cs(inv, itms, 1);
+    }
+  });
+
+  notes.forEach((note) => {
+    const val = round2(Number(note.stot) + Number(note.cgst) + Number(note.sgst) + Number(note.igst) + Number(note.cess));
+    const itms = itemsByRate(noteLines[note.noteid] || []);
+    const section = invoiceSection(note, company, Number(note.invval));
+    const row = {
+      ntty: note.notetype, nt_num: note.noteno, nt_dt: formatReturnDate(note.notedate), val,
+      pos: posCode(note.posstatecode, note.custgstno), custname: note.custname, posname: note.posstatename,
+      notedate: note.notedate, itms,
+    };
+    if (section === 'b2b') {
+      sections.cdnr.push({ ...row, ctin: note.custgstno, rchrg: note.isrcm ? 'Y' : 'N', inv_typ: b2bInvoiceType(note) });
+    } else if (section === 'exp') {
+      const typ = resolveTreatment(note.treatcode, note.gsttreatment) === 'EXPWP' ? 'EXPWP' : 'EXPWOP';
+      sections.cdnur.push({ ...row, typ, pos: undefined });
+    } else if (section === 'b2cl') {
+      sections.cdnur.push({ ...row, typ: 'B2CL' });
+    } else {
+      addB2cs(note, itms, note.notetype === 'C' ? -1 : 1);
+    }
+  });
+
+  sections.b2cs = Object.values(b2csMap).sort((a, b) => a.pos.localeCompare(b.pos) || a.rt - b.rt);
+  sections.hsn = summariseHsn([...invoiceItems, ...noteItems]);
+
+  // Document summary, one row per document type with the first and last number of the period in number order
+  const docMap = {};
+  [...docs].sort((a, b) => a.doctype - b.doctype || compareDocNumbers(a.docno, b.docno)).forEach((doc) => {
+    if (!docMap[doc.doctype]) {
+      docMap[doc.doctype] = { doc_num: Number(doc.doctype), doc_typ: DOC_NAMES[doc.doctype], from: doc.docno, to: doc.docno, totnum: 0, cancel: 0 };
+    }
+    const row = docMap[doc.doctype];
+    row.to = doc.docno;
+    row.totnum += 1;
+    row.cancel += doc.iscancelled ? 1 : 0;
+  });
+  sections.docs = Object.values(docMap).map((row) => ({ ...row, net_issue: row.totnum - row.cancel }));
+
+  return sections;
+}
+
+// Function to convert the rows of a document to the itms of the return JSON
+function jsonItems(itms, withIntra = true) {
+  return itms.map((itm, index) => {
+    const det = { txval: itm.txval, rt: itm.rt, iamt: itm.iamt };
+    if (withIntra) {
+      det.camt = itm.camt;
+      det.samt = itm.samt;
+    }
+    det.csamt = itm.csamt;
+    return { num: index + 1, itm_det: det };
+  });
+}
+
+// Function to group the rows of a section by a key, as the nested arrays of the return JSON
+function groupBy(rows, key, build) {
+  const grouped = {};
+  rows.forEach((row) => {
+    (grouped[row[key]] = grouped[row[key]] || []).push(build(row));
+  });
+  return grouped;
+}
+
+/**
+ * Function to build the GSTR-1 JSON in the format of the GST offline tool.
+ * Empty sections are left out.
+ * @param {string} gstin - The GSTIN of the company.
+ * @param {string} fp - The return period as MMYYYY.
+ * @param {object} sections - The sections as returned by classifyGstr1.
+ * @returns {object} - The GSTR-1 payload.
+ */
+function buildGstr1Json(gstin, fp, sections) {
+  const payload = { gstin, fp, version: 'GST3.0.4', hash: 'hash' };
+
+  if (sections.b2b.length) {
+    const byCtin = groupBy(sections.b2b, 'ctin', (row) => ({
+      inum: row.inum, idt: row.idt, val: row.val, pos: row.pos, rchrg: row.rchrg, inv_typ: row.inv_typ, itms: jsonItems(row.itms),
+    }));
+    payload.b2b = Object.entries(byCtin).map(([ctin, inv]) => ({ ctin, inv }));
+  }
+  if (sections.b2cl.length) {
+    const byPos = groupBy(sections.b2cl, 'pos', (row) => ({
+      inum: row.inum, idt: row.idt, val: row.val, itms: jsonItems(row.itms, false),
+    }));
+    payload.b2cl = Object.entries(byPos).map(([pos, inv]) => ({ pos, inv }));
+  }
+  if (sections.b2cs.length) {
+    payload.b2cs = sections.b2cs.map((row) => {
+      const item = { sply_ty: row.sply_ty, pos: row.pos, typ: row.typ, txval: row.txval, rt: row.rt, iamt: row.iamt };
+      if (row.sply_ty === 'INTRA') {
+        item.camt = row.camt;
+        item.samt = row.samt;
+      }
+      item.csamt = row.csamt;
+      return item;
+    });
+  }
+  if (sections.exp.length) {
+    const byType = groupBy(sections.exp, 'exp_typ', (row) => ({
+      inum: row.inum, idt: row.idt, val: row.val,
+      itms: row.itms.map((itm) => ({ txval: itm.txval, rt: itm.rt, iamt: itm.iamt, csamt: itm.csamt })),
+    }));
+    payload.exp = Object.entries(byType).map(([expTyp, inv]) => ({ exp_typ: expTyp, inv }));
+  }
+  if (sections.cdnr.length) {
+    const byCtin = groupBy(sections.cdnr, 'ctin', (row) => ({
+      ntty: row.ntty, nt_num: row.nt_num, nt_dt: row.nt_dt, val: row.val, pos: row.pos, rchrg: row.rchrg,
+      inv_typ: row.inv_typ, itms: jsonItems(row.itms),
+    }));
+    payload.cdnr = Object.entries(byCtin).map(([ctin, nt]) => ({ ctin, nt }));
+  }
+  if (sections.cdnur.length) {
+    payload.cdnur = sections.cdnur.map((row) => {
+      const note = { typ: row.typ, ntty: row.ntty, nt_num: row.nt_num, nt_dt: row.nt_dt, val: row.val };
+      if (row.pos) {
+        note.pos = row.pos;
+      }
+      note.itms = jsonItems(row.itms, false);
+      return note;
+    });
+  }
+  if (sections.hsn.length) {
+    payload.hsn = { data: sections.hsn };
+  }
+  if (sections.docs.length) {
+    payload.doc_issue = {
+      doc_det: sections.docs.map((row) => ({
+        doc_num: row.doc_num,
+        docs: [{ num: 1, from: row.from, to: row.to, totnum: row.totnum, cancel: row.cancel, net_issue: row.net_issue }],
+      })),
+    };
+  }
+
+  return payload;
+}
+
+// Function to quote a CSV value when needed
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to format a place of supply as in the offline tool, e.g. "29-Karnataka"
+function csvPos(row) {
+  return row.pos ? `${row.pos}-${row.posname || ''}` : '';
+}
+
+// Column headers and row builders of the offline tool CSV of every section, documents emit one row per rate
+const CSV_LAYOUTS = {
+  b2b: {
+    headers: ['GSTIN/UIN of Recipient', 'Receiver Name', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply',
+      'Reverse Charge', 'Applicable % of Tax Rate', 'Invoice Type', 'E-Commerce GSTIN', 'Rate', 'Taxable Value', 'Cess Amount'],
+    rows: (row) => row.itms.map((itm) => [
+      row.ctin, row.custname, row.inum, formatCsvDate(row.invdate), row.val, csvPos(row), row.rchrg, '',
+      { R: 'Regular B2B', SEWP: 'SEZ supplies with payment', SEWOP: 'SEZ supplies without payment', DE: 'Deemed Exp' }[row.inv_typ],
+      '', itm.rt, itm.txval, itm.csamt,
+    ]),
+  },
+  b2cl: {
+    headers: ['Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate',
+      'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+    rows: (row) => row.itms.map((itm) => [
+      row.inum, formatCsvDate(row.invdate), row.val, csvPos(row), '', itm.rt, itm.txval, itm.csamt, '',
+    ]),
+  },
+  b2cs: {
+    headers: ['Type', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+    rows: (row) => [[row.typ, csvPos(row), '', row.rt, row.txval, row.csamt, '']],
+  },
+  exp: {
+    headers: ['Export Type', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Port Code', 'Shipping Bill Number',
+      'Shipping Bill Date', 'Rate', 'Taxable Value', 'Cess Amount'],
+    rows: (row) => row.itms.map((itm) => [
+      row.exp_typ, row.inum, formatCsvDate(row.invdate), row.val, '', '', '', itm.rt, itm.txval, itm.csamt,
+    ]),
+  },
+  cdnr: {
+    headers: ['GSTIN/UIN of Recipient', 'Receiver Name', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply',
+      'Reverse Charge', 'Note Supply Type', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount'],
+    rows: (row) => row.itms.map((itm) => [
+      row.ctin, row.custname, row.nt_num, formatCsvDate(row.notedate), row.ntty, csvPos(row), row.rchrg,
+      { R: 'Regular B2B', SEWP: 'SEZ supplies with payment', SEWOP: 'SEZ supplies without payment', DE: 'Deemed Exp' }[row.inv_typ],
+      row.val, '', itm.rt, itm.txval, itm.csamt,
+    ]),
+  },
+  cdnur: {
+    headers: ['UR Type', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Note Value', 'Applicable % of Tax Rate',
+      'Rate', 'Taxable Value', 'Cess Amount'],
+    rows: (row) => row.itms.map((itm) => [
+      row.typ, row.nt_num, formatCsvDate(row.notedate), row.ntty, csvPos(row), row.val, '', itm.rt, itm.txval, itm.csamt,
+    ]),
+  },
+  hsn: {
+    headers: ['HSN', 'Description', 'UQC', 'Total Quantity', 'Total Value', 'Rate', 'Taxable Value', 'Integrated Tax Amount',
+      'Central Tax Amount', 'State/UT Tax Amount', 'Cess Amount'],
+    rows: (row) => [[
+      row.hsn_sc, row.desc, row.uqc, row.qty, round2(row.txval + row.iamt + row.camt + row.samt + row.csamt), row.rt,
+      row.txval, row.iamt, row.camt, row.samt, row.csamt,
+    ]],
+  },
+  docs: {
+    headers: ['Nature of Document', 'Sr. No. From', 'Sr. No. To', 'Total Number', 'Cancelled'],
+    rows: (row) => [[row.doc_typ, row.from, row.to, row.totnum, row.cancel]],
+  },
+};
+
+/**
+ * Function to build the offline tool CSV of one section.
+ * @param {string} section - One of GSTR1_SECTIONS.
+ * @param {object} sections - The sections as returned by classifyGstr1.
+ * @returns {string} - The CSV text with a header row.
+ */
+function buildGstr1Csv(section, sections) {
+  const layout = CSV_LAYOUTS[section];
+  const lines = [layout.headers];
+  sections[section].forEach((row) => {
+    lines.push(...layout.rows(row));
+  });
+  return lines.map((line) => line.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  B2CL_THRESHOLDS,
+  b2clThreshold,
+  GSTR1_SECTIONS,
+  ITEM_TAX_COLUMNS,
+  parseReturnPeriod,
+  formatReturnDate,
+  posCode,
+  getItemLines,
+  getGstr1Data,
+  lineAmounts,
+  summariseHsn,
+  classifyGstr1,
+  buildGstr1Json,
+  buildGstr1Csv,
+};
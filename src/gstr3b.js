@@ -0,0 +1,91 @@
+const { round2 } = require('./common');
+const { posCode, lineAmounts } = require('./gstr1');
+const { resolveTreatment } = require('./taxEngine');
+
+// Rows of GSTR-3B Table 3.1, osup_rcm are the supplies on which the recipient pays the tax under reverse charge
+const TABLE_31_ROWS = {
+  osup_det: '(a) Outward taxable supplies (other than zero rated, nil rated and exempted)',
+  osup_zero: '(b) Outward taxable supplies (zero rated)',
+  osup_nil_exmp: '(c) Other outward supplies (nil rated, exempted)',
+  osup_rcm: 'Outward supplies on which tax is payable by the recipient on reverse charge',
+};
+
+const AMOUNT_FIELDS = ['txval', 'iamt', 'camt', 'samt', 'csamt'];
+
+// Function to add the amounts of a line to a row, credit notes are added with sign -1
+function addAmounts(row, amounts, sign) {
+  AMOUNT_FIELDS.forEach((field) => {
+    if (row[field] !== undefined) {
+      row[field] = round2(row[field] + sign * amounts[field]);
+    }
+  });
+}
+
+/**
+ * Function to compute GSTR-3B Table 3.1 and Table 3.2 from the invoices and notes of a month.
+ * - reverse charge invoices go to osup_rcm, the tax is not part of the supplier's liability
+ * - SEZ and export invoices, with or without payment of IGST, go to osup_zero
+ * - other lines with a 0% rate go to osup_nil_exmp, the rest to osup_det
+ * - Table 3.2 is the taxable inter-state supplies to unregistered persons by place of supply
+ * Credit notes reduce and debit notes add to the row of their invoice.
+ * @param {object} data - The data as returned by getGstr1Data.
+ * @returns {object} - sup_details with a row per TABLE_31_ROWS key and inter_sup.unreg_details.
+ */
+function computeGstr3b(data) {
+  const { company, invoices, invoiceItems, notes, noteItems } = data;
+  const companyPos = posCode(company.gststatecode, company.gstno);
+
+  const supDetails = {
+    osup_det: { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 },
+    osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+    osup_nil_exmp: { txval: 0 },
+    osup_rcm: { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 },
+  };
+  const unregMap = {};
+
+  const addDocument = (doc, lines, sign) => {
+    const code = resolveTreatment(doc.treatcode, doc.gsttreatment);
+    const zeroRated = ['SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP'].includes(code);
+    const pos = posCode(doc.posstatecode, doc.custgstno);
+
+    lines.forEach((line) => {
+      const amounts = lineAmounts(line);
+      let key = 'osup_det';
+      if (doc.isrcm) {
+        key = 'osup_rcm';
+      } else if (zeroRated) {
+        key = 'osup_zero';
+      } else if (amounts.rt === 0) {
+        key = 'osup_nil_exmp';
+      }
+      addAmounts(supDetails[key], amounts, sign);
+
+      if (key === 'osup_det' && !doc.custgstno && pos && pos !== companyPos) {
+        if (!unregMap[pos]) {
+          unregMap[pos] = { pos, statename: doc.posstatename, txval: 0, iamt: 0 };
+        }
+        addAmounts(unregMap[pos], amounts, sign);
+      }
+    });
+  };
+
+  const linesOf = (rows, field) => {
+    const map = {};
+    rows.forEach((row) => {
+      (map[row[field]] = map[row[field]] || []).push(row);
+    });
+    return map;
+  };
+  const invoiceLines = linesOf(invoiceItems, 'invid');
+  const noteLines = linesOf(noteItems, 'noteid');
+
+  invoices.forEach((inv) => addDocument(inv, invoiceLines[inv.invid] || [], 1));
+  notes.forEach((note) => addDocument(note, noteLines[note.noteid] || [], note.notetype === 'C' ? -1 : 1));
+
+  return {
+    sup_details: Object.fromEntries(Object.entries(supDetails).map(([key, row]) => [key, { description: TABLE_31_ROWS[key], ...row }])),
+    inter_sup: { unreg_details: Object.values(unregMap).sort((a, b) => a.pos.localeCompare(b.pos)) },
+  };
+}
+
+module.exports = { TABLE_31_ROWS, computeGstr3b };
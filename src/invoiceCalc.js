@@ -0,0 +1,158 @@
+const { round2, createHttpError } = require('./common');
+const { splitRate } = require('./taxEngine');
+
+/**
+ * Function to compute the compensation cess of a line, ad valorem on the taxable value plus specific per unit.
+ * Zero rated supplies carry no cess, the same as the GST on them.
+ * @param {number} taxable - The taxable value of the line.
+ * @param {number} quantity - The quantity of the line.
+ * @param {object} cess - The cessrate (percentage) and cessperunit (amount) of the item.
+ * @param {object} context - The supply context as returned by getTaxContext.
+ * @returns {object} - cessper and the cess amount.
+ */
+function computeCess(taxable, quantity, cess, context) {
+  if (context.zerorated) {
+    return { cessper: 0, cess: 0 };
+  }
+  const cessper = Number(cess.cessrate || 0);
+  return { cessper, cess: round2(taxable * cessper / 100 + quantity * Number(cess.cessperunit || 0)) };
+}
+
+/**
+ * Function to back-calculate the taxable value and taxes of a tax inclusive amount.
+ * The taxable value is moved by the rounding difference until taxable plus the rounded taxes is the
+ * inclusive amount, what is left after that goes to the taxable value so the line always reconciles.
+ * @param {number} gross - The amount after discount, inclusive of tax.
+ * @param {function} taxesOn - Function returning the taxes (with taxtotal) on a taxable value.
+ * @param {number} percentage - The total ad valorem tax percentage.
+ * @param {number} fixed - The tax that does not depend on the taxable value (specific cess).
+ * @returns {object} - The taxable value and the taxes.
+ */
+function inclusiveTaxable(gross, taxesOn, percentage, fixed) {
+  let taxable = round2((gross - fixed) * 100 / (100 + percentage));
+  let taxes = taxesOn(taxable);
+  for (let i = 0; i < 3; i += 1) {
+    const difference = round2(gross - taxable - taxes.taxtotal);
+    if (difference === 0) {
+      return { taxable, taxes };
+    }
+    taxable = round2(taxable + difference);
+    taxes = taxesOn(taxable);
+  }
+  return { taxable: round2(gross - taxes.taxtotal), taxes };
+}
+
+/**
+ * Function to compute the amounts of one invoice line.
+ * When the line is tax inclusive the rate and discount include the tax and the taxable value is derived from them,
+ * the line total is then exactly the amount less the discount. An inclusive amount below the per unit cess is refused.
+ * @param {object} line - The line with quantity, rate, discount and taxinclusive.
+ * @param {number} taxrate - The tax rate of the item.
+ * @param {object} context - The supply context as returned by getTaxContext.
+ * @param {object} [item] - The cessrate, cessperunit and taxinclusive of the item, taxinclusive is used when the line has none.
+ * @returns {object} - The line with amount, taxable, tax percentages, tax amounts, cess, taxtotal and total.
+ */
+function computeLine(line, taxrate, context, item = {}) {
+  const quantity = Number(line.quantity);
+  const rate = Number(line.rate);
+  const discount = Number(line.discount || 0);
+  const taxinclusive = typeof line.taxinclusive === 'boolean' ? line.taxinclusive : item.taxinclusive === true;
+  const { cgstper, sgstper, igstper } = splitRate(context.taxtype, Number(taxrate || 0));
+
+  const taxesOn = (value) => {
+    const taxes = {
+      cgst: round2(value * cgstper / 100),
+      sgst: round2(value * sgstper / 100),
+      igst: round2(value * igstper / 100),
+      ...computeCess(value, quantity, item, context),
+    };
+    return { ...taxes, taxtotal: round2(taxes.cgst + taxes.sgst + taxes.igst + taxes.cess) };
+  };
+
+  const amount = round2(quantity * rate);
+  let taxable = round2(amount - discount);
+  let taxes;
+  if (taxinclusive) {
+    const { cessper, cess: fixed } = computeCess(0, quantity, item, context);
+    // The per unit cess is part of the inclusive amount, a smaller amount would leave a negative taxable value
+    if (taxable < fixed) {
+      throw createHttpError(400, `The tax inclusive amount ${taxable} of item ${line.itemid} is less than its per unit cess of ${fixed}`);
+    }
+    ({ taxable, taxes } = inclusiveTaxable(taxable, taxesOn, cgstper + sgstper + igstper + cessper, fixed));
+  } else {
+    taxes = taxesOn(taxable);
+  }
+  const { cgst, sgst, igst, cessper, cess: cessamt, taxtotal } = taxes;
+
+  return {
+    itemid: line.itemid,
+    quantity,
+    rate,
+    amount,
+    discount,
+    taxinclusive,
+    taxable,
+    taxrate: Number(taxrate || 0),
+    cgstper,
+    sgstper,
+    igstper,
+    cgst,
+    sgst,
+    igst,
+    cessper,
+    cess: cessamt,
+    taxtotal,
+    total: round2(taxable + taxtotal),
+  };
+}
+
+// Function to group the computed lines by tax rate for the InvoiceTax Table
+function summariseTax(lines) {
+  const grouped = {};
+  lines.forEach((line) => {
+    if (line.taxtotal === 0) {
+      return;
+    }
+    if (!grouped[line.taxrate]) {
+      grouped[line.taxrate] = { percentage: line.taxrate, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    }
+    const row = grouped[line.taxrate];
+    row.cgst = round2(row.cgst + line.cgst);
+    row.sgst = round2(row.sgst + line.sgst);
+    row.igst = round2(row.igst + line.igst);
+    row.cess = round2(row.cess + line.cess);
+  });
+  return Object.values(grouped);
+}
+
+/**
+ * Function to compute the invoice totals from the computed lines and the charges.
+ * Under reverse charge the recipient pays the tax, it is computed but left out of the total.
+ * @param {object[]} lines - The lines as returned by computeLine.
+ * @param {object} charges - The tdsamount, roundoff and isrcm of the invoice.
+ * @returns {object} - stot, cgst, sgst, igst, cess and total of the invoice.
+ */
+function computeTotals(lines, charges = {}) {
+  const sum = (field) => round2(lines.reduce((acc, line) => acc + line[field], 0));
+  const stot = sum('taxable');
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  const cess = sum('cess');
+  const tdsamount = round2(charges.tdsamount);
+  const roundoff = round2(charges.roundoff);
+  const payable = charges.isrcm ? 0 : cgst + sgst + igst + cess;
+
+  return {
+    stot,
+    cgst,
+    sgst,
+    igst,
+    cess,
+    tdsamount,
+    roundoff,
+    total: round2(stot + payable - tdsamount + roundoff),
+  };
+}
+
+module.exports = { computeCess, computeLine, summariseTax, computeTotals };
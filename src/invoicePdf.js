@@ -0,0 +1,397 @@
+const PDFDocument = require('pdfkit');
+const { round2 } = require('./common');
+
+// Copy labels printed on the top right corner of each page
+const COPY_LABELS = {
+  original: 'Original for Recipient',
+  duplicate: 'Duplicate for Transporter',
+  triplicate: 'Triplicate for Supplier',
+};
+
+const PAGE_MARGIN = 36;
+
+// Function to format an amount with Indian digit grouping
+function formatMoney(value) {
+  return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Function to format a date as dd-mm-yyyy
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  const d = new Date(value);
+  const dd = String(d.getDate()).padStart(2, '0');
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  return `${dd}-${mm}-${d.getFullYear()}`;
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitWords(n) {
+  if (n < 20) {
+    return ONES[n];
+  }
+  return (TENS[Math.floor(n / 10)] + ' ' + ONES[n % 10]).trim();
+}
+
+function threeDigitWords(n) {
+  const hundred = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundred) {
+    words.push(ONES[hundred] + ' Hundred');
+  }
+  if (rest) {
+    words.push(twoDigitWords(rest));
+  }
+  return words.join(' ');
+}
+
+// Function to spell a whole number in the Indian numbering system (lakh, crore)
+function numberToWords(num) {
+  let n = Math.floor(num);
+  if (n === 0) {
+    return 'Zero';
+  }
+  const words = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+  if (crore) {
+    words.push(numberToWords(crore) + ' Crore');
+  }
+  if (lakh) {
+    words.push(twoDigitWords(lakh) + ' Lakh');
+  }
+  if (thousand) {
+    words.push(twoDigitWords(thousand) + ' Thousand');
+  }
+  if (n) {
+    words.push(threeDigitWords(n));
+  }
+  return words.join(' ');
+}
+
+/**
+ * Function to spell an amount in words as required on a tax invoice.
+ * @param {number} amount - The amount to be spelt.
+ * @param {string} currencycode - The currency code of the amount.
+ * @returns {string} - The amount in words, e.g. "INR One Hundred and Paise Fifty Only".
+ */
+function amountInWords(amount, currencycode) {
+  const value = round2(Math.abs(Number(amount || 0)));
+  const whole = Math.floor(value);
+  const fraction = Math.round((value - whole) * 100);
+  let words = `${currencycode || 'INR'} ${numberToWords(whole)}`;
+  if (fraction > 0) {
+    words += ` and ${currencycode === 'INR' || !currencycode ? 'Paise' : 'Cents'} ${numberToWords(fraction)}`;
+  }
+  return words + ' Only';
+}
+
+/**
+ * Function to fetch everything needed to print an invoice.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} invid - The Invoice ID.
+ * @returns {Promise<object|null>} - The invoice header, items, tax rows and HSN summary or null if not found.
+ */
+async function getInvoicePrintData(db, invid) {
+  const headerQuery = `
+    SELECT
+      I.invid, I.invno, I.invdate, I.duedate, I.ordno, I.subject, I.notes, I.tnc,
+      I.stot, I.cgst, I.sgst, I.igst, I.cess, I.isrcm, I.tdsamount, I.roundoff, I.total, I.amtdue, I.currencycode,
+      I.shipstreet1, I.shipstreet2, I.shipcity, I.shippin,
+      S2.statename AS shipstate, Co2.countryname AS shipcountry, PT.payterm,
+      C.custname, C.email AS custemail, C.gstno AS custgstno, C.billstreet1, C.billstreet2, C.billcity, C.billpin,
+      S1.statename AS billstate, Co1.countryname AS billcountry, POS.statename AS placeofsupply,
+      CM.compname, CM.gstno AS compgstno, CM.panno AS comppanno, CM.street1 AS compstreet1,
+      CM.street2 AS compstreet2, CM.city AS compcity, CM.pincode AS comppin, CS.statename AS compstate,
+      CM.phone AS compphone, CM.email AS compemail, CM.logo
+    FROM "Invoice" I
+      JOIN "Customer" C ON I.custid = C.custid
+      JOIN "Company" CM ON I.compid = CM.compid
+      LEFT JOIN "States" S1 ON C.billstateid = S1.stateid
+      LEFT JOIN "Country" Co1 ON C.billcountryid = Co1.countryid
+      LEFT JOIN "States" S2 ON I.shipstateid = S2.stateid
+      LEFT JOIN "Country" Co2 ON I.shipcountryid = Co2.countryid
+      LEFT JOIN "States" POS ON C.placeofsupply = POS.stateid
+      LEFT JOIN "States" CS ON CM.stateid = CS.stateid
+      LEFT JOIN "PayTerms" PT ON I.termid = PT.paytermid
+    WHERE I.invid = $1
+  `;
+  const { rows: headerRows } = await db.query(headerQuery, [invid]);
+  if (headerRows.length === 0) {
+    return null;
+  }
+
+  const itemsQuery = `
+    SELECT
+      II.itemid, It.itemname, It.hsncode, U.unitname, II.quantity, II.rate, II.amount, II.discount,
+      COALESCE(II.taxinclusive, false) AS taxinclusive, II.taxable AS savedtaxable, II.cgst AS savedcgst, II.sgst AS savedsgst,
+      II.igst AS savedigst, II.cgstper, II.sgstper, II.igstper, II.cessper, II.cess, II.taxtotal, II.total
+    FROM "InvoiceItem" II
+      JOIN "Items" It ON II.itemid = It.itemid
+      LEFT JOIN "Units" U ON It.unitid = U.unitid
+    WHERE II.invoiceid = $1
+  `;
+  const { rows: itemRows } = await db.query(itemsQuery, [invid]);
+
+  const taxQuery = `
+    SELECT sr, percentage, cgst, sgst, igst, cess
+    FROM "InvoiceTax"
+    WHERE invid = $1
+    ORDER BY sr
+  `;
+  const { rows: taxRows } = await db.query(taxQuery, [invid]);
+
+  // Items saved before the taxable value and tax were stored are computed from the percentages
+  const items = itemRows.map(({ savedtaxable, savedcgst, savedsgst, savedigst, ...row }) => {
+    const taxable = savedtaxable === null ? round2(Number(row.amount) - Number(row.discount || 0)) : round2(savedtaxable);
+    const taxOf = (saved, per) => (saved === null ? round2(taxable * Number(per || 0) / 100) : round2(saved));
+    return {
+      ...row,
+      taxable,
+      cgst: taxOf(savedcgst, row.cgstper),
+      sgst: taxOf(savedsgst, row.sgstper),
+      igst: taxOf(savedigst, row.igstper),
+      cess: round2(row.cess),
+    };
+  });
+
+  // Group the items by HSN/SAC code for the HSN summary
+  const hsnMap = {};
+  items.forEach((item) => {
+    const key = item.hsncode || '';
+    if (!hsnMap[key]) {
+      hsnMap[key] = { hsncode: key, taxable: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    }
+    hsnMap[key].taxable = round2(hsnMap[key].taxable + item.taxable);
+    hsnMap[key].cgst = round2(hsnMap[key].cgst + item.cgst);
+    hsnMap[key].sgst = round2(hsnMap[key].sgst + item.sgst);
+    hsnMap[key].igst = round2(hsnMap[key].igst + item.igst);
+    hsnMap[key].cess = round2(hsnMap[key].cess + item.cess);
+  });
+
+  return { header: headerRows[0], items, taxes: taxRows, hsnSummary: Object.values(hsnMap) };
+}
+
+// Function to draw a row of cells, returns the height used
+function drawRow(doc, y, columns, values, options = {}) {
+  let x = PAGE_MARGIN;
+  let height = 0;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.fontSize || 8);
+  columns.forEach((col, index) => {
+    const text = values[index] === undefined || values[index] === null ? '' : String(values[index]);
+    const h = doc.heightOfString(text, { width: col.width - 4 });
+    doc.text(text, x + 2, y + 2, { width: col.width - 4, align: col.align || 'left' });
+    height = Math.max(height, h);
+    x += col.width;
+  });
+  height += 4;
+  doc.moveTo(PAGE_MARGIN, y + height).lineTo(x, y + height).lineWidth(0.5).stroke();
+  return height;
+}
+
+// Function to add a new page when the remaining space is not enough
+function ensureSpace(doc, y, needed) {
+  if (y + needed > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    return PAGE_MARGIN;
+  }
+  return y;
+}
+
+function drawAddress(doc, x, y, width, title, lines) {
+  doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(8).text(lines.filter((line) => line).join('\n'), x, doc.y + 2, { width });
+  return doc.y;
+}
+
+// Function to draw one copy of the invoice starting on a fresh page
+function drawInvoiceCopy(doc, data, copyLabel) {
+  const { header: inv, items, hsnSummary } = data;
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  doc.font('Helvetica').fontSize(8).text(copyLabel, PAGE_MARGIN, y, { width: pageWidth, align: 'right' });
+  y += 14;
+
+  // Company header with logo
+  let textX = PAGE_MARGIN;
+  if (inv.logo) {
+    try {
+      doc.image(inv.logo, PAGE_MARGIN, y, { fit: [60, 60] });
+      textX += 70;
+    } catch (err) {
+      console.error('Error drawing company logo:', err.message);
+    }
+  }
+  doc.font('Helvetica-Bold').fontSize(14).text(inv.compname || '', textX, y, { width: pageWidth - (textX - PAGE_MARGIN) });
+  doc.font('Helvetica').fontSize(8).text([
+    [inv.compstreet1, inv.compstreet2].filter((s) => s).join(', '),
+    [inv.compcity, inv.compstate, inv.comppin].filter((s) => s).join(', '),
+    [inv.compphone ? 'Phone: ' + inv.compphone : '', inv.compemail ? 'Email: ' + inv.compemail : ''].filter((s) => s).join('  '),
+    inv.compgstno ? 'GSTIN: ' + inv.compgstno : '',
+  ].filter((s) => s).join('\n'), textX, doc.y + 2, { width: pageWidth - (textX - PAGE_MARGIN) });
+  y = Math.max(doc.y, y + 60) + 8;
+
+  doc.font('Helvetica-Bold').fontSize(12).text('TAX INVOICE', PAGE_MARGIN, y, { width: pageWidth, align: 'center' });
+  y = doc.y + 6;
+
+  // Invoice particulars
+  const half = pageWidth / 2;
+  doc.font('Helvetica').fontSize(8);
+  doc.text([
+    'Invoice No: ' + inv.invno,
+    'Invoice Date: ' + formatDate(inv.invdate),
+    'Due Date: ' + formatDate(inv.duedate),
+  ].join('\n'), PAGE_MARGIN, y, { width: half });
+  const leftEnd = doc.y;
+  doc.text([
+    inv.payterm ? 'Terms: ' + inv.payterm : '',
+    inv.ordno ? 'Order No: ' + inv.ordno : '',
+    'Place of Supply: ' + (inv.placeofsupply || inv.billstate || ''),
+    'Tax payable on reverse charge: ' + (inv.isrcm ? 'Yes' : 'No'),
+  ].filter((s) => s).join('\n'), PAGE_MARGIN + half, y, { width: half });
+  y = Math.max(leftEnd, doc.y) + 8;
+
+  // Bill to and ship to addresses
+  const billEnd = drawAddress(doc, PAGE_MARGIN, y, half - 10, 'Bill To', [
+    inv.custname,
+    [inv.billstreet1, inv.billstreet2].filter((s) => s).join(', '),
+    [inv.billcity, inv.billstate, inv.billpin].filter((s) => s).join(', '),
+    inv.billcountry,
+    inv.custgstno ? 'GSTIN: ' + inv.custgstno : '',
+  ]);
+  const shipEnd = drawAddress(doc, PAGE_MARGIN + half, y, half - 10, 'Ship To', [
+    inv.custname,
+    [inv.shipstreet1, inv.shipstreet2].filter((s) => s).join(', '),
+    [inv.shipcity, inv.shipstate, inv.shippin].filter((s) => s).join(', '),
+    inv.shipcountry,
+  ]);
+  y = Math.max(billEnd, shipEnd) + 8;
+
+  if (inv.subject) {
+    doc.font('Helvetica').fontSize(8).text('Subject: ' + inv.subject, PAGE_MARGIN, y, { width: pageWidth });
+    y = doc.y + 6;
+  }
+
+  // Line items
+  const itemColumns = [
+    { width: 22 }, { width: 133 }, { width: 48 }, { width: 40, align: 'right' }, { width: 52, align: 'right' },
+    { width: 45, align: 'right' }, { width: 60, align: 'right' }, { width: 55, align: 'right' }, { width: 68, align: 'right' },
+  ];
+  const itemHeader = ['#', 'Item', 'HSN/SAC', 'Qty', 'Rate', 'Discount', 'Taxable Value', 'Tax', 'Amount'];
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).lineWidth(0.5).stroke();
+  y += drawRow(doc, y, itemColumns, itemHeader, { bold: true });
+  items.forEach((item, index) => {
+    y = ensureSpace(doc, y, 30);
+    const gstLabel = Number(item.igstper) > 0
+      ? `IGST ${Number(item.igstper)}%\n${formatMoney(item.igst)}`
+      : `CGST ${Number(item.cgstper)}%\n${formatMoney(item.cgst)}\nSGST ${Number(item.sgstper)}%\n${formatMoney(item.sgst)}`;
+    const taxLabel = item.cess > 0 ? `${gstLabel}\nCess\n${formatMoney(item.cess)}` : gstLabel;
+    y += drawRow(doc, y, itemColumns, [
+      index + 1,
+      item.itemname,
+      item.hsncode,
+      `${Number(item.quantity)} ${item.unitname || ''}`.trim(),
+      item.taxinclusive ? `${formatMoney(item.rate)}\nincl. tax` : formatMoney(item.rate),
+      formatMoney(item.discount),
+      formatMoney(item.taxable),
+      taxLabel,
+      formatMoney(item.total),
+    ]);
+  });
+  y += 8;
+
+  // Totals
+  const totals = [
+    ['Sub Total', inv.stot],
+    ['CGST', inv.cgst],
+    ['SGST', inv.sgst],
+    ['IGST', inv.igst],
+    ['Cess', inv.cess],
+    ['TDS', inv.tdsamount ? -Number(inv.tdsamount) : 0],
+    ['Round Off', inv.roundoff],
+  ].filter(([label, value]) => label === 'Sub Total' || Number(value || 0) !== 0);
+  if (inv.isrcm) {
+    totals.push(['Tax under reverse charge', -round2(Number(inv.cgst) + Number(inv.sgst) + Number(inv.igst) + Number(inv.cess || 0))]);
+  }
+  totals.push(['Total', inv.total]);
+  totals.push(['Balance Due', inv.amtdue]);
+  const totalColumns = [{ width: pageWidth - 170 }, { width: 90, align: 'right' }, { width: 80, align: 'right' }];
+  totals.forEach(([label, value]) => {
+    y = ensureSpace(doc, y, 14);
+    y += drawRow(doc, y, totalColumns, ['', label, formatMoney(value)], { bold: label === 'Total' });
+  });
+  y = ensureSpace(doc, y, 20);
+  doc.font('Helvetica-Bold').fontSize(8).text('Amount in words: ' + amountInWords(inv.total, inv.currencycode), PAGE_MARGIN, y + 4, { width: pageWidth });
+  y = doc.y + 10;
+
+  // HSN/SAC summary
+  const hsnColumns = [
+    { width: 83 }, { width: 90, align: 'right' }, { width: 70, align: 'right' }, { width: 70, align: 'right' },
+    { width: 70, align: 'right' }, { width: 60, align: 'right' }, { width: 80, align: 'right' },
+  ];
+  y = ensureSpace(doc, y, 40);
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).lineWidth(0.5).stroke();
+  y += drawRow(doc, y, hsnColumns, ['HSN/SAC', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Cess', 'Total Tax'], { bold: true });
+  hsnSummary.forEach((row) => {
+    y = ensureSpace(doc, y, 14);
+    y += drawRow(doc, y, hsnColumns, [
+      row.hsncode,
+      formatMoney(row.taxable),
+      formatMoney(row.cgst),
+      formatMoney(row.sgst),
+      formatMoney(row.igst),
+      formatMoney(row.cess),
+      formatMoney(row.cgst + row.sgst + row.igst + row.cess),
+    ]);
+  });
+  y += 10;
+
+  // Notes and terms
+  [['Notes', inv.notes], ['Terms & Conditions', inv.tnc]].forEach(([title, text]) => {
+    if (text) {
+      y = ensureSpace(doc, y, 40);
+      doc.font('Helvetica-Bold').fontSize(8).text(title, PAGE_MARGIN, y, { width: pageWidth });
+      doc.font('Helvetica').fontSize(8).text(text, PAGE_MARGIN, doc.y + 2, { width: pageWidth });
+      y = doc.y + 8;
+    }
+  });
+
+  // Signature block
+  y = ensureSpace(doc, y, 50);
+  doc.font('Helvetica-Bold').fontSize(8).text('For ' + (inv.compname || ''), PAGE_MARGIN, y + 6, { width: pageWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(8).text('Authorised Signatory', PAGE_MARGIN, y + 40, { width: pageWidth, align: 'right' });
+}
+
+/**
+ * Function to render an invoice as a PDF.
+ * @param {object} data - The invoice data as returned by getInvoicePrintData.
+ * @param {string[]} copies - The copies to print (original, duplicate, triplicate), one page set each.
+ * @returns {Promise<Buffer>} - A Promise that resolves to the PDF content.
+ */
+function renderInvoicePdf(data, copies) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    copies.forEach((copy) => {
+      doc.addPage();
+      drawInvoiceCopy(doc, data, COPY_LABELS[copy]);
+    });
+    doc.end();
+  });
+}
+
+module.exports = { COPY_LABELS, PAGE_MARGIN, formatMoney, formatDate, amountInWords, drawRow, ensureSpace, getInvoicePrintData, renderInvoicePdf };
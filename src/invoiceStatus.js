@@ -0,0 +1,68 @@
+const { createHttpError } = require('./common');
+
+// Lifecycle states of an invoice, stored in "Invoice".status
+const INVOICE_STATUS = {
+  DRAFT: 'draft',
+  ISSUED: 'issued',
+  PARTPAID: 'partpaid',
+  PAID: 'paid',
+  CANCELLED: 'cancelled',
+};
+
+// Labels shown in reports
+const STATUS_LABELS = {
+  draft: 'Draft',
+  issued: 'Not Paid',
+  partpaid: 'Partially Paid',
+  paid: 'Paid',
+  cancelled: 'Cancelled',
+};
+
+// Transitions that can be requested by a user, partpaid and paid are set from the amount due
+const ALLOWED_TRANSITIONS = {
+  draft: ['issued', 'cancelled'],
+  issued: ['cancelled'],
+  partpaid: [],
+  paid: [],
+  cancelled: [],
+};
+
+// Function to check if the user may move an invoice from one state to another
+function canTransition(from, to) {
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+}
+
+// Function to refuse changes to the items or header of an invoice that is no longer a draft
+function assertEditable(status) {
+  if (status && status !== INVOICE_STATUS.DRAFT) {
+    throw createHttpError(409, `Invoice is ${STATUS_LABELS[status] || status} and cannot be edited, only draft invoices can be changed`);
+  }
+}
+
+// Function to refuse the local cancellation of an invoice registered on the IRP or carrying an e-way bill,
+// it stays valid on the government portals until it is cancelled there, a credit note is raised instead
+function assertCancellable(invoice) {
+  if (invoice.irn) {
+    throw createHttpError(409, 'The invoice has an IRN, it cannot be cancelled here. Cancel the IRN on the IRP (only within 24 hours of its generation) or raise a credit note');
+  }
+  if (invoice.ewbno) {
+    throw createHttpError(409, `The invoice has e-way bill ${invoice.ewbno}, it cannot be cancelled here. Cancel the e-way bill on the portal or raise a credit note`);
+  }
+}
+
+/**
+ * Function to lock an invoice row and make sure it can still be edited.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} invid - The Invoice ID.
+ * @returns {Promise<object>} - The invid, invno and status of the invoice.
+ */
+async function lockEditableInvoice(db, invid) {
+  const { rows } = await db.query('SELECT invid, invno, status FROM "Invoice" WHERE invid = $1 FOR UPDATE', [invid]);
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+  assertEditable(rows[0].status);
+  return rows[0];
+}
+
+module.exports = { INVOICE_STATUS, STATUS_LABELS, canTransition, assertEditable, assertCancellable, lockEditableInvoice };
@@ -0,0 +1,212 @@
+const { createHttpError } = require('./common');
+const { getTaxContext } = require('./taxEngine');
+const { computeLine, summariseTax, computeTotals } = require('./invoiceCalc');
+const { hasAutoInvoiceNumbering, allocateInvoiceNo, ensureUniqueInvNo } = require('./docNumber');
+const { INVOICE_STATUS, assertEditable } = require('./invoiceStatus');
+const { effectiveTaxRateSql } = require('./itemTaxRate');
+
+// Function to run the save of an invoice header, a number taken by a concurrent save breaks the unique index on (compid, invno)
+async function saveHeader(client, query, params, invno) {
+  try {
+    const { rows } = await client.query(query, params);
+    return rows[0].invid;
+  } catch (err) {
+    if (err.code === '23505') {
+      throw createHttpError(409, `Invoice number ${invno} is already used`);
+    }
+    throw err;
+  }
+}
+
+// Function to fetch the taxrate valid on a date, cess, reverse charge and tax inclusive defaults and sellprice of the given items of a company
+async function getItemRates(client, compid, itemids, ratedate) {
+  const query = `
+    SELECT It.itemid, ${effectiveTaxRateSql('It', '$3')} AS taxrate, It.cessrate, It.cessperunit, It.isrcm, It.taxinclusive, It.sellprice
+    FROM "Items" It
+    WHERE It.itemid = ANY($1::int[]) AND It.compid = $2
+  `;
+  const { rows } = await client.query(query, [itemids, compid, ratedate || new Date()]);
+  const rates = {};
+  rows.forEach((row) => {
+    rates[row.itemid] = row;
+  });
+  return rates;
+}
+
+/**
+ * Function to recompute the amount due of an invoice from its total, issued debit and credit notes and adjustments.
+ * Issued invoices move between issued, partpaid and paid according to the amount due.
+ * A credit note on a paid invoice takes the amount due below zero, the negative amount is owed to the customer.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} invid - The Invoice ID.
+ * @returns {Promise<number|null>} - The new amtdue or null if the invoice does not exist.
+ */
+async function refreshInvoiceDue(db, invid) {
+  const query = `
+    WITH due AS (
+      SELECT
+        invid,
+        total + (SELECT COALESCE(SUM(CASE WHEN notetype = 'D' THEN total ELSE -total END), 0) FROM "CrDrNote" WHERE invid = $1 AND status = 'issued') AS gross,
+        (SELECT COALESCE(SUM(adjustamt), 0) FROM Adjustment WHERE invid = $1) AS adjusted
+      FROM "Invoice"
+      WHERE invid = $1
+    )
+    UPDATE "Invoice" I
+    SET
+      amtdue = CASE WHEN I.status = 'cancelled' THEN 0 ELSE due.gross - due.adjusted END,
+      status = CASE
+        WHEN I.status NOT IN ('issued', 'partpaid', 'paid') THEN I.status
+        WHEN due.gross - due.adjusted <= 0 THEN 'paid'
+        WHEN due.adjusted > 0 THEN 'partpaid'
+        ELSE 'issued'
+      END
+    FROM due
+    WHERE I.invid = due.invid
+    RETURNING I.amtdue;
+  `;
+  const { rows } = await db.query(query, [invid]);
+  return rows.length ? Number(rows[0].amtdue) : null;
+}
+
+/**
+ * Function to compute and save an invoice with its items and tax rows.
+ * Must be called with a client inside a transaction, nothing is committed here.
+ * New invoices get the next number of the company's series when numbering is automatic.
+ * Only draft invoices can be updated, pass status 'issued' to issue the invoice with the same call.
+ * When isrcm is not given the invoice is under reverse charge if all its items are.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} invoice - The invoice header with an items array of { itemid, quantity, rate, discount }.
+ * @returns {Promise<object>} - The invid, invno and computed totals.
+ */
+async function saveInvoice(client, invoice) {
+  const { compid, custid, items } = invoice;
+  const invid = invoice.invid ? Number(invoice.invid) : 0;
+  const status = invoice.status === INVOICE_STATUS.ISSUED ? INVOICE_STATUS.ISSUED : INVOICE_STATUS.DRAFT;
+  let invno = invoice.invno;
+
+  if (invid > 0) {
+    const { rows: existing } = await client.query(
+      'SELECT invid, invno, status FROM "Invoice" WHERE invid = $1 AND compid = $2 FOR UPDATE',
+      [invid, compid]
+    );
+    if (existing.length === 0) {
+      throw createHttpError(404, 'Invoice not found');
+    }
+    assertEditable(existing[0].status);
+    // An invoice numbered from the series keeps its number, only manual numbering lets it be changed
+    if (!invno || await hasAutoInvoiceNumbering(client, compid)) {
+      invno = existing[0].invno;
+    }
+  } else {
+    invno = (await allocateInvoiceNo(client, compid, invoice.invdate)) || invno;
+    if (!invno) {
+      throw createHttpError(400, 'Invoice number is required when invoice numbering is manual');
+    }
+  }
+  await ensureUniqueInvNo(client, compid, invno, invid);
+
+  const rates = await getItemRates(client, compid, [...new Set(items.map((line) => Number(line.itemid)))], invoice.invdate);
+  const missing = items.find((line) => !rates[line.itemid]);
+  if (missing) {
+    throw createHttpError(400, `Item ${missing.itemid} not found for the company`);
+  }
+
+  const context = await getTaxContext(client, compid, custid, invoice.shipstateid);
+  const lines = items.map((line) => {
+    const item = rates[line.itemid];
+    const rate = line.rate === undefined || line.rate === null ? item.sellprice : line.rate;
+    return computeLine({ ...line, rate }, item.taxrate, context, item);
+  });
+  const taxRows = summariseTax(lines);
+  const isrcm = typeof invoice.isrcm === 'boolean'
+    ? invoice.isrcm
+    : items.length > 0 && items.every((line) => rates[line.itemid].isrcm === true);
+  const totals = computeTotals(lines, { ...invoice, isrcm });
+  const updon = new Date();
+
+  const headerParams = [
+    invno,
+    invoice.invdate,
+    invoice.shipcountryid,
+    invoice.shipstateid,
+    invoice.shipstreet1,
+    invoice.shipstreet2,
+    invoice.shipcity,
+    invoice.shippin,
+    invoice.ordno,
+    invoice.paytermid,
+    invoice.duedate,
+    invoice.subject,
+    invoice.notes,
+    invoice.tnc,
+    totals.stot,
+    totals.tdsamount,
+    totals.roundoff,
+    totals.total,
+    totals.cgst,
+    totals.sgst,
+    totals.igst,
+    invoice.currencycode,
+    invoice.userid,
+    compid,
+    custid,
+    updon,
+    status,
+    totals.cess,
+    isrcm,
+  ];
+
+  let savedId;
+  if (invid > 0) {
+    const updateQuery = `
+      UPDATE "Invoice"
+      SET
+        invno = $1, invdate = $2, shipcountryid = $3, shipstateid = $4, shipstreet1 = $5,
+        shipstreet2 = $6, shipcity = $7, shippin = $8, ordno = $9, termid = $10, duedate = $11,
+        subject = $12, notes = $13, tnc = $14, stot = $15, tdsamount = $16, roundoff = $17,
+        total = $18, cgst = $19, sgst = $20, igst = $21, currencycode = $22, userid = $23,
+        compid = $24, custid = $25, updon = $26, status = $27, cess = $28, isrcm = $29,
+        issuedon = CASE WHEN $27 = 'issued' THEN $26 ELSE NULL END
+      WHERE invid = $30
+      RETURNING invid;
+    `;
+    savedId = await saveHeader(client, updateQuery, [...headerParams, invid], invno);
+
+    await client.query('DELETE FROM "InvoiceItem" WHERE invoiceid = $1', [savedId]);
+    await client.query('DELETE FROM "InvoiceTax" WHERE invid = $1', [savedId]);
+    await refreshInvoiceDue(client, savedId);
+  } else {
+    const insertQuery = `
+      INSERT INTO "Invoice"
+      (invno, invdate, shipcountryid, shipstateid, shipstreet1, shipstreet2, shipcity, shippin, ordno, termid, duedate, subject, notes, tnc, stot, tdsamount, roundoff, total, cgst, sgst, igst, amtdue, currencycode, userid, compid, custid, updon, status, cess, isrcm, issuedon)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $18, $22, $23, $24, $25, $26, $27, $28, $29, CASE WHEN $27 = 'issued' THEN $26 ELSE NULL END)
+      RETURNING invid;
+    `;
+    savedId = await saveHeader(client, insertQuery, headerParams, invno);
+  }
+
+  const insertItemQuery = `
+    INSERT INTO "InvoiceItem" (invoiceid, itemid, quantity, rate, amount, discount, cgstper, sgstper, igstper, cessper, cess, taxtotal, total,
+      taxinclusive, taxable, cgst, sgst, igst)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+  `;
+  for (const line of lines) {
+    await client.query(insertItemQuery, [
+      savedId, line.itemid, line.quantity, line.rate, line.amount, line.discount,
+      line.cgstper, line.sgstper, line.igstper, line.cessper, line.cess, line.taxtotal, line.total,
+      line.taxinclusive, line.taxable, line.cgst, line.sgst, line.igst,
+    ]);
+  }
+
+  const insertTaxQuery = `
+    INSERT INTO "InvoiceTax" (invid, sr, percentage, cgst, sgst, igst, cess)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `;
+  for (const [index, row] of taxRows.entries()) {
+    await client.query(insertTaxQuery, [savedId, index + 1, row.percentage, row.cgst, row.sgst, row.igst, row.cess]);
+  }
+
+  return { invid: savedId, invno, status, isrcm, ...totals };
+}
+
+module.exports = { getItemRates, refreshInvoiceDue, saveInvoice };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createHttpError } = require('./common');
+const { fiscalStartYear } = require('./docNumber');
+
+/*
+IRP_MODE selects the client used to register e-invoices, there is no default:
+  live - the IRP or a GSP reached at IRP_URL with the credentials below
+  mock - a local stand-in that answers like the IRP without calling it, for development only as its IRNs are not real
+*/
+const irpMode = process.env.IRP_MODE;
+const irpURL = process.env.IRP_URL;
+const irpClientId = process.env.IRP_CLIENT_ID;
+const irpClientSecret = process.env.IRP_CLIENT_SECRET;
+const irpUser = process.env.IRP_USERNAME;
+const irpPass = process.env.IRP_PASSWORD;
+
+// Function to encode a JSON object as base64url, as used in the signed invoice and QR
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Function to format a date as YYYY-MM-DD HH:mm:ss, the format of the acknowledgement date
+function formatAckDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Function to create a client that answers like the IRP, used for development.
+ * The IRN is the SHA-256 of seller GSTIN, fiscal year, document type and number, the same as the IRP.
+ * @returns {object} - A client with generateIrn(payload).
+ */
+function createMockIrpClient() {
+  const secret = 'mock-irp';
+  const sign = (payload) => {
+    const header = base64url({ alg: 'HS256', kid: 'MOCK', typ: 'JWT' });
+    const body = base64url({ data: JSON.stringify(payload), iss: 'NIC' });
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  };
+
+  return {
+    mode: 'mock',
+    async generateIrn(payload) {
+      const [day, month, year] = payload.DocDtls.Dt.split('/').map(Number);
+      const fyStart = fiscalStartYear(new Date(year, month - 1, day), 4);
+      const fy = `${fyStart}-${String(fyStart + 1).slice(-2)}`;
+      const irn = crypto.createHash('sha256')
+        .update(payload.SellerDtls.Gstin + fy + payload.DocDtls.Typ + payload.DocDtls.No)
+        .digest('hex');
+      const now = new Date();
+      const ackDt = formatAckDate(now);
+
+      return {
+        irn,
+        ackno: String(now.getTime()).padStart(15, '1').slice(-15),
+        ackdate: ackDt,
+        signedinvoice: sign(payload),
+        signedqr: sign({
+          SellerGstin: payload.SellerDtls.Gstin,
+          BuyerGstin: payload.BuyerDtls.Gstin,
+          DocNo: payload.DocDtls.No,
+          DocTyp: payload.DocDtls.Typ,
+          DocDt: payload.DocDtls.Dt,
+          TotInvVal: payload.ValDtls.TotInvVal,
+          ItemCnt: payload.ItemList.length,
+          MainHsnCode: payload.ItemList[0].HsnCd,
+          Irn: irn,
+          IrnDt: ackDt,
+        }),
+      };
+    },
+  };
+}
+
+/**
+ * Function to create a client that registers e-invoices with the IRP through IRP_URL.
+ * @param {string} gstin - The GSTIN of the seller.
+ * @returns {object} - A client with generateIrn(payload).
+ */
+function createLiveIrpClient(gstin) {
+  if (!irpURL) {
+    throw createHttpError(500, 'IRP_URL is not configured');
+  }
+
+  return {
+    mode: 'live',
+    async generateIrn(payload) {
+      let response;
+      try {
+        response = await axios.post(`${irpURL}/eicore/v1.03/Invoice`, payload, {
+          headers: {
+            client_id: irpClientId,
+            client_secret: irpClientSecret,
+            user_name: irpUser,
+            password: irpPass,
+            Gstin: gstin,
+            'Content-Type': 'application/json',
+          },
+          timeout: 30000,
+        });
+      } catch (err) {
+        console.error(err);
+        throw createHttpError(502, 'Could not reach the IRP, try again later');
+      }
+
+      const result = response.data || {};
+      if (String(result.Status) !== '1') {
+        const messages = (result.ErrorDetails || []).map((e) => `${e.ErrorCode}: ${e.ErrorMessage}`);
+        throw createHttpError(422, 'IRP rejected the e-invoice. ' + (messages.join('; ') || 'No error details'));
+      }
+
+      const data = typeof result.Data === 'string' ? JSON.parse(result.Data) : result.Data;
+      return {
+        irn: data.Irn,
+        ackno: String(data.AckNo),
+        ackdate: data.AckDt,
+        signedinvoice: data.SignedInvoice,
+        signedqr: data.SignedQRCode,
+      };
+    },
+  };
+}
+
+// Function to get the IRP client for a seller, refused when IRP_MODE is not set so no invoice gets a made-up IRN
+function getIrpClient(gstin) {
+  if (irpMode === 'live') {
+    return createLiveIrpClient(gstin);
+  }
+  if (irpMode === 'mock') {
+    return createMockIrpClient();
+  }
+  throw createHttpError(500, 'E-invoicing is not configured, set IRP_MODE to live');
+}
+
+module.exports = { createMockIrpClient, createLiveIrpClient, getIrpClient };
@@ -0,0 +1,68 @@
+/**
+ * Function to build the SQL expression of the tax rate of an item valid on a date.
+ * The history row with the latest effectivefrom on or before the date wins, the row without effectivefrom is
+ * the rate the item had before its first change. Items without history use "Items".taxrate.
+ * @param {string} alias - Alias of the "Items" table in the query.
+ * @param {string} dateParam - The query parameter of the date, e.g. $3.
+ * @returns {string} - The SQL expression.
+ */
+function effectiveTaxRateSql(alias, dateParam) {
+  return `COALESCE((
+      SELECT R.taxrate FROM "ItemTaxRate" R
+      WHERE R.itemid = ${alias}.itemid AND (R.effectivefrom IS NULL OR R.effectivefrom <= ${dateParam}::date)
+      ORDER BY R.effectivefrom DESC NULLS LAST
+      LIMIT 1
+    ), ${alias}.taxrate)`;
+}
+
+// Function to fetch the tax rate of an item valid on a date, null when the item does not exist
+async function getEffectiveTaxRate(db, itemid, date) {
+  const { rows } = await db.query(
+    `SELECT ${effectiveTaxRateSql('It', '$2')} AS taxrate FROM "Items" It WHERE It.itemid = $1`,
+    [itemid, date || new Date()]
+  );
+  return rows.length ? Number(rows[0].taxrate) : null;
+}
+
+/**
+ * Function to record a change of the tax rate of items from a date, today or later for a scheduled change.
+ * The first change of an item keeps its rate until then as the row without effectivefrom, so invoices dated
+ * before the change keep their rate. A second change on the same date replaces the first one.
+ * "Items".taxrate is only moved to the new rate when the change is already in effect.
+ * @param {object} db - The client of the transaction.
+ * @param {number[]} itemids - The items whose rate changes.
+ * @param {number} taxrate - The new tax rate.
+ * @param {string} effectivefrom - The first day of the new rate.
+ * @param {number} userid - The user making the change.
+ * @returns {Promise<number>} - The number of items changed.
+ */
+async function recordTaxRateChange(db, itemids, taxrate, effectivefrom, userid) {
+  if (itemids.length === 0) {
+    return 0;
+  }
+
+  await db.query(
+    `INSERT INTO "ItemTaxRate" (itemid, taxrate, effectivefrom, userid, updon)
+     SELECT It.itemid, It.taxrate, NULL, $2, NOW()
+     FROM "Items" It
+     WHERE It.itemid = ANY($1::int[])
+       AND NOT EXISTS (SELECT 1 FROM "ItemTaxRate" R WHERE R.itemid = It.itemid)`,
+    [itemids, userid]
+  );
+
+  const { rowCount } = await db.query(
+    `INSERT INTO "ItemTaxRate" (itemid, taxrate, effectivefrom, userid, updon)
+     SELECT itemid, $2, $3::date, $4, NOW() FROM UNNEST($1::int[]) AS itemid
+     ON CONFLICT (itemid, effectivefrom) DO UPDATE SET taxrate = EXCLUDED.taxrate, userid = EXCLUDED.userid, updon = NOW()`,
+    [itemids, taxrate, effectivefrom, userid]
+  );
+
+  // "Items".taxrate follows a change once it is in effect, a scheduled change stays in the history until its date
+  await db.query(
+    'UPDATE "Items" SET taxrate = $2, updon = NOW() WHERE itemid = ANY($1::int[]) AND $3::date <= CURRENT_DATE',
+    [itemids, taxrate, effectivefrom]
+  );
+  return rowCount;
+}
+
+module.exports = { effectiveTaxRateSql, getEffectiveTaxRate, recordTaxRateChange };
@@ -0,0 +1,148 @@
+const { round2, createHttpError } = require('./common');
+const { refreshInvoiceDue } = require('./invoiceStore');
+const { assertPaymentActive } = require('./paymentStatus');
+
+// Function to recompute the unadjusted amount of a customer from the unadjusted amounts of its payments
+async function refreshCustomerUnadjusted(db, custid) {
+  await db.query(
+    'UPDATE "Customer" SET unadjamt = (SELECT COALESCE(SUM(unadjustamt), 0) FROM Payments WHERE custid = $1) WHERE custid = $1',
+    [custid]
+  );
+}
+
+/**
+ * Function to plan how a payment is applied to open invoices.
+ * Without allocations the amount goes to the invoices in the given order (oldest due date first) until it runs out.
+ * With allocations each { invid, amount } is applied as given and must not exceed the invoice's amount due.
+ * @param {number} available - The unadjusted amount of the payment.
+ * @param {object[]} invoices - Open invoices with invid and amtdue, in FIFO order.
+ * @param {object[]} [allocations] - Explicit { invid, amount } list.
+ * @returns {object[]} - The { invid, amount } to adjust, only invoices that get an amount.
+ */
+function planAllocation(available, invoices, allocations) {
+  if (!allocations) {
+    const plan = [];
+    let remaining = round2(available);
+    for (const invoice of invoices) {
+      if (remaining <= 0) {
+        break;
+      }
+      const amount = round2(Math.min(remaining, Number(invoice.amtdue)));
+      if (amount > 0) {
+        plan.push({ invid: invoice.invid, amount });
+        remaining = round2(remaining - amount);
+      }
+    }
+    return plan;
+  }
+
+  const seen = new Set();
+  const plan = allocations.map((allocation) => {
+    const invid = Number(allocation.invid);
+    const amount = round2(Number(allocation.amount));
+    if (!Number.isInteger(invid) || !Number.isFinite(amount) || amount <= 0) {
+      throw createHttpError(400, 'Each allocation needs an invid and an amount greater than zero');
+    }
+    if (seen.has(invid)) {
+      throw createHttpError(400, `Invoice ${invid} is allocated more than once`);
+    }
+    seen.add(invid);
+
+    const invoice = invoices.find((row) => Number(row.invid) === invid);
+    if (!invoice) {
+      throw createHttpError(400, `Invoice ${invid} is not an open invoice of the customer in the payment currency`);
+    }
+    if (amount > Number(invoice.amtdue)) {
+      throw createHttpError(409, `Allocation of ${amount} to invoice ${invoice.invno} exceeds its amount due of ${Number(invoice.amtdue)}`);
+    }
+    return { invid: invoice.invid, amount };
+  });
+
+  const total = round2(plan.reduce((sum, row) => sum + row.amount, 0));
+  if (total > round2(available)) {
+    throw createHttpError(409, `Allocations of ${total} exceed the unadjusted amount of the payment of ${round2(available)}`);
+  }
+  return plan;
+}
+
+/**
+ * Function to apply a payment to the open invoices of its customer.
+ * Must be called with a client inside a transaction. The payment and the invoices are locked, adjustments are
+ * added (to an existing adjustment of the same payment and invoice when there is one), and the amount due of the
+ * invoices, the unadjusted amount of the payment and of the customer are updated.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} request - payid, compid, userid and optionally allocations ({ invid, amount }).
+ * @returns {Promise<object>} - payid, custid, allocated, unadjustamt and the adjustments made.
+ */
+async function allocatePayment(client, request) {
+  const { payid, compid, userid, allocations } = request;
+
+  const { rows: payments } = await client.query(
+    `SELECT P.payid, P.custid, P.currencycode, P.status, COALESCE(P.unadjustamt, 0) AS unadjustamt
+     FROM Payments P
+       JOIN "Customer" C ON P.custid = C.custid
+     WHERE P.payid = $1 AND C.compid = $2
+     FOR UPDATE OF P`,
+    [payid, compid]
+  );
+  if (payments.length === 0) {
+    throw createHttpError(404, 'Payment not found');
+  }
+  const payment = payments[0];
+  assertPaymentActive(payment.status);
+  const available = round2(Number(payment.unadjustamt));
+  if (available <= 0) {
+    throw createHttpError(409, 'The payment has no unadjusted amount left to allocate');
+  }
+
+  // Oldest due date first, invoices without due date by invoice date
+  const { rows: invoices } = await client.query(
+    `SELECT invid, invno, invdate, duedate, amtdue
+     FROM "Invoice"
+     WHERE custid = $1 AND compid = $2 AND status IN ('issued', 'partpaid') AND amtdue > 0
+       AND ($3::text IS NULL OR currencycode IS NULL OR currencycode = $3)
+     ORDER BY COALESCE(duedate, invdate), invdate, invid
+     FOR UPDATE`,
+    [payment.custid, compid, payment.currencycode || null]
+  );
+
+  const plan = planAllocation(available, invoices, allocations);
+  if (plan.length === 0) {
+    throw createHttpError(409, 'The customer has no open invoices to allocate the payment to');
+  }
+
+  const updon = new Date();
+  const adjustments = [];
+  for (const { invid, amount } of plan) {
+    const { rowCount } = await client.query(
+      `UPDATE Adjustment SET adjustamt = adjustamt + $3, userid = $4, updon = $5 WHERE invid = $1 AND payid = $2 AND adjtype = 'P'`,
+      [invid, payid, amount, userid, updon]
+    );
+    if (rowCount === 0) {
+      await client.query(
+        'INSERT INTO Adjustment (invid, payid, adjustamt, compid, userid, updon) VALUES ($1, $2, $3, $4, $5, $6)',
+        [invid, payid, amount, compid, userid, updon]
+      );
+    }
+    const amtdue = await refreshInvoiceDue(client, invid);
+    const invoice = invoices.find((row) => row.invid === invid);
+    adjustments.push({ invid, invno: invoice.invno, adjustamt: amount, amtdue });
+  }
+
+  const allocated = round2(plan.reduce((sum, row) => sum + row.amount, 0));
+  const { rows: updated } = await client.query(
+    'UPDATE Payments SET unadjustamt = unadjustamt - $2, userid = $3, updon = $4 WHERE payid = $1 RETURNING unadjustamt',
+    [payid, allocated, userid, updon]
+  );
+  await refreshCustomerUnadjusted(client, payment.custid);
+
+  return {
+    payid: payment.payid,
+    custid: payment.custid,
+    allocated,
+    unadjustamt: Number(updated[0].unadjustamt),
+    adjustments,
+  };
+}
+
+module.exports = { planAllocation, allocatePayment, refreshCustomerUnadjusted };
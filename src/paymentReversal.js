@@ -0,0 +1,122 @@
+const { round2, createHttpError } = require('./common');
+const { refreshInvoiceDue } = require('./invoiceStore');
+const { refreshCustomerUnadjusted } = require('./paymentAllocation');
+const { REVERSAL_TYPE, assertPaymentActive } = require('./paymentStatus');
+const { ADJUSTMENT_TYPE } = require('./settlement');
+
+// Function to lock a payment of a company for the rest of the transaction
+async function lockPayment(client, payid, compid) {
+  const { rows } = await client.query(
+    `SELECT P.payid, P.custid, P.status, COALESCE(P.payamount, 0) AS payamount, COALESCE(P.unadjustamt, 0) AS unadjustamt
+     FROM Payments P
+       JOIN "Customer" C ON P.custid = C.custid
+     WHERE P.payid = $1 AND C.compid = $2
+     FOR UPDATE OF P`,
+    [payid, compid]
+  );
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Payment not found');
+  }
+  assertPaymentActive(rows[0].status);
+  return rows[0];
+}
+
+/**
+ * Function to reverse a whole payment, e.g. a bounced cheque.
+ * Must be called with a client inside a transaction. The adjustments of the payment and the settlement discounts
+ * granted with it are removed and the amount due of their invoices recomputed, write-offs stay. The payment gets the
+ * status of the reversal and no unadjusted amount, and the reversal with its charges is recorded for the customer ledger.
+ * Payments with refunds cannot be reversed, the refunded amount was already paid back.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} reversal - payid, compid, revtype (bounced or reversed), revdate, charges, reason and userid.
+ * @returns {Promise<object>} - reversalid, payid, custid, revtype, amount, charges and the unwound adjustments and discounts.
+ */
+async function reversePayment(client, reversal) {
+  const { payid, compid, revtype, revdate, reason, userid } = reversal;
+  const charges = round2(Number(reversal.charges || 0));
+  const payment = await lockPayment(client, payid, compid);
+
+  const { rows: refunds } = await client.query(
+    'SELECT COUNT(*) AS count FROM "PaymentReversal" WHERE payid = $1 AND revtype = $2',
+    [payid, REVERSAL_TYPE.REFUND]
+  );
+  if (Number(refunds[0].count) > 0) {
+    throw createHttpError(409, 'Payment has refunds and cannot be reversed');
+  }
+
+  const { rows: adjusted } = await client.query(
+    `DELETE FROM Adjustment A
+     USING "Invoice" I
+     WHERE A.invid = I.invid AND A.payid = $1 AND A.adjtype IN ($2, $3)
+     RETURNING A.invid, I.invno, A.adjustamt, A.adjtype`,
+    [payid, ADJUSTMENT_TYPE.PAYMENT, ADJUSTMENT_TYPE.DISCOUNT]
+  );
+  const unwound = [];
+  for (const row of adjusted) {
+    const amtdue = await refreshInvoiceDue(client, row.invid);
+    unwound.push({ invid: row.invid, invno: row.invno, adjtype: row.adjtype, adjustamt: Number(row.adjustamt), amtdue });
+  }
+
+  const updon = new Date();
+  await client.query(
+    'UPDATE Payments SET status = $2, unadjustamt = 0, userid = $3, updon = $4 WHERE payid = $1',
+    [payid, revtype, userid, updon]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO "PaymentReversal" (payid, compid, custid, revtype, revdate, amount, charges, reason, userid, updon)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING reversalid`,
+    [payid, compid, payment.custid, revtype, revdate, payment.payamount, charges, reason || null, userid, updon]
+  );
+  await refreshCustomerUnadjusted(client, payment.custid);
+
+  return {
+    reversalid: rows[0].reversalid,
+    payid: payment.payid,
+    custid: payment.custid,
+    revtype,
+    amount: Number(payment.payamount),
+    charges,
+    unwound,
+  };
+}
+
+/**
+ * Function to refund part or all of the unadjusted advance of a payment to the customer.
+ * Must be called with a client inside a transaction. Amounts already adjusted against invoices cannot be refunded.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} refund - payid, compid, amount, revdate, paymodeid, refno, reason and userid.
+ * @returns {Promise<object>} - reversalid, payid, custid, amount and the unadjusted amount left.
+ */
+async function refundPayment(client, refund) {
+  const { payid, compid, revdate, paymodeid, refno, reason, userid } = refund;
+  const amount = round2(Number(refund.amount));
+  const payment = await lockPayment(client, payid, compid);
+
+  if (amount > round2(Number(payment.unadjustamt))) {
+    throw createHttpError(409, `Refund of ${amount} exceeds the unadjusted advance of the payment of ${round2(Number(payment.unadjustamt))}`);
+  }
+
+  const updon = new Date();
+  const { rows: updated } = await client.query(
+    'UPDATE Payments SET unadjustamt = unadjustamt - $2, userid = $3, updon = $4 WHERE payid = $1 RETURNING unadjustamt',
+    [payid, amount, userid, updon]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO "PaymentReversal" (payid, compid, custid, revtype, revdate, amount, charges, paymodeid, refno, reason, userid, updon)
+     VALUES ($1, $2, $3, $4, $5, $6, 0, $7, $8, $9, $10, $11)
+     RETURNING reversalid`,
+    [payid, compid, payment.custid, REVERSAL_TYPE.REFUND, revdate, amount, paymodeid || null, refno || null, reason || null, userid, updon]
+  );
+  await refreshCustomerUnadjusted(client, payment.custid);
+
+  return {
+    reversalid: rows[0].reversalid,
+    payid: payment.payid,
+    custid: payment.custid,
+    amount,
+    unadjustamt: Number(updated[0].unadjustamt),
+  };
+}
+
+module.exports = { reversePayment, refundPayment };
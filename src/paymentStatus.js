@@ -0,0 +1,24 @@
+const { createHttpError } = require('./common');
+
+// States of a payment, stored in Payments.status
+const PAYMENT_STATUS = {
+  RECEIVED: 'received',
+  BOUNCED: 'bounced',
+  REVERSED: 'reversed',
+};
+
+// Entries of PaymentReversal: a bounced cheque, any other reversal of the whole payment, or a refund of part of its advance
+const REVERSAL_TYPE = {
+  BOUNCED: 'bounced',
+  REVERSED: 'reversed',
+  REFUND: 'refund',
+};
+
+// Function to refuse changes to a payment that has been bounced or reversed
+function assertPaymentActive(status) {
+  if (status && status !== PAYMENT_STATUS.RECEIVED) {
+    throw createHttpError(409, `Payment is ${status} and cannot be changed`);
+  }
+}
+
+module.exports = { PAYMENT_STATUS, REVERSAL_TYPE, assertPaymentActive };
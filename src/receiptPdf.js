@@ -0,0 +1,259 @@
+const PDFDocument = require('pdfkit');
+const { round2, createHttpError } = require('./common');
+const { allocateSeriesNo } = require('./docNumber');
+const { PAGE_MARGIN, formatMoney, formatDate, amountInWords, drawRow, ensureSpace } = require('./invoicePdf');
+const { PAYMENT_STATUS } = require('./paymentStatus');
+
+/**
+ * Function to give a payment its receipt number from the RC series the first time a receipt is made.
+ * Only received payments are numbered, a bounced or reversed payment without a number is printed void without one.
+ * Must be called inside a transaction, the payment stays locked until it ends.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {number} payid - The Payment ID.
+ * @returns {Promise<object|null>} - The receiptno (null for a void payment never numbered) and status, null when the payment does not exist.
+ */
+async function ensureReceiptNo(client, payid) {
+  const { rows } = await client.query(
+    `SELECT P.receiptno, COALESCE(P.status, 'received') AS status, COALESCE(P.paydate, P.updon) AS paydate, C.compid
+     FROM Payments P
+       JOIN "Customer" C ON P.custid = C.custid
+     WHERE P.payid = $1
+     FOR UPDATE OF P`,
+    [payid]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const { status } = rows[0];
+  if (rows[0].receiptno || status !== PAYMENT_STATUS.RECEIVED) {
+    return { receiptno: rows[0].receiptno, status };
+  }
+
+  const receiptno = await allocateSeriesNo(client, rows[0].compid, 'RC', rows[0].paydate || new Date());
+  await client.query('UPDATE Payments SET receiptno = $2 WHERE payid = $1', [payid, receiptno]);
+  return { receiptno, status };
+}
+
+/**
+ * Function to fetch everything needed to print the receipt of a payment.
+ * @param {object} db - The pool or client used to run the queries.
+ * @param {number} payid - The Payment ID.
+ * @returns {Promise<object|null>} - The payment header, the invoices it was adjusted against, the discount granted with it and its refunds, or null if not found.
+ */
+async function getReceiptPrintData(db, payid) {
+  const headerQuery = `
+    SELECT
+      P.payid, P.receiptno, COALESCE(P.paydate, P.updon) AS paydate, COALESCE(P.payamount, 0) AS payamount,
+      COALESCE(P.unadjustamt, 0) AS unadjustamt, P.currencycode, P.payrefid, P.tdsdeducted, P.remarks, P.status,
+      PM.paymodename,
+      C.custname, C.email AS custemail, C.gstno AS custgstno, C.billstreet1, C.billstreet2, C.billcity, C.billpin,
+      S1.statename AS billstate,
+      CM.compname, CM.gstno AS compgstno, CM.street1 AS compstreet1, CM.street2 AS compstreet2, CM.city AS compcity,
+      CM.pincode AS comppin, CS.statename AS compstate, CM.phone AS compphone, CM.email AS compemail, CM.logo
+    FROM Payments P
+      JOIN "Customer" C ON P.custid = C.custid
+      JOIN "Company" CM ON C.compid = CM.compid
+      LEFT JOIN "PayMode" PM ON P.paymodeid = PM.paymodeid
+      LEFT JOIN "States" S1 ON C.billstateid = S1.stateid
+      LEFT JOIN "States" CS ON CM.stateid = CS.stateid
+    WHERE P.payid = $1
+  `;
+  const { rows: headerRows } = await db.query(headerQuery, [payid]);
+  if (headerRows.length === 0) {
+    return null;
+  }
+  const header = headerRows[0];
+
+  const invoicesQuery = `
+    SELECT I.invid, I.invno, I.invdate, I.total, COALESCE(I.tdsamount, 0) AS tdsamount, I.amtdue, A.adjustamt
+    FROM Adjustment A
+      JOIN "Invoice" I ON A.invid = I.invid
+    WHERE A.payid = $1 AND A.adjtype = 'P'
+    ORDER BY I.invdate, I.invid
+  `;
+  const { rows: invoiceRows } = await db.query(invoicesQuery, [payid]);
+
+  // Settlement discounts granted with the payment close invoices without cash
+  const { rows: discountRows } = await db.query(
+    `SELECT COALESCE(SUM(adjustamt), 0) AS discount FROM Adjustment WHERE payid = $1 AND adjtype = 'D'`,
+    [payid]
+  );
+
+  const { rows: refundRows } = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS refunded FROM "PaymentReversal" WHERE payid = $1 AND revtype = 'refund'`,
+    [payid]
+  );
+
+  const invoices = invoiceRows.map((row) => ({
+    ...row,
+    total: round2(row.total),
+    tdsamount: round2(row.tdsamount),
+    amtdue: round2(row.amtdue),
+    adjustamt: round2(row.adjustamt),
+  }));
+  return {
+    header,
+    invoices,
+    adjusted: round2(invoices.reduce((sum, row) => sum + row.adjustamt, 0)),
+    // TDS the customer deducted on the invoices settled by this payment
+    tds: header.tdsdeducted ? round2(invoices.reduce((sum, row) => sum + row.tdsamount, 0)) : 0,
+    discount: round2(discountRows[0].discount),
+    refunded: round2(refundRows[0].refunded),
+  };
+}
+
+// Function to draw the receipt on the current page
+function drawReceipt(doc, data) {
+  const { header: pay, invoices } = data;
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  // Company header with logo
+  let textX = PAGE_MARGIN;
+  if (pay.logo) {
+    try {
+      doc.image(pay.logo, PAGE_MARGIN, y, { fit: [60, 60] });
+      textX += 70;
+    } catch (err) {
+      console.error('Error drawing company logo:', err.message);
+    }
+  }
+  doc.font('Helvetica-Bold').fontSize(14).text(pay.compname || '', textX, y, { width: pageWidth - (textX - PAGE_MARGIN) });
+  doc.font('Helvetica').fontSize(8).text([
+    [pay.compstreet1, pay.compstreet2].filter((s) => s).join(', '),
+    [pay.compcity, pay.compstate, pay.comppin].filter((s) => s).join(', '),
+    [pay.compphone ? 'Phone: ' + pay.compphone : '', pay.compemail ? 'Email: ' + pay.compemail : ''].filter((s) => s).join('  '),
+    pay.compgstno ? 'GSTIN: ' + pay.compgstno : '',
+  ].filter((s) => s).join('\n'), textX, doc.y + 2, { width: pageWidth - (textX - PAGE_MARGIN) });
+  y = Math.max(doc.y, y + 60) + 8;
+
+  doc.font('Helvetica-Bold').fontSize(12).text('PAYMENT RECEIPT', PAGE_MARGIN, y, { width: pageWidth, align: 'center' });
+  y = doc.y + 4;
+  if (pay.status && pay.status !== PAYMENT_STATUS.RECEIVED) {
+    doc.font('Helvetica-Bold').fontSize(10).text(`Payment ${pay.status}, this receipt is void`, PAGE_MARGIN, y, { width: pageWidth, align: 'center' });
+    y = doc.y + 4;
+  }
+  y += 4;
+
+  // Receipt particulars and the customer
+  const half = pageWidth / 2;
+  doc.font('Helvetica').fontSize(8).text([
+    'Receipt No: ' + (pay.receiptno || ''),
+    'Receipt Date: ' + formatDate(pay.paydate),
+    pay.paymodename ? 'Payment Mode: ' + pay.paymodename : '',
+    pay.payrefid ? 'Reference: ' + pay.payrefid : '',
+  ].filter((s) => s).join('\n'), PAGE_MARGIN, y, { width: half });
+  const leftEnd = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).text('Received From', PAGE_MARGIN + half, y, { width: half - 10 });
+  doc.font('Helvetica').fontSize(8).text([
+    pay.custname,
+    [pay.billstreet1, pay.billstreet2].filter((s) => s).join(', '),
+    [pay.billcity, pay.billstate, pay.billpin].filter((s) => s).join(', '),
+    pay.custgstno ? 'GSTIN: ' + pay.custgstno : '',
+  ].filter((s) => s).join('\n'), PAGE_MARGIN + half, doc.y + 2, { width: half - 10 });
+  y = Math.max(leftEnd, doc.y) + 10;
+
+  doc.font('Helvetica').fontSize(9).text(
+    `Received with thanks ${pay.currencycode || 'INR'} ${formatMoney(pay.payamount)} (${amountInWords(pay.payamount, pay.currencycode)}).`,
+    PAGE_MARGIN, y, { width: pageWidth }
+  );
+  y = doc.y + 10;
+
+  // Invoices the payment was adjusted against
+  if (invoices.length > 0) {
+    const invoiceColumns = [
+      { width: 22 }, { width: 120 }, { width: 70 }, { width: 90, align: 'right' }, { width: 70, align: 'right' },
+      { width: 75, align: 'right' }, { width: 76, align: 'right' },
+    ];
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).lineWidth(0.5).stroke();
+    y += drawRow(doc, y, invoiceColumns, ['#', 'Invoice No', 'Invoice Date', 'Invoice Total', 'TDS', 'Amount Adjusted', 'Balance Due'], { bold: true });
+    invoices.forEach((row, index) => {
+      y = ensureSpace(doc, y, 14);
+      y += drawRow(doc, y, invoiceColumns, [
+        index + 1,
+        row.invno,
+        formatDate(row.invdate),
+        formatMoney(row.total),
+        formatMoney(row.tdsamount),
+        formatMoney(row.adjustamt),
+        formatMoney(row.amtdue),
+      ]);
+    });
+    y += 8;
+  }
+
+  // Totals
+  const totals = [
+    ['Amount Received', data.header.payamount],
+    ['TDS Deducted', data.tds],
+    ['Adjusted against Invoices', data.adjusted],
+    ['Settlement Discount', data.discount],
+    ['Refunded', data.refunded],
+    ['Unadjusted Balance', data.header.unadjustamt],
+  ].filter(([label, value]) => ['Amount Received', 'Unadjusted Balance'].includes(label) || Number(value || 0) !== 0);
+  const totalColumns = [{ width: pageWidth - 200 }, { width: 120, align: 'right' }, { width: 80, align: 'right' }];
+  totals.forEach(([label, value]) => {
+    y = ensureSpace(doc, y, 14);
+    y += drawRow(doc, y, totalColumns, ['', label, formatMoney(value)], { bold: label === 'Amount Received' });
+  });
+  y += 8;
+
+  if (pay.remarks) {
+    y = ensureSpace(doc, y, 30);
+    doc.font('Helvetica-Bold').fontSize(8).text('Remarks', PAGE_MARGIN, y, { width: pageWidth });
+    doc.font('Helvetica').fontSize(8).text(pay.remarks, PAGE_MARGIN, doc.y + 2, { width: pageWidth });
+    y = doc.y + 8;
+  }
+
+  // Signature block
+  y = ensureSpace(doc, y, 50);
+  doc.font('Helvetica-Bold').fontSize(8).text('For ' + (pay.compname || ''), PAGE_MARGIN, y + 6, { width: pageWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(8).text('Authorised Signatory', PAGE_MARGIN, y + 40, { width: pageWidth, align: 'right' });
+}
+
+/**
+ * Function to render the receipt of a payment as a PDF.
+ * @param {object} data - The receipt data as returned by getReceiptPrintData.
+ * @returns {Promise<Buffer>} - A Promise that resolves to the PDF content.
+ */
+function renderReceiptPdf(data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawReceipt(doc, data);
+    doc.end();
+  });
+}
+
+/**
+ * Function to number a payment if needed and build its receipt.
+ * @param {object} pool - The pool, a client is taken for the numbering transaction.
+ * @param {number} payid - The Payment ID.
+ * @returns {Promise<object>} - The receipt data and the PDF.
+ */
+async function buildReceipt(pool, payid) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const receipt = await ensureReceiptNo(client, payid);
+    if (!receipt) {
+      throw createHttpError(404, 'Payment not found');
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const data = await getReceiptPrintData(pool, payid);
+  const pdf = await renderReceiptPdf(data);
+  return { data, pdf };
+}
+
+module.exports = { ensureReceiptNo, getReceiptPrintData, renderReceiptPdf, buildReceipt };
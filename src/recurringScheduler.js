@@ -0,0 +1,250 @@
+const pool = require('../db');
+const { writeToUserLog, sendEmail } = require('./common');
+const { saveInvoice } = require('./invoiceStore');
+const { hasAutoInvoiceNumbering } = require('./docNumber');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+const { getInvoicePrintData, renderInvoicePdf } = require('./invoicePdf');
+
+// Frequencies of a recurring profile, in months except for weekly
+const FREQUENCIES = {
+  W: { label: 'Weekly', weeks: 1 },
+  M: { label: 'Monthly', months: 1 },
+  Q: { label: 'Quarterly', months: 3 },
+  H: { label: 'Half Yearly', months: 6 },
+  Y: { label: 'Yearly', months: 12 },
+};
+
+// How often the scheduler looks for profiles that are due
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Function to format a date as YYYY-MM-DD without shifting it to UTC
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const d = new Date(date);
+  return [
+    d.getFullYear(),
+    String(d.getMonth() + 1).padStart(2, '0'),
+    String(d.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Function to get the date of the n-th run of a profile.
+ * Monthly runs stay on the day of the start date, or the last day of shorter months.
+ * @param {Date|string} startdate - The first run date of the profile.
+ * @param {string} frequency - One of the FREQUENCIES keys.
+ * @param {number} n - The number of periods after the start date.
+ * @returns {string} - The run date as YYYY-MM-DD.
+ */
+function addPeriods(startdate, frequency, n) {
+  const [year, month, day] = toDateString(startdate).split('-').map(Number);
+  const freq = FREQUENCIES[frequency];
+
+  if (freq.weeks) {
+    return toDateString(new Date(year, month - 1, day + 7 * freq.weeks * n));
+  }
+  const totalMonths = month - 1 + freq.months * n;
+  const lastDay = new Date(year, totalMonths + 1, 0).getDate();
+  return toDateString(new Date(year, totalMonths, Math.min(day, lastDay)));
+}
+
+// Function to get the due date of an invoice from the customer's payment terms
+async function getDueDate(client, custid, invdate) {
+  const query = `
+    SELECT C.paytermid, PT.noofdays
+    FROM "Customer" C
+    LEFT JOIN "PayTerms" PT ON C.paytermid = PT.paytermid
+    WHERE C.custid = $1
+  `;
+  const { rows } = await client.query(query, [custid]);
+  const paytermid = rows.length ? rows[0].paytermid : null;
+  const noofdays = rows.length ? Number(rows[0].noofdays || 0) : 0;
+  const [year, month, day] = invdate.split('-').map(Number);
+
+  return { paytermid, duedate: toDateString(new Date(year, month - 1, day + noofdays)) };
+}
+
+/**
+ * Function to generate the invoice of one run of a recurring profile locked with FOR UPDATE.
+ * Must be called inside a transaction, nothing is committed here.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} profile - The "RecurringProfile" row.
+ * @returns {Promise<object>} - The saved invoice and the next run date of the profile.
+ */
+async function generateInvoice(client, profile) {
+  const invdate = toDateString(profile.nextrundate);
+  const { rows: items } = await client.query(
+    'SELECT itemid, quantity, rate, discount FROM "RecurringProfileItem" WHERE profileid = $1 ORDER BY sr',
+    [profile.profileid]
+  );
+  const { paytermid, duedate } = await getDueDate(client, profile.custid, invdate);
+
+  const saved = await saveInvoice(client, {
+    custid: profile.custid,
+    compid: profile.compid,
+    invdate,
+    duedate,
+    paytermid,
+    ordno: profile.ordno,
+    subject: profile.subject,
+    notes: profile.notes,
+    tnc: profile.tnc,
+    shipcountryid: profile.shipcountryid,
+    shipstateid: profile.shipstateid,
+    shipstreet1: profile.shipstreet1,
+    shipstreet2: profile.shipstreet2,
+    shipcity: profile.shipcity,
+    shippin: profile.shippin,
+    currencycode: profile.currencycode,
+    userid: profile.userid,
+    status: profile.saveas === 'issue' ? INVOICE_STATUS.ISSUED : INVOICE_STATUS.DRAFT,
+    items,
+  });
+  await client.query('UPDATE "Invoice" SET profileid = $2 WHERE invid = $1', [saved.invid, profile.profileid]);
+
+  const runcount = Number(profile.runcount || 0) + 1;
+  const nextrundate = addPeriods(profile.startdate, profile.frequency, runcount);
+  const finished = profile.enddate && nextrundate > toDateString(profile.enddate);
+  await client.query(
+    `UPDATE "RecurringProfile"
+     SET runcount = $2, lastrundate = $3, lastinvid = $4, nextrundate = $5, isactive = $6
+     WHERE profileid = $1`,
+    [profile.profileid, runcount, invdate, saved.invid, nextrundate, !finished]
+  );
+
+  return { ...saved, invdate, nextrundate: finished ? null : nextrundate };
+}
+
+// Function to email a generated invoice as a PDF to the customer, failures are only logged
+async function emailInvoice(invid) {
+  try {
+    const data = await getInvoicePrintData(pool, invid);
+    if (!data || !data.header.custemail) {
+      return;
+    }
+    const pdf = await renderInvoicePdf(data, ['original']);
+    const { invno, compname, custname, total, currencycode } = data.header;
+    await sendEmail(
+      data.header.custemail,
+      `Invoice ${invno} from ${compname}`,
+      `Dear ${custname}, please find attached invoice ${invno} for ${currencycode || ''} ${total}. Thank you for your business. ${compname}`,
+      [{ filename: `${invno.replace(/[^\w-]/g, '_')}.pdf`, content: pdf }]
+    );
+  } catch (err) {
+    console.error('Error emailing recurring invoice:', err);
+  }
+}
+
+/**
+ * Function to generate the invoices of a profile up to the given date, one per missed period.
+ * The profile row is skipped when another run holds its lock.
+ * @param {number} profileid - The Recurring Profile ID.
+ * @param {string} [today] - The run date as YYYY-MM-DD, today when not given.
+ * @returns {Promise<Array<object>>} - The generated invoices.
+ */
+async function runProfile(profileid, today = toDateString(new Date())) {
+  const generated = [];
+
+  for (;;) {
+    const client = await pool.connect();
+    let saved;
+    let profile;
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `SELECT * FROM "RecurringProfile"
+         WHERE profileid = $1 AND isactive = true AND nextrundate <= $2
+           AND (enddate IS NULL OR nextrundate <= enddate)
+         FOR UPDATE SKIP LOCKED`,
+        [profileid, today]
+      );
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        break;
+      }
+      profile = rows[0];
+      saved = await generateInvoice(client, profile);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    generated.push(saved);
+    writeToUserLog(profile.userid, 'Generated the Invoice ' + saved.invno + ' from the Recurring Profile ' + profile.profilename, profile.compid, false);
+    if (profile.saveas === 'issue' && profile.emailinvoice) {
+      await emailInvoice(saved.invid);
+    }
+  }
+
+  return generated;
+}
+
+// Function to stop a profile whose run failed so it is not retried every hour, the owner is told by log and email
+async function pauseProfile(profileid, err) {
+  const message = err.status ? err.message : 'Internal server error';
+  const { rows } = await pool.query(
+    'UPDATE "RecurringProfile" SET isactive = false, lasterror = $2 WHERE profileid = $1 RETURNING profilename, compid, userid',
+    [profileid, message]
+  );
+  if (rows.length === 0) {
+    return;
+  }
+
+  const { profilename, compid, userid } = rows[0];
+  writeToUserLog(userid, 'Paused the Recurring Profile ' + profilename + ' after a failed run: ' + message, compid, false);
+  const { rows: users } = await pool.query('SELECT emailid FROM "Users" WHERE userid = $1', [userid]);
+  const emailid = users.length ? users[0].emailid : null;
+  if (emailid) {
+    try {
+      await sendEmail(
+        emailid,
+        `Recurring profile ${profilename} paused`,
+        `The recurring profile ${profilename} could not generate its invoice and has been paused: ${message}. Correct it and activate the profile again to resume.`
+      );
+    } catch (mailErr) {
+      console.error('Error emailing paused recurring profile:', mailErr);
+    }
+  }
+}
+
+// Function to run all the profiles that are due, a failing profile is paused and does not stop the others
+async function runDueProfiles(today = toDateString(new Date())) {
+  const { rows } = await pool.query(
+    'SELECT profileid FROM "RecurringProfile" WHERE isactive = true AND nextrundate <= $1 ORDER BY nextrundate, profileid',
+    [today]
+  );
+
+  let count = 0;
+  for (const { profileid } of rows) {
+    try {
+      count += (await runProfile(profileid, today)).length;
+    } catch (err) {
+      console.error(`Error running recurring profile ${profileid}:`, err);
+      await pauseProfile(profileid, err).catch((pauseErr) => console.error(`Error pausing recurring profile ${profileid}:`, pauseErr));
+    }
+  }
+  return count;
+}
+
+// Function to start the timer that generates recurring invoices
+function startRecurringScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+  const tick = () => {
+    runDueProfiles().catch((err) => console.error('Error running recurring profiles:', err));
+  };
+  tick();
+  return setInterval(tick, intervalMs);
+}
+
+module.exports = {
+  FREQUENCIES,
+  toDateString,
+  addPeriods,
+  runProfile,
+  runDueProfiles,
+  startRecurringScheduler,
+};
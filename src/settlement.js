@@ -0,0 +1,181 @@
+const { round2, createHttpError } = require('./common');
+const { refreshInvoiceDue } = require('./invoiceStore');
+const { INVOICE_STATUS } = require('./invoiceStatus');
+const { assertPaymentActive } = require('./paymentStatus');
+
+// Types of the Adjustment rows, only payments bring in cash
+const ADJUSTMENT_TYPE = {
+  PAYMENT: 'P',
+  WRITE_OFF: 'W',
+  DISCOUNT: 'D',
+};
+
+// Reason codes allowed per settlement type
+const SETTLEMENT_REASONS = {
+  [ADJUSTMENT_TYPE.WRITE_OFF]: ['short_payment', 'bank_charges', 'rounding', 'bad_debt', 'other'],
+  [ADJUSTMENT_TYPE.DISCOUNT]: ['early_payment', 'volume', 'other'],
+};
+
+// Limits used when the company has not saved its own: write-offs up to 10 per invoice, discounts up to 2% of the invoice
+const DEFAULT_SETTLEMENT_LIMITS = {
+  writeofflimit: 10,
+  discountlimit: 2,
+};
+
+/**
+ * Function to fetch the settlement limits of a company, the defaults for limits it has not set.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} compid - The Company ID.
+ * @returns {Promise<object>} - writeofflimit (amount per invoice) and discountlimit (percentage of the invoice total).
+ */
+async function getSettlementLimits(db, compid) {
+  const { rows } = await db.query('SELECT writeofflimit, discountlimit FROM "SettlementSetting" WHERE compid = $1', [compid]);
+  const setting = rows[0] || {};
+  return {
+    writeofflimit: setting.writeofflimit === null || setting.writeofflimit === undefined
+      ? DEFAULT_SETTLEMENT_LIMITS.writeofflimit : Number(setting.writeofflimit),
+    discountlimit: setting.discountlimit === null || setting.discountlimit === undefined
+      ? DEFAULT_SETTLEMENT_LIMITS.discountlimit : Number(setting.discountlimit),
+  };
+}
+
+/**
+ * Function to check a settlement against the limits of the company.
+ * Earlier settlements of the same type on the invoice count towards the limit.
+ * @param {string} adjtype - W for a write-off, D for a discount.
+ * @param {number} amount - The amount to settle.
+ * @param {object} invoice - The invoice with invno, total and settled, the amount already settled with this type.
+ * @param {object} limits - writeofflimit and discountlimit as returned by getSettlementLimits.
+ */
+function checkSettlementLimit(adjtype, amount, invoice, limits) {
+  const settled = round2(Number(invoice.settled || 0) + amount);
+  if (adjtype === ADJUSTMENT_TYPE.WRITE_OFF && settled > round2(limits.writeofflimit)) {
+    throw createHttpError(409, `Write-off of ${settled} on invoice ${invoice.invno} exceeds the write-off limit of ${round2(limits.writeofflimit)}`);
+  }
+  if (adjtype === ADJUSTMENT_TYPE.DISCOUNT) {
+    const maxDiscount = round2(Number(invoice.total) * limits.discountlimit / 100);
+    if (settled > maxDiscount) {
+      throw createHttpError(409, `Discount of ${settled} on invoice ${invoice.invno} exceeds ${limits.discountlimit}% of the invoice total (${maxDiscount})`);
+    }
+  }
+}
+
+/**
+ * Function to close the residual amount due of an invoice with a write-off or a settlement discount.
+ * Must be called with a client inside a transaction. The invoice is locked, the amount (the whole amount due when
+ * not given) is checked against the limits of the company and saved as an Adjustment of the type with its reason
+ * code, and the amount due and status of the invoice are recomputed.
+ * A discount can name the payment it was granted with, the payment is not charged for it.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} settlement - invid, compid, adjtype (W or D), reasoncode, and optionally amount, payid and userid.
+ * @param {object} [limits] - The limits of the company, fetched when not given.
+ * @returns {Promise<object>} - invid, invno, custid, adjtype, reasoncode, adjustamt and the amtdue left.
+ */
+async function settleInvoice(client, settlement, limits) {
+  const { invid, compid, adjtype, reasoncode, userid } = settlement;
+  const payid = settlement.payid || null;
+
+  if (!SETTLEMENT_REASONS[adjtype]) {
+    throw createHttpError(400, 'adjtype must be W (write-off) or D (discount)');
+  }
+  if (!SETTLEMENT_REASONS[adjtype].includes(reasoncode)) {
+    throw createHttpError(400, `reasoncode must be one of ${SETTLEMENT_REASONS[adjtype].join(', ')}`);
+  }
+
+  const { rows: invoices } = await client.query(
+    `SELECT invid, invno, custid, total, amtdue, status
+     FROM "Invoice"
+     WHERE invid = $1 AND compid = $2
+     FOR UPDATE`,
+    [invid, compid]
+  );
+  if (invoices.length === 0) {
+    throw createHttpError(404, 'Invoice not found');
+  }
+  const invoice = invoices[0];
+  const amtdue = round2(Number(invoice.amtdue));
+  if (![INVOICE_STATUS.ISSUED, INVOICE_STATUS.PARTPAID].includes(invoice.status) || amtdue <= 0) {
+    throw createHttpError(409, `Invoice ${invoice.invno} has no amount due to settle`);
+  }
+
+  const amount = settlement.amount === undefined || settlement.amount === null ? amtdue : round2(Number(settlement.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw createHttpError(400, 'amount must be greater than zero');
+  }
+  if (amount > amtdue) {
+    throw createHttpError(409, `Settlement of ${amount} exceeds the amount due of invoice ${invoice.invno} of ${amtdue}`);
+  }
+
+  if (payid) {
+    const { rows: payments } = await client.query('SELECT custid, status FROM Payments WHERE payid = $1', [payid]);
+    if (payments.length === 0 || Number(payments[0].custid) !== Number(invoice.custid)) {
+      throw createHttpError(400, 'The payment is not a payment of the customer of the invoice');
+    }
+    assertPaymentActive(payments[0].status);
+  }
+
+  const { rows: settledRows } = await client.query(
+    'SELECT COALESCE(SUM(adjustamt), 0) AS settled FROM Adjustment WHERE invid = $1 AND adjtype = $2',
+    [invid, adjtype]
+  );
+  checkSettlementLimit(adjtype, amount, { ...invoice, settled: settledRows[0].settled }, limits || await getSettlementLimits(client, compid));
+
+  await client.query(
+    `INSERT INTO Adjustment (invid, payid, adjustamt, compid, userid, updon, adjtype, reasoncode)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [invid, payid, amount, compid, userid, new Date(), adjtype, reasoncode]
+  );
+  const left = await refreshInvoiceDue(client, invid);
+
+  return {
+    invid: invoice.invid,
+    invno: invoice.invno,
+    custid: invoice.custid,
+    adjtype,
+    reasoncode,
+    adjustamt: amount,
+    amtdue: left,
+  };
+}
+
+/**
+ * Function to write off the small balances left on the open invoices of a company.
+ * Must be called with a client inside a transaction. Every issued or partly paid invoice with an amount due up to
+ * the write-off limit of the company (and up to maxamount when given) is closed with a write-off.
+ * @param {object} client - A pool client with an open transaction.
+ * @param {object} request - compid, reasoncode, and optionally custid, maxamount and userid.
+ * @returns {Promise<object[]>} - The settlements made, as returned by settleInvoice.
+ */
+async function writeOffSmallBalances(client, request) {
+  const { compid, custid, reasoncode, userid } = request;
+  const limits = await getSettlementLimits(client, compid);
+  const maxamount = request.maxamount === undefined || request.maxamount === null
+    ? limits.writeofflimit : Math.min(Number(request.maxamount), limits.writeofflimit);
+
+  // Earlier write-offs on an invoice count towards its limit
+  const { rows: invoices } = await client.query(
+    `SELECT I.invid
+     FROM "Invoice" I
+     WHERE I.compid = $1 AND ($2::int IS NULL OR I.custid = $2) AND I.status IN ('issued', 'partpaid')
+       AND I.amtdue > 0
+       AND I.amtdue + (SELECT COALESCE(SUM(A.adjustamt), 0) FROM Adjustment A WHERE A.invid = I.invid AND A.adjtype = $4) <= $3
+     ORDER BY I.invdate, I.invid`,
+    [compid, custid || null, maxamount, ADJUSTMENT_TYPE.WRITE_OFF]
+  );
+
+  const settlements = [];
+  for (const { invid } of invoices) {
+    settlements.push(await settleInvoice(client, { invid, compid, adjtype: ADJUSTMENT_TYPE.WRITE_OFF, reasoncode, userid }, limits));
+  }
+  return settlements;
+}
+
+module.exports = {
+  ADJUSTMENT_TYPE,
+  SETTLEMENT_REASONS,
+  DEFAULT_SETTLEMENT_LIMITS,
+  getSettlementLimits,
+  checkSettlementLimit,
+  settleInvoice,
+  writeOffSmallBalances,
+};
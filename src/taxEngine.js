@@ -0,0 +1,120 @@
+// GST treatments of a customer, stored in "GSTTreatment".treatcode
+const TREATMENTS = {
+  REG: 'Registered Business - Regular',
+  COMP: 'Registered Business - Composition',
+  UNREG: 'Unregistered Business',
+  CONS: 'Consumer',
+  SEZWP: 'SEZ - With Payment of IGST',
+  SEZWOP: 'SEZ - Without Payment (LUT/Bond)',
+  EXPWP: 'Overseas - Export With Payment of IGST',
+  EXPWOP: 'Overseas - Export Without Payment (LUT/Bond)',
+  DEEMED: 'Deemed Export',
+};
+
+// Tax types produced by the engine
+const TAX_TYPES = {
+  INTRA: 'CGST_SGST',
+  INTER: 'IGST',
+  ZERO: 'ZERO_RATED',
+};
+
+/**
+ * Function to resolve the treatment code of a customer.
+ * Treatments saved before treatcode existed are recognised by their name, SEZ and overseas
+ * customers are zero rated under LUT unless the name says with payment.
+ * @param {string} treatcode - "GSTTreatment".treatcode.
+ * @param {string} gsttreatment - "GSTTreatment".gsttreatment, the name.
+ * @returns {string} - One of the TREATMENTS keys, REG when nothing is known.
+ */
+function resolveTreatment(treatcode, gsttreatment) {
+  if (treatcode && TREATMENTS[treatcode.trim().toUpperCase()]) {
+    return treatcode.trim().toUpperCase();
+  }
+
+  const name = String(gsttreatment || '').toLowerCase();
+  const withPayment = /with (payment|igst)/.test(name);
+  if (name.includes('sez') || name.includes('special economic')) {
+    return withPayment ? 'SEZWP' : 'SEZWOP';
+  }
+  if (name.includes('overseas') || (name.includes('export') && !name.includes('deemed'))) {
+    return withPayment ? 'EXPWP' : 'EXPWOP';
+  }
+  if (name.includes('deemed')) {
+    return 'DEEMED';
+  }
+  if (name.includes('composition')) {
+    return 'COMP';
+  }
+  if (name.includes('consumer')) {
+    return 'CONS';
+  }
+  if (name.includes('unregistered')) {
+    return 'UNREG';
+  }
+  return 'REG';
+}
+
+/**
+ * Function to decide the tax type of a supply.
+ * The place of supply is the ship-to state of the invoice when given, else the customer's
+ * place of supply, else the customer's billing state.
+ * - SEZ with payment and exports with payment always pay IGST
+ * - SEZ without payment and exports without payment are zero rated
+ * - everyone else pays CGST+SGST within the company's state and IGST outside it
+ * @param {object} supply - companystateid, treatcode, shipstateid, placeofsupply and billstateid.
+ * @returns {object} - treatcode, the placeofsupply used, taxtype and zerorated.
+ */
+function determineTax(supply) {
+  const treatcode = resolveTreatment(supply.treatcode, supply.gsttreatment);
+  const placeofsupply = Number(supply.shipstateid || supply.placeofsupply || supply.billstateid || 0) || null;
+  let taxtype;
+
+  if (treatcode === 'SEZWOP' || treatcode === 'EXPWOP') {
+    taxtype = TAX_TYPES.ZERO;
+  } else if (treatcode === 'SEZWP' || treatcode === 'EXPWP') {
+    taxtype = TAX_TYPES.INTER;
+  } else if (placeofsupply && Number(supply.companystateid) === placeofsupply) {
+    taxtype = TAX_TYPES.INTRA;
+  } else {
+    taxtype = TAX_TYPES.INTER;
+  }
+
+  return { treatcode, placeofsupply, taxtype, zerorated: taxtype === TAX_TYPES.ZERO };
+}
+
+// Function to split the tax rate of an item into CGST, SGST and IGST percentages for a tax type
+function splitRate(taxtype, taxrate) {
+  const rate = Number(taxrate || 0);
+  if (taxtype === TAX_TYPES.INTRA) {
+    return { cgstper: rate / 2, sgstper: rate / 2, igstper: 0 };
+  }
+  if (taxtype === TAX_TYPES.INTER) {
+    return { cgstper: 0, sgstper: 0, igstper: rate };
+  }
+  return { cgstper: 0, sgstper: 0, igstper: 0 };
+}
+
+/**
+ * Function to fetch the company, customer and treatment and decide the tax type of an invoice.
+ * @param {object} db - The pool or client used to run the query.
+ * @param {number} compid - The Company ID.
+ * @param {number} custid - The Customer ID.
+ * @param {number} [shipstateid] - The ship-to state of the invoice, if any.
+ * @returns {Promise<object>} - The result of determineTax with the company stateid.
+ */
+async function getTaxContext(db, compid, custid, shipstateid) {
+  const query = `
+    SELECT
+      CM.stateid AS companystateid, C.placeofsupply, C.billstateid, GT.treatcode, GT.gsttreatment
+    FROM "Company" CM
+    LEFT JOIN "Customer" C ON C.custid = $2
+    LEFT JOIN "GSTTreatment" GT ON C.gsttreatmentid = GT.gsttreatmentid
+    WHERE CM.compid = $1
+  `;
+  const { rows } = await db.query(query, [compid, custid]);
+  const supply = rows.length ? rows[0] : {};
+
+  return { ...determineTax({ ...supply, shipstateid }), stateid: supply.companystateid };
+}
+
+module.exports = { TREATMENTS, TAX_TYPES, resolveTreatment, determineTax, splitRate, getTaxContext };